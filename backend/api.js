@@ -0,0 +1,203 @@
+const express = require('express');
+const NodeCache = require('node-cache');
+const config = require('../config');
+const logger = require('../utils/logger');
+const sourceRegistry = require('../services/sourceRegistry');
+const { serializePost } = require('./serialize');
+const { sanitizeHtml } = require('../utils/sanitizeHtml');
+const { NotFoundError, UnauthorizedError, UnavailableError, RateLimitedError } = require('../utils/errors');
+
+// The public, read-only HTTP API at /api/v1, serving live posts of the configured
+// sites to the Web App and any other client. Responses are cached for
+// API_CACHE_TTL seconds, so clients don't each cost a WordPress request.
+
+const MAX_PER_PAGE = 100;
+const DEFAULT_PER_PAGE = 10;
+// Arbitrary search queries could otherwise fill the memory
+const MAX_CACHED = 1000;
+
+const api = express();
+const cache = new NodeCache({ stdTTL: config.server.apiCacheTtl, useClones: false });
+
+/**
+ * Error raised for invalid query parameters, answered with a 400
+ * @private
+ */
+class BadRequestError extends Error {}
+
+/**
+ * Source named by the `source` query parameter, or the default one
+ * @param {Object} query - Request query
+ * @returns {Object} Source
+ * @throws {NotFoundError} Unknown source
+ */
+function findSource(query) {
+  const source = sourceRegistry.get(query.source ? String(query.source) : sourceRegistry.defaultId);
+  if (!source) {
+    throw new NotFoundError(`Unknown source "${query.source}"`);
+  }
+  return source;
+}
+
+/**
+ * Resolve a comma-separated list of term IDs or slugs, e.g. `category=12,ai`
+ * @param {Object} source - Source of the terms
+ * @param {string} type - 'categories' or 'tags'
+ * @param {string} [value] - Query parameter value
+ * @returns {Promise<Array<number>>} Term IDs
+ * @throws {BadRequestError} A slug matches no term
+ */
+async function resolveTerms(source, type, value) {
+  const entries = String(value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+  if (entries.length === 0) return [];
+
+  // Slugs need the term list; IDs are passed on as they are
+  const terms = entries.every(entry => /^\d+$/.test(entry))
+    ? []
+    : await (type === 'categories' ? source.client.getCategories() : source.client.getTags());
+
+  return entries.map((entry) => {
+    if (/^\d+$/.test(entry)) return Number(entry);
+    const term = terms.find(t => t.slug === entry);
+    if (!term) {
+      throw new BadRequestError(`Unknown ${type === 'categories' ? 'category' : 'tag'} "${entry}"`);
+    }
+    return term.id;
+  });
+}
+
+/**
+ * Read a positive integer query parameter
+ * @private
+ */
+function positiveInt(value, fallback, max = Infinity) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? Math.min(number, max) : fallback;
+}
+
+/**
+ * Wrap a handler that returns `{ body, headers }` so its responses are cached
+ * by URL and its errors answered with a status that tells clients what happened
+ * @param {Function} handler - Async `(req) => ({ body, headers })`
+ * @returns {Function} Express handler
+ */
+function cached(handler) {
+  return async (req, res) => {
+    const key = req.originalUrl;
+    let response = cache.get(key);
+
+    try {
+      if (!response) {
+        response = await handler(req);
+        if (cache.getStats().keys < MAX_CACHED) cache.set(key, response);
+      }
+    } catch (error) {
+      return sendError(req, res, error);
+    }
+
+    res.set({
+      ...response.headers,
+      'Cache-Control': `public, max-age=${config.server.apiCacheTtl}`
+    });
+    res.json(response.body);
+  };
+}
+
+/**
+ * Answer a failed request
+ * @private
+ */
+function sendError(req, res, error) {
+  if (error instanceof BadRequestError) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({ error: error.message });
+  }
+  // Drafts and private posts are not revealed
+  if (error instanceof UnauthorizedError) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  logger.error('API request failed', { path: req.originalUrl, error: error.message });
+  if (error instanceof RateLimitedError && error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  const status = error instanceof UnavailableError || error instanceof RateLimitedError ? 503 : 502;
+  res.status(status).json({ error: 'The site could not be reached, please try again' });
+}
+
+// GET /api/v1/sources - Sites the posts come from
+api.get('/sources', (req, res) => {
+  res.json(sourceRegistry.list().map(source => ({
+    id: source.id,
+    name: source.name,
+    label: sourceRegistry.label(source.id),
+    type: source.type,
+    default: source.id === sourceRegistry.defaultId
+  })));
+});
+
+// GET /api/v1/posts?source=main&category=12,ai&tag=robots&search=chips&page=2&per_page=10
+// A page of posts, newest first, or most relevant first when searching.
+// X-Total-Count and X-Total-Pages tell whether there is more.
+api.get('/posts', cached(async (req) => {
+  const source = findSource(req.query);
+  const page = positiveInt(req.query.page, 1);
+  const perPage = positiveInt(req.query.per_page, DEFAULT_PER_PAGE, MAX_PER_PAGE);
+  const search = String(req.query.search || '').trim();
+
+  const { posts, total, totalPages } = await source.client.getPostsPage({
+    categories: await resolveTerms(source, 'categories', req.query.category),
+    tags: await resolveTerms(source, 'tags', req.query.tag),
+    search: search || undefined,
+    page,
+    perPage
+  });
+
+  const headers = {};
+  if (total !== null) headers['X-Total-Count'] = String(total);
+  if (totalPages !== null) headers['X-Total-Pages'] = String(totalPages);
+  return { body: posts.map(serializePost), headers };
+}));
+
+// GET /api/v1/posts/:id - One post with its sanitized HTML content. The ID is a
+// post key like "main:123", or a bare ID of the default source.
+api.get('/posts/:id', cached(async (req) => {
+  if (!/^([a-z0-9_-]+:)?\d+$/.test(req.params.id)) {
+    throw new BadRequestError('A post ID like "123" or "main:123" is required');
+  }
+
+  const { source, id } = sourceRegistry.parsePostKey(req.params.id);
+  const client = sourceRegistry.client(source);
+  if (!client) {
+    throw new NotFoundError(`Unknown source "${source}"`);
+  }
+
+  const post = await client.getPostById(id);
+  return {
+    body: {
+      ...serializePost(post),
+      modified: post.modified,
+      tags: post.tags,
+      content: sanitizeHtml(post.content)
+    }
+  };
+}));
+
+// GET /api/v1/categories?source=main and GET /api/v1/tags?source=main - Terms of a site
+['categories', 'tags'].forEach((type) => {
+  api.get(`/${type}`, cached(async (req) => {
+    const source = findSource(req.query);
+    const terms = type === 'categories' ? await source.client.getCategories() : await source.client.getTags();
+    return {
+      body: terms.map(({ id, name, slug, parent, count }) => ({ id, name, slug, parent: parent || 0, count }))
+    };
+  }));
+});
+
+api.use((req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+module.exports = api;
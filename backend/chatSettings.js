@@ -0,0 +1,146 @@
+const moment = require('moment-timezone');
+const preferences = require('../services/preferences');
+const sourceRegistry = require('../services/sourceRegistry');
+const channelRegistry = require('../services/channelRegistry');
+const digestService = require('../services/digestService');
+const botService = require('../services/botService');
+
+// Chat settings as the HTTP routes read and change them. They are the same
+// PreferencesService records the bot uses, so changes apply to what the bot
+// sends and changes made with bot commands show up here.
+
+const TAXONOMIES = ['categories', 'tags'];
+
+/**
+ * Settings of a chat
+ * @param {string} chatId - Chat ID
+ * @returns {Object} `{ id, title, type, autoPosting, deliveryMode, timezone, digest, sources }`
+ */
+function describeChat(chatId) {
+  const prefs = preferences.getPreferences(chatId);
+  const chat = channelRegistry.get(chatId);
+  const { frequency, time, weekday, cover } = prefs.digest;
+
+  return {
+    id: chatId,
+    title: chat ? chat.title : 'Private chat',
+    type: chat ? chat.type : 'private',
+    autoPosting: prefs.autoPosting,
+    deliveryMode: prefs.deliveryMode,
+    timezone: prefs.timezone,
+    digest: { frequency, time, weekday, cover },
+    sources: sourceRegistry.list().map(source => ({
+      id: source.id,
+      name: source.name,
+      label: sourceRegistry.label(source.id),
+      type: source.type,
+      subscribed: prefs.sources.includes(source.id),
+      ...preferences.getFilters(prefs, source.id)
+    }))
+  };
+}
+
+/**
+ * Check a settings update before applying any of it
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateUpdate(body) {
+  const { autoPosting, deliveryMode, timezone, digest, sources, filters } = body;
+  const isIdList = (list) => Array.isArray(list) && list.every(id => Number.isInteger(id) && id > 0);
+  const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+  if (autoPosting !== undefined && typeof autoPosting !== 'boolean') {
+    return 'autoPosting must be true or false';
+  }
+  if (deliveryMode !== undefined && !['instant', 'digest'].includes(deliveryMode)) {
+    return 'deliveryMode must be "instant" or "digest"';
+  }
+  if (timezone !== undefined && !moment.tz.zone(String(timezone))) {
+    return `Unknown timezone "${timezone}"`;
+  }
+  if (digest !== undefined) {
+    if (!isObject(digest)) return 'digest must be an object';
+    if (digest.frequency !== undefined && !['daily', 'weekly'].includes(digest.frequency)) {
+      return 'digest.frequency must be "daily" or "weekly"';
+    }
+    if (digest.time !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(digest.time)) {
+      return 'digest.time must be HH:MM';
+    }
+    if (digest.weekday !== undefined && !(Number.isInteger(digest.weekday) && digest.weekday >= 0 && digest.weekday <= 6)) {
+      return 'digest.weekday must be 0 (Sunday) to 6 (Saturday)';
+    }
+    if (digest.cover !== undefined && typeof digest.cover !== 'boolean') {
+      return 'digest.cover must be true or false';
+    }
+  }
+  if (sources !== undefined) {
+    if (!Array.isArray(sources) || sources.length === 0 || !sources.every(id => sourceRegistry.get(id))) {
+      return 'sources must list at least one configured source';
+    }
+  }
+  if (filters !== undefined) {
+    if (!isObject(filters)) return 'filters must map source IDs to { categories, tags }';
+    for (const [sourceId, filter] of Object.entries(filters)) {
+      if (!sourceRegistry.get(sourceId)) return `Unknown source "${sourceId}"`;
+      if (!isObject(filter)) return `filters.${sourceId} must be an object`;
+      for (const type of TAXONOMIES) {
+        if (filter[type] !== undefined && !isIdList(filter[type])) {
+          return `filters.${sourceId}.${type} must be a list of IDs`;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply a settings update checked with `validateUpdate`. Delivery changes go
+ * through the same paths as the bot's /digest panel and auto-posting commands.
+ * @param {string} chatId - Chat ID
+ * @param {Object} body - Settings to change; omitted ones are kept
+ * @returns {Promise<void>}
+ */
+async function applyUpdate(chatId, body) {
+  const { autoPosting, deliveryMode, timezone, digest, sources, filters } = body;
+
+  if (sources) {
+    preferences.updateSources(chatId, sources);
+  }
+  for (const [sourceId, filter] of Object.entries(filters || {})) {
+    if (filter.categories) preferences.updateCategories(chatId, filter.categories, sourceId);
+    if (filter.tags) preferences.updateTags(chatId, filter.tags, sourceId);
+  }
+  if (timezone) {
+    preferences.updatePreferences(chatId, { timezone: moment.tz.zone(timezone).name });
+  }
+
+  const current = preferences.getPreferences(chatId);
+  if (digest) {
+    // The frequency is applied with the delivery mode below
+    const schedule = Object.fromEntries(['time', 'weekday', 'cover']
+      .filter(key => digest[key] !== undefined)
+      .map(key => [key, digest[key]]));
+    preferences.updateDigest(chatId, schedule);
+  }
+  const mode = deliveryMode || current.deliveryMode;
+  const frequency = digest?.frequency || current.digest.frequency;
+  if (mode === 'instant' && current.deliveryMode === 'digest') {
+    botService.applyDigestAction(chatId, 'instant');
+  } else if (mode === 'digest' && (current.deliveryMode !== 'digest' || frequency !== current.digest.frequency)) {
+    botService.applyDigestAction(chatId, frequency);
+  } else {
+    digestService.syncChat(chatId);
+  }
+
+  if (autoPosting !== undefined && autoPosting !== current.autoPosting) {
+    await botService.setAutoPosting(chatId, autoPosting);
+  }
+}
+
+module.exports = {
+  TAXONOMIES,
+  describeChat,
+  validateUpdate,
+  applyUpdate
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { INIT_DATA_HEADER, verifyInitData } = require('./webAppAuth');
+
+// Header a browser outside Telegram sends the Telegram Login Widget's data in, as a query string
+const LOGIN_HEADER = 'X-Telegram-Login';
+
+/**
+ * Check the signature and age of Telegram Login Widget data, as described in
+ * https://core.telegram.org/widgets/login#checking-authorization
+ * @param {string} loginData - Query string of the fields the widget returned
+ * @param {string} botToken - Token of the bot the widget logs in to
+ * @param {number} maxAge - Seconds the data stays valid after `auth_date`
+ * @returns {Object|null} `{ user, authDate }`, or null if invalid or stale
+ */
+function verifyLoginData(loginData, botToken, maxAge) {
+  if (!loginData || !botToken) return null;
+
+  const params = new URLSearchParams(loginData);
+  const hash = params.get('hash');
+  if (!hash || !/^[0-9a-f]{64}$/i.test(hash)) return null;
+  params.delete('hash');
+
+  const dataCheckString = [...params.entries()]
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join('\n');
+  // Unlike Web App data, the key is the plain SHA-256 of the token
+  const secretKey = crypto.createHash('sha256').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest();
+  if (!crypto.timingSafeEqual(expected, Buffer.from(hash, 'hex'))) return null;
+
+  const authDate = parseInt(params.get('auth_date'), 10);
+  const age = Date.now() / 1000 - authDate;
+  if (!authDate || age > maxAge) return null;
+
+  const id = Number(params.get('id'));
+  if (!Number.isInteger(id)) return null;
+
+  return {
+    user: {
+      id,
+      first_name: params.get('first_name') || '',
+      last_name: params.get('last_name') || undefined,
+      username: params.get('username') || undefined
+    },
+    authDate: new Date(authDate * 1000)
+  };
+}
+
+/**
+ * Express middleware that only lets through the bot's admins (`ADMIN_USERS`),
+ * identified by Web App initData inside Telegram or by Telegram Login Widget
+ * data in a browser. The verified user is attached as `req.telegramUser`.
+ */
+function requireAdmin(req, res, next) {
+  const initData = req.get(INIT_DATA_HEADER);
+  const loginData = req.get(LOGIN_HEADER);
+  if (!initData && !loginData) {
+    return res.status(401).json({ error: `Missing ${INIT_DATA_HEADER} or ${LOGIN_HEADER} header` });
+  }
+
+  const { token, webAppAuthMaxAge } = config.telegram;
+  const verified = initData
+    ? verifyInitData(initData, token, webAppAuthMaxAge)
+    : verifyLoginData(loginData, token, webAppAuthMaxAge);
+  if (!verified) {
+    logger.warn('Rejected admin request with invalid or expired Telegram data', { ip: req.ip, path: req.originalUrl });
+    return res.status(401).json({ error: 'Invalid or expired Telegram login' });
+  }
+
+  if (!config.telegram.adminUsers.includes(verified.user.id)) {
+    logger.warn('Rejected admin request from a non-admin', { userId: verified.user.id, path: req.originalUrl });
+    return res.status(403).json({ error: 'Only the bot\'s admins can use the admin console' });
+  }
+
+  req.telegramUser = verified.user;
+  next();
+}
+
+module.exports = {
+  LOGIN_HEADER,
+  verifyLoginData,
+  requireAdmin
+};
@@ -0,0 +1,97 @@
+const NodeCache = require('node-cache');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const channelRegistry = require('../../services/channelRegistry');
+const botService = require('../../services/botService');
+
+// Member statuses that may change a chat's settings
+const ADMIN_STATUSES = ['creator', 'administrator'];
+
+// Admin rights change rarely; asking Telegram on every request would run into its limits
+const memberships = new NodeCache({ stdTTL: 5 * 60 });
+// Membership checks sent to Telegram at once when listing a user's chats
+const CHECK_BATCH_SIZE = 5;
+
+/**
+ * Check whether a user is an administrator of a chat the bot is in
+ * @param {number} userId - Telegram user ID
+ * @param {string|number} chatId - Chat ID
+ * @returns {Promise<boolean>} True for the creator and administrators
+ */
+async function isChatAdmin(userId, chatId) {
+  const key = `${chatId}:${userId}`;
+  const cached = memberships.get(key);
+  if (cached !== undefined) return cached;
+
+  let isAdmin = false;
+  try {
+    const member = await botService.bot.telegram.getChatMember(chatId, userId);
+    isAdmin = ADMIN_STATUSES.includes(member.status);
+  } catch (error) {
+    // Users who never joined the chat make Telegram answer with an error
+    logger.debug('Could not check chat membership', { chatId, userId, error: error.description || error.message });
+  }
+
+  memberships.set(key, isAdmin);
+  return isAdmin;
+}
+
+/**
+ * Check whether a user may change a chat's settings: their own private chat,
+ * chats they administer, and every registered chat for the bot's admins
+ * @param {number} userId - Telegram user ID
+ * @param {string|number} chatId - Chat ID
+ * @returns {Promise<boolean>} True if allowed
+ */
+async function canManageChat(userId, chatId) {
+  if (String(chatId) === String(userId)) return true;
+  if (!channelRegistry.get(chatId)) return false;
+  if (config.telegram.adminUsers.includes(Number(userId))) return true;
+  return isChatAdmin(userId, chatId);
+}
+
+/**
+ * List the chats a user may change the settings of, their private chat first.
+ * Registered chats are checked a few at a time, so a bot in many chats doesn't
+ * send Telegram a burst of membership lookups.
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<Array<Object>>} `{ id, title, type }`
+ */
+async function listManageableChats(userId) {
+  const chats = [{ id: String(userId), title: 'Private chat', type: 'private' }];
+  const registered = channelRegistry.list();
+  for (let i = 0; i < registered.length; i += CHECK_BATCH_SIZE) {
+    const batch = registered.slice(i, i + CHECK_BATCH_SIZE);
+    const allowed = await Promise.all(batch.map(chat => canManageChat(userId, chat.id)));
+    batch
+      .filter((chat, index) => allowed[index])
+      .forEach(chat => chats.push({ id: chat.id, title: chat.title, type: chat.type }));
+  }
+  return chats;
+}
+
+/**
+ * Express middleware for routes with a `:chatId` parameter, which may be `me`
+ * for the user's private chat. Must run after requireWebAppUser; the checked
+ * chat ID is attached as `req.chatId`.
+ */
+async function requireChatAccess(req, res, next) {
+  const chatId = req.params.chatId === 'me' ? String(req.telegramUser.id) : req.params.chatId;
+
+  try {
+    if (!/^-?\d+$/.test(chatId) || !await canManageChat(req.telegramUser.id, chatId)) {
+      return res.status(403).json({ error: 'You can only manage your private chat and chats you administer' });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.chatId = chatId;
+  next();
+}
+
+module.exports = {
+  canManageChat,
+  listManageableChats,
+  requireChatAccess
+};
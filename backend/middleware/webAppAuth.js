@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// Header the Web App sends its raw `Telegram.WebApp.initData` in
+const INIT_DATA_HEADER = 'X-Telegram-Init-Data';
+
+/**
+ * Check the signature and age of Web App initData, as described in
+ * https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ * @param {string} initData - Raw query string from `Telegram.WebApp.initData`
+ * @param {string} botToken - Token of the bot that opened the Web App
+ * @param {number} maxAge - Seconds the data stays valid after `auth_date`
+ * @returns {Object|null} `{ user, authDate, chatType, chatInstance, startParam }`, or null if invalid or stale
+ */
+function verifyInitData(initData, botToken, maxAge) {
+  if (!initData || !botToken) return null;
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash || !/^[0-9a-f]{64}$/i.test(hash)) return null;
+  params.delete('hash');
+
+  const dataCheckString = [...params.entries()]
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join('\n');
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest();
+  if (!crypto.timingSafeEqual(expected, Buffer.from(hash, 'hex'))) return null;
+
+  const authDate = parseInt(params.get('auth_date'), 10);
+  const age = Date.now() / 1000 - authDate;
+  if (!authDate || age > maxAge) return null;
+
+  let user;
+  try {
+    user = JSON.parse(params.get('user'));
+  } catch (error) {
+    return null;
+  }
+  if (!user || !Number.isInteger(user.id)) return null;
+
+  return {
+    user,
+    authDate: new Date(authDate * 1000),
+    chatType: params.get('chat_type') || null,
+    chatInstance: params.get('chat_instance') || null,
+    startParam: params.get('start_param') || null
+  };
+}
+
+/**
+ * Express middleware that only lets through requests from the bot's Web App.
+ * The verified Telegram user is attached as `req.telegramUser`, and the rest
+ * of the initData as `req.webApp`; routes must take the user from there, never
+ * from the request body or URL.
+ */
+function requireWebAppUser(req, res, next) {
+  const initData = req.get(INIT_DATA_HEADER);
+  if (!initData) {
+    return res.status(401).json({ error: `Missing ${INIT_DATA_HEADER} header` });
+  }
+
+  const verified = verifyInitData(initData, config.telegram.token, config.telegram.webAppAuthMaxAge);
+  if (!verified) {
+    logger.warn('Rejected Web App request with invalid or expired initData', { ip: req.ip, path: req.originalUrl });
+    return res.status(401).json({ error: 'Invalid or expired Telegram init data' });
+  }
+
+  const { user, ...webApp } = verified;
+  req.telegramUser = user;
+  req.webApp = webApp;
+  next();
+}
+
+module.exports = {
+  INIT_DATA_HEADER,
+  verifyInitData,
+  requireWebAppUser
+};
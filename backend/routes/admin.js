@@ -0,0 +1,178 @@
+const express = require('express');
+const preferences = require('../../services/preferences');
+const sourceRegistry = require('../../services/sourceRegistry');
+const channelRegistry = require('../../services/channelRegistry');
+const metricsService = require('../../services/metricsService');
+const sendQueue = require('../../services/sendQueue');
+const botService = require('../../services/botService');
+const logger = require('../../utils/logger');
+const { serializePost } = require('../serialize');
+const { describeChat, validateUpdate, applyUpdate } = require('../chatSettings');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { NotFoundError } = require('../../utils/errors');
+
+const router = express.Router();
+
+// REST endpoints of the admin console (frontend/admin.html). Everything but the
+// login settings is limited to ADMIN_USERS by requireAdmin.
+
+const RANGES = ['24h', '7d', '30d', 'all'];
+const MAX_DELIVERY_ERRORS = 100;
+
+/**
+ * A registered chat with its settings and bot membership
+ * @param {Object} chat - Record from ChannelRegistry
+ * @returns {Object} Chat for the console
+ */
+function describeRegisteredChat(chat) {
+  const prefs = preferences.getPreferences(chat.id);
+  return {
+    ...describeChat(chat.id),
+    username: chat.username,
+    status: chat.status,
+    canPost: chat.canPost,
+    lastCheck: prefs.lastCheck,
+    postingWindow: prefs.postingWindow.enabled
+  };
+}
+
+/**
+ * Only let through chats the bot is registered in, as `req.chat`
+ * @private
+ */
+function requireRegisteredChat(req, res, next) {
+  const chat = channelRegistry.get(req.params.chatId);
+  if (!chat) {
+    return res.status(404).json({ error: 'The bot is not in this chat' });
+  }
+  req.chat = chat;
+  next();
+}
+
+// GET /admin/login - What the console needs to show the Telegram Login Widget
+router.get('/login', (req, res) => {
+  res.json({ botUsername: botService.bot?.botInfo?.username || null });
+});
+
+router.use(requireAdmin);
+
+// GET /admin/me - The signed-in admin
+router.get('/me', (req, res) => {
+  res.json({ user: req.telegramUser });
+});
+
+// GET /admin/chats - Channels and groups the bot is in, with their settings
+router.get('/chats', (req, res) => {
+  res.json(channelRegistry.list().map(describeRegisteredChat));
+});
+
+// GET /admin/chats/:chatId - One registered chat
+router.get('/chats/:chatId', requireRegisteredChat, (req, res) => {
+  res.json(describeRegisteredChat(req.chat));
+});
+
+// PATCH /admin/chats/:chatId - Change a chat's settings, as PATCH /preferences/:chatId does
+router.patch('/chats/:chatId', requireRegisteredChat, async (req, res) => {
+  const body = req.body || {};
+  const error = validateUpdate(body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    await applyUpdate(req.chat.id, body);
+    logger.info('Updated chat settings from the admin console', {
+      chatId: req.chat.id,
+      by: req.telegramUser.id,
+      changes: Object.keys(body)
+    });
+    res.json(describeRegisteredChat(req.chat));
+  } catch (updateError) {
+    logger.error('Failed to update chat settings from the admin console', { chatId: req.chat.id, error: updateError.message });
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+// POST /admin/chats/:chatId/post - Send an article now: { "key": "main:123" }, or
+// without a key the newest post matching the chat's filters, like /post_latest
+router.post('/chats/:chatId/post', requireRegisteredChat, async (req, res) => {
+  const { key } = req.body || {};
+  if (key !== undefined && !/^([a-z0-9_-]+:)?\d+$/.test(String(key))) {
+    return res.status(400).json({ error: 'A post key like "main:123" is required' });
+  }
+
+  let post;
+  try {
+    if (key === undefined) {
+      post = await botService.postLatest(req.chat.id);
+      if (!post) {
+        return res.status(404).json({ error: 'No posts match this chat\'s filters' });
+      }
+    } else {
+      const { source, id } = sourceRegistry.parsePostKey(String(key));
+      const client = sourceRegistry.client(source);
+      if (!client) {
+        return res.status(404).json({ error: `Unknown source "${source}"` });
+      }
+      post = await client.getPostById(id);
+      await botService.sendPost(req.chat.id, post);
+    }
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    logger.error('Failed to post from the admin console', { chatId: req.chat.id, key, error: error.message });
+    return res.status(502).json({ error: `Could not send the post: ${error.description || error.message}` });
+  }
+
+  logger.info('Posted from the admin console', { chatId: req.chat.id, post: post.key, by: req.telegramUser.id });
+  res.status(201).json(serializePost(post));
+});
+
+// GET /admin/metrics?range=7d - Usage summary, as shown by /stats
+router.get('/metrics', (req, res) => {
+  const range = req.query.range || '7d';
+  if (!RANGES.includes(range)) {
+    return res.status(400).json({ error: `range must be one of ${RANGES.join(', ')}` });
+  }
+  res.json(metricsService.getSummary(range));
+});
+
+// GET /admin/delivery-errors - Messages the send queue gave up on, newest first
+router.get('/delivery-errors', (req, res) => {
+  const letters = sendQueue.getDeadLetters();
+  res.json({
+    total: letters.length,
+    errors: letters.slice(-MAX_DELIVERY_ERRORS).reverse().map(letter => ({
+      id: letter.id,
+      method: letter.method,
+      chatId: letter.chatId,
+      chatTitle: letter.chatId ? botService.chatLabel(letter.chatId) : null,
+      error: letter.error,
+      code: letter.code,
+      attempts: letter.attempts,
+      failedAt: letter.failedAt
+    }))
+  });
+});
+
+// POST /admin/delivery-errors/retry - Queue failed messages again: { "ids": [...] }, or all
+router.post('/delivery-errors/retry', (req, res) => {
+  const { ids } = req.body || {};
+  if (ids !== undefined && !(Array.isArray(ids) && ids.every(id => typeof id === 'string'))) {
+    return res.status(400).json({ error: 'ids must be a list of dead letter IDs' });
+  }
+
+  const queued = sendQueue.retryDeadLetters(ids);
+  logger.info('Retried dead letters', { count: queued, ids, by: req.telegramUser.id });
+  res.json({ queued });
+});
+
+// DELETE /admin/delivery-errors - Discard all failed messages
+router.delete('/delivery-errors', (req, res) => {
+  const discarded = sendQueue.clearDeadLetters();
+  logger.info('Cleared dead letters', { count: discarded, by: req.telegramUser.id });
+  res.json({ discarded });
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const sourceRegistry = require('../../services/sourceRegistry');
+const autoPoster = require('../../services/autoPoster');
+const postUpdater = require('../../services/postUpdater');
+const retractionService = require('../../services/retractionService');
+
+const router = express.Router();
+
+// Payloads seen recently, so plugin retries don't deliver a post twice
+const seenPayloads = new NodeCache({ stdTTL: 10 * 60 });
+
+/**
+ * Verify the HMAC-SHA256 signature of the raw request body. Accepts hex or
+ * base64 digests, optionally prefixed with "sha256=" as different plugins do.
+ * @param {Object} req - Express request with `rawBody`
+ * @param {string} secret - Shared secret of the source
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(req, secret) {
+  const { signatureHeader } = config.wordpress.webhook;
+  const received = (req.get(signatureHeader) || '').trim().replace(/^sha256=/i, '');
+  if (!received || !req.rawBody) return false;
+
+  const digest = crypto.createHmac('sha256', secret).update(req.rawBody).digest();
+  return [digest.toString('hex'), digest.toString('base64')].some(expected => {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  });
+}
+
+/**
+ * Extract the post ID and event type from the payloads of common webhook plugins
+ * @param {Object} body - Parsed request body
+ * @returns {Object} `{ postId, event }` where event is 'publish', 'update' or 'unpublish'
+ */
+function parseEvent(body = {}) {
+  const post = body.post || body.data || {};
+  const postId = Number(body.post_id || body.ID || body.id || post.ID || post.id) || null;
+  const action = String(body.action || body.event || body.hook || '').toLowerCase();
+  const status = String(body.post_status || body.status || post.post_status || post.status || '').toLowerCase();
+
+  let event = 'publish';
+  if (/trash|delete/.test(action) || ['trash', 'draft', 'private', 'pending'].includes(status)) {
+    event = 'unpublish';
+  } else if (/update|edit/.test(action)) {
+    event = 'update';
+  }
+
+  return { postId, event };
+}
+
+/**
+ * Fetch the post behind an event. Posts that are no longer public are
+ * retracted from Telegram; published ones update messages they were already
+ * sent as, and newly published ones go into the auto-posting delivery path.
+ * @param {Object} event - Parsed event
+ * @param {string} sourceId - Source that sent the event
+ */
+async function processEvent({ postId, event }, sourceId) {
+  const { post, reason } = await retractionService.checkPost(postId, sourceId);
+  if (reason) {
+    await retractionService.retractPost(`${sourceId}:${postId}`, reason);
+    return;
+  }
+
+  if (event === 'unpublish') {
+    logger.info('WordPress reported an unpublished post that is still public, ignoring', { postId, source: sourceId });
+    return;
+  }
+
+  await postUpdater.syncPost(post);
+  // Edits only change the messages the post was sent as
+  if (event === 'update') return;
+  await autoPoster.deliverPost(post);
+}
+
+// POST /hooks/wordpress[/:source] - Publish, update and trash notifications from WordPress.
+// Sister sites post to their own path, e.g. /hooks/wordpress/labs; the default source may omit it.
+router.post('/wordpress/:source?', (req, res) => {
+  const source = sourceRegistry.get(req.params.source || sourceRegistry.defaultId);
+  // Feed sources are only polled
+  if (!source || source.type === 'feed') {
+    return res.status(404).json({ error: 'Unknown source' });
+  }
+
+  // Sister sites without a secret of their own share the default one
+  const secret = source.webhookSecret || config.wordpress.webhook.secret;
+  if (!secret) {
+    return res.status(503).json({ error: 'WordPress webhook is not configured' });
+  }
+
+  if (!verifySignature(req, secret)) {
+    logger.warn('Rejected WordPress webhook with an invalid signature', { ip: req.ip, source: source.id });
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  const payloadHash = crypto.createHash('sha256').update(source.id).update(req.rawBody).digest('hex');
+  if (seenPayloads.has(payloadHash)) {
+    return res.json({ status: 'duplicate' });
+  }
+
+  const event = parseEvent(req.body);
+  if (!event.postId) {
+    return res.status(400).json({ error: 'Missing post ID' });
+  }
+
+  seenPayloads.set(payloadHash, true);
+  res.status(202).json({ status: 'accepted' });
+
+  // Respond first so slow deliveries don't make the plugin time out and retry
+  processEvent(event, source.id).catch((error) => {
+    logger.error('Failed to process WordPress webhook', {
+      source: source.id,
+      postId: event.postId,
+      event: event.event,
+      error: error.message
+    });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const readingList = require('../../services/readingList');
+const logger = require('../../utils/logger');
+const { NotFoundError } = require('../../utils/errors');
+
+const router = express.Router();
+
+// Mounted behind requireWebAppUser: the reading list is always the one of req.telegramUser.
+// The bot's 🔖 Save button and /saved command use the same ReadingList service.
+
+// GET /saved - The user's saved articles, most recently saved first
+router.get('/', (req, res) => {
+  res.json(readingList.list(req.telegramUser.id));
+});
+
+// POST /saved - Save an article: { "key": "main:123" }
+router.post('/', async (req, res) => {
+  const { key } = req.body || {};
+  if (!key || !/^([a-z0-9_-]+:)?\d+$/.test(String(key))) {
+    return res.status(400).json({ error: 'A post key like "main:123" is required' });
+  }
+
+  try {
+    const { item, added } = await readingList.save(req.telegramUser.id, String(key));
+    res.status(added ? 201 : 200).json(item);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    logger.error('Failed to save article from the Web App', {
+      userId: req.telegramUser.id,
+      key,
+      error: error.message
+    });
+    res.status(502).json({ error: 'Could not load the article, please try again' });
+  }
+});
+
+// DELETE /saved/:key - Remove an article from the reading list
+router.delete('/:key', (req, res) => {
+  if (!readingList.remove(req.telegramUser.id, req.params.key)) {
+    return res.status(404).json({ error: 'Article is not in the reading list' });
+  }
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -1,74 +1,88 @@
-<<<<<<< HEAD
 const express = require('express');
+const preferences = require('../../services/preferences');
+const sourceRegistry = require('../../services/sourceRegistry');
+const logger = require('../../utils/logger');
+const { serializePost } = require('../serialize');
+const { TAXONOMIES, describeChat, validateUpdate, applyUpdate } = require('../chatSettings');
+const { listManageableChats, requireChatAccess } = require('../middleware/chatAccess');
+
 const router = express.Router();
 
-// In-memory storage for user preferences
-// In a production app, this would be a database
-const userPreferences = {};
+// Every route here is mounted behind requireWebAppUser, so req.telegramUser is
+// the verified Telegram user. See chatSettings for how settings are read and changed.
+
+const PREVIEW_SIZE = 10;
 
-// POST /preferences - Store user preferences
-router.post('/', (req, res) => {
-  const { userId, categories } = req.body;
-  
-  if (!userId) {
-    return res.status(400).json({ error: 'userId is required' });
+// GET /preferences/chats - Chats the user can configure: their private chat and chats they administer
+router.get('/chats', async (req, res) => {
+  try {
+    const chats = await listManageableChats(req.telegramUser.id);
+    res.json(chats.map(chat => ({ ...chat, autoPosting: preferences.getPreferences(chat.id).autoPosting })));
+  } catch (error) {
+    logger.error('Failed to list chats for the Web App', { userId: req.telegramUser.id, error: error.message });
+    res.status(500).json({ error: 'Failed to list chats' });
   }
-  
-  userPreferences[userId] = {
-    userId,
-    categories: categories || [],
-    updatedAt: new Date().toISOString()
-  };
-  
-  res.status(201).json(userPreferences[userId]);
 });
 
-// GET /preferences/:userId - Get user preferences
-router.get('/:userId', (req, res) => {
-  const { userId } = req.params;
-  
-  if (!userPreferences[userId]) {
-    return res.status(404).json({ error: 'User preferences not found' });
+// GET /preferences/terms/:type?source=main - Live categories or tags of a source
+router.get('/terms/:type', async (req, res) => {
+  const { type } = req.params;
+  const source = sourceRegistry.get(req.query.source || sourceRegistry.defaultId);
+  if (!TAXONOMIES.includes(type) || !source) {
+    return res.status(404).json({ error: 'Unknown taxonomy or source' });
+  }
+
+  try {
+    const terms = type === 'categories' ? await source.client.getCategories() : await source.client.getTags();
+    res.json(terms.map(({ id, name, parent, count }) => ({ id, name, parent: parent || 0, count })));
+  } catch (error) {
+    logger.error(`Failed to fetch ${type} for the Web App`, { source: source.id, error: error.message });
+    res.status(502).json({ error: `Could not load ${type}, please try again` });
   }
-  
-  res.json(userPreferences[userId]);
 });
 
-=======
-const express = require('express');
-const router = express.Router();
+// GET /preferences/:chatId - Settings of a chat; "me" is the user's private chat
+router.get('/:chatId', requireChatAccess, (req, res) => {
+  res.json(describeChat(req.chatId));
+});
 
-// In-memory storage for user preferences
-// In a production app, this would be a database
-const userPreferences = {};
+// PATCH /preferences/:chatId - Change some settings of a chat
+router.patch('/:chatId', requireChatAccess, async (req, res) => {
+  const body = req.body || {};
+  const error = validateUpdate(body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-// POST /preferences - Store user preferences
-router.post('/', (req, res) => {
-  const { userId, categories } = req.body;
-  
-  if (!userId) {
-    return res.status(400).json({ error: 'userId is required' });
+  const { chatId } = req;
+
+  try {
+    await applyUpdate(chatId, body);
+    logger.info('Updated chat settings from the Web App', { chatId, by: req.telegramUser.id, changes: Object.keys(body) });
+    res.json(describeChat(chatId));
+  } catch (updateError) {
+    logger.error('Failed to update chat settings from the Web App', { chatId, error: updateError.message });
+    res.status(500).json({ error: 'Failed to update settings' });
   }
-  
-  userPreferences[userId] = {
-    userId,
-    categories: categories || [],
-    updatedAt: new Date().toISOString()
-  };
-  
-  res.status(201).json(userPreferences[userId]);
 });
 
-// GET /preferences/:userId - Get user preferences
-router.get('/:userId', (req, res) => {
-  const { userId } = req.params;
-  
-  if (!userPreferences[userId]) {
-    return res.status(404).json({ error: 'User preferences not found' });
+// GET /preferences/:chatId/preview - Latest posts matching the chat's sources and filters
+router.get('/:chatId/preview', requireChatAccess, async (req, res) => {
+  const prefs = preferences.getPreferences(req.chatId);
+
+  try {
+    const results = await Promise.all(prefs.sources.map(sourceId => sourceRegistry.client(sourceId).getPosts({
+      ...preferences.getFilters(prefs, sourceId),
+      perPage: PREVIEW_SIZE
+    })));
+    const posts = results.flat()
+      .sort((a, b) => new Date(`${b.dateGmt}Z`) - new Date(`${a.dateGmt}Z`))
+      .slice(0, PREVIEW_SIZE);
+    res.json(posts.map(serializePost));
+  } catch (error) {
+    logger.error('Failed to build preview for the Web App', { chatId: req.chatId, error: error.message });
+    res.status(502).json({ error: 'Could not load posts, please try again' });
   }
-  
-  res.json(userPreferences[userId]);
 });
 
->>>>>>> fddee1d865d2a53238848734df53742a08d23ba5
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,25 @@
+// Shapes of the data the HTTP API returns to the Web App
+
+/**
+ * Format a post for the HTTP API and the Web App
+ * @param {Object} post - Formatted post from a source client
+ * @returns {Object} `{ id, key, source, title, excerpt, url, date, image, categories }`
+ */
+function serializePost(post) {
+  return {
+    id: post.id,
+    key: post.key,
+    source: post.source,
+    title: post.title,
+    // Tags are removed but entities kept; the page decodes them into text
+    excerpt: post.excerpt.replace(/<[^>]*>?/gm, ''),
+    url: post.link,
+    date: post.date,
+    image: post.featuredImage || 'https://via.placeholder.com/800x400?text=No+Image',
+    categories: post.categories
+  };
+}
+
+module.exports = {
+  serializePost
+};
@@ -5,13 +5,19 @@ const path = require('path');
 const logger = require('./utils/logger');
 const botService = require('./services/botService');
 const config = require('./config');
+const { requireWebAppUser } = require('./backend/middleware/webAppAuth');
 
 // Initialize Express server
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for webhook signature checks; plugins send JSON or form data
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 app.use(express.static(path.join(__dirname, 'frontend')));
 
 // Health check endpoint
@@ -19,33 +25,21 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// API endpoint to get posts
-app.get('/posts', async (req, res) => {
-  try {
-    const wordpress = require('./services/wordpress');
-    const posts = await wordpress.getRecentPosts();
-    
-    // Format posts for the frontend
-    const formattedPosts = posts.map(post => ({
-      id: post.id,
-      title: post.title.rendered,
-      excerpt: post.excerpt.rendered.replace(/<[^>]*>?/gm, ''), // Remove HTML tags
-      content: post.content.rendered,
-      url: post.link,
-      date: post.date,
-      image: post.jetpack_featured_media_url || 'https://via.placeholder.com/800x400?text=No+Image',
-      categories: post.categories
-    }));
-    
-    res.json(formattedPosts);
-  } catch (error) {
-    console.error('Error fetching posts:', error);
-    res.status(500).json({ error: 'Failed to fetch posts' });
-  }
-});
+// WordPress push notifications
+app.use('/hooks', require('./backend/routes/hooks'));
+
+// Per-user data of the Web App, for the Telegram user its signed initData identifies
+app.use('/preferences', requireWebAppUser, require('./backend/routes/users'));
+app.use('/saved', requireWebAppUser, require('./backend/routes/saved'));
+
+// Admin console API, limited to ADMIN_USERS signed in through the Web App or the Telegram Login Widget
+app.use('/admin', require('./backend/routes/admin'));
+
+// Public read-only API of live posts and taxonomies, used by the Web App
+app.use('/api/v1', require('./backend/api'));
 
 // Start server
-const server = app.listen(config.server.port, () => {
+const server = app.listen(config.server.port, async () => {
   logger.info(`Server running on port ${config.server.port}`);
   
   try {
@@ -54,7 +48,8 @@ const server = app.listen(config.server.port, () => {
       telegram: {
         hasToken: !!config.telegram.token,
         adminUsers: config.telegram.adminUsers || [],
-        webAppUrl: config.telegram.webAppUrl || 'Not set'
+        webAppUrl: config.telegram.webAppUrl || 'Not set',
+        mode: config.telegram.webhook.enabled ? 'webhook' : 'polling'
       },
       wordpress: {
         apiUrl: config.wordpress.apiUrl || 'Not set',
@@ -68,7 +63,7 @@ const server = app.listen(config.server.port, () => {
     
     // Initialize and start the bot service
     logger.info('Initializing bot service...');
-    botService.initialize();
+    await botService.initialize(app);
     logger.info('Bot service initialization completed');
     
     if (config.telegram.webAppUrl) {
@@ -93,7 +88,7 @@ const shutdown = async (signal) => {
   
   try {
     // Stop the bot service
-    await botService.shutdown();
+    await botService.shutdown(signal);
     
     // Close the HTTP server
     server.close(() => {
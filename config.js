@@ -1,4 +1,7 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 
 // Validate required environment variables
 const requiredVars = ['BOT_TOKEN', 'WORDPRESS_API_URL'];
@@ -9,6 +12,54 @@ if (missingVars.length > 0) {
   process.exit(1);
 }
 
+/**
+ * Read the extra WordPress sources from WORDPRESS_SOURCES, given either as a
+ * JSON array or as the path of a JSON file containing one
+ * @returns {Array<Object>} Raw source definitions
+ */
+function loadExtraSources() {
+  const value = (process.env.WORDPRESS_SOURCES || '').trim();
+  if (!value) return [];
+
+  try {
+    const json = value.startsWith('[') ? value : fs.readFileSync(path.resolve(value), 'utf8');
+    const sources = JSON.parse(json);
+    if (!Array.isArray(sources)) throw new Error('expected an array of sources');
+    return sources;
+  } catch (error) {
+    console.error(`Error: Invalid WORDPRESS_SOURCES: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Normalize a source definition
+ * @param {Object} source - Raw definition
+ * @returns {Object} `{ id, type, name, emoji, apiUrl, feedUrl, auth, categories, tags, webhookSecret }`
+ */
+function normalizeSource(source) {
+  const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(s => String(s).trim())
+    .filter(Boolean);
+
+  return {
+    id: String(source.id || '').toLowerCase(),
+    // 'wordpress' reads the REST API at apiUrl, 'feed' an RSS or Atom feed at feedUrl
+    type: source.type === 'feed' ? 'feed' : 'wordpress',
+    name: source.name || source.id,
+    emoji: source.emoji || '',
+    apiUrl: source.apiUrl,
+    feedUrl: source.feedUrl,
+    auth: source.username && source.applicationPassword
+      ? { username: source.username, password: source.applicationPassword }
+      : null,
+    // IDs, slugs or names, like DEFAULT_CATEGORIES / DEFAULT_TAGS
+    categories: list(source.categories),
+    tags: list(source.tags),
+    webhookSecret: source.webhookSecret || ''
+  };
+}
+
 // Parse environment variables with defaults
 const config = {
   // Telegram settings
@@ -17,7 +68,19 @@ const config = {
     adminUsers: process.env.ADMIN_USERS 
       ? process.env.ADMIN_USERS.split(',').map(Number) 
       : [],
-    webAppUrl: process.env.WEB_APP_URL || ''
+    webAppUrl: process.env.WEB_APP_URL || '',
+    // Seconds a Web App session's signed initData is accepted after Telegram issued it
+    webAppAuthMaxAge: parseInt(process.env.WEB_APP_AUTH_MAX_AGE || '86400', 10),
+    // Receive updates through a webhook on the Express server instead of long polling
+    webhook: {
+      enabled: process.env.BOT_MODE === 'webhook',
+      domain: process.env.WEBHOOK_DOMAIN || process.env.WEB_APP_URL || '',
+      // Derived from the bot token when not set, so every container of a deployment agrees on it
+      secretToken: process.env.WEBHOOK_SECRET ||
+        crypto.createHash('sha256').update(`webhook:${process.env.BOT_TOKEN}`).digest('hex'),
+      // Off by default: in a rolling deploy the old container would remove the webhook the new one just set
+      deleteOnShutdown: process.env.WEBHOOK_DELETE_ON_SHUTDOWN === 'true'
+    }
   },
   
   // WordPress settings
@@ -28,24 +91,60 @@ const config = {
           username: process.env.WORDPRESS_USERNAME,
           password: process.env.WORDPRESS_APPLICATION_PASSWORD
         }
-      : null
+      : null,
+    // Extra attempts after a timeout, network error or 5xx response
+    maxRetries: parseInt(process.env.WORDPRESS_MAX_RETRIES || '2', 10),
+    // Seconds categories and tags are cached
+    taxonomyCacheTtl: parseInt(process.env.WORDPRESS_TAXONOMY_CACHE_TTL || '600', 10),
+    // Push notifications from a WordPress webhook plugin, signed with HMAC-SHA256
+    webhook: {
+      secret: process.env.WORDPRESS_WEBHOOK_SECRET || '',
+      signatureHeader: process.env.WORDPRESS_WEBHOOK_SIGNATURE_HEADER || 'X-WP-Webhook-Signature'
+    },
+    // Sites the bot syndicates. The first one is configured by the WORDPRESS_* variables above
+    // and is the default for commands and new chats; sister sites come from WORDPRESS_SOURCES.
+    sources: [
+      {
+        id: (process.env.WORDPRESS_SOURCE_ID || 'main').toLowerCase(),
+        name: process.env.WORDPRESS_SOURCE_NAME || 'Innovopedia',
+        emoji: process.env.WORDPRESS_SOURCE_EMOJI || '',
+        apiUrl: process.env.WORDPRESS_API_URL,
+        username: process.env.WORDPRESS_USERNAME,
+        applicationPassword: process.env.WORDPRESS_APPLICATION_PASSWORD,
+        categories: process.env.DEFAULT_CATEGORIES,
+        tags: process.env.DEFAULT_TAGS,
+        webhookSecret: process.env.WORDPRESS_WEBHOOK_SECRET
+      },
+      ...loadExtraSources()
+    ].map(normalizeSource)
   },
   
   // Post settings
   posts: {
     checkInterval: parseInt(process.env.POST_CHECK_INTERVAL || '600000', 10), // 10 minutes
+    // Default timezone for schedules, e.g. Europe/Berlin
+    timezone: process.env.DEFAULT_TIMEZONE || 'UTC',
+    // IDs, slugs or names; names are resolved against WordPress on startup
     defaultCategories: process.env.DEFAULT_CATEGORIES 
-      ? process.env.DEFAULT_CATEGORIES.split(',').map(Number).filter(Boolean)
+      ? process.env.DEFAULT_CATEGORIES.split(',').map(s => s.trim()).filter(Boolean)
       : [],
     defaultTags: process.env.DEFAULT_TAGS 
-      ? process.env.DEFAULT_TAGS.split(',').map(Number).filter(Boolean)
+      ? process.env.DEFAULT_TAGS.split(',').map(s => s.trim()).filter(Boolean)
       : []
   },
   
   // Server settings
   server: {
     port: parseInt(process.env.PORT || '3000', 10),
-    nodeEnv: process.env.NODE_ENV || 'development'
+    nodeEnv: process.env.NODE_ENV || 'development',
+    // Seconds /api/v1 responses are cached, in the server and by clients
+    apiCacheTtl: parseInt(process.env.API_CACHE_TTL || '60', 10)
+  },
+  
+  // Storage settings
+  storage: {
+    // Mount this directory as a persistent volume so state survives redeploys
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data')
   },
   
   // Logging
@@ -54,4 +153,15 @@ const config = {
   }
 };
 
+// Source IDs end up in callback data and stored post keys, so keep them short and simple
+const sourceIds = new Set();
+for (const source of config.wordpress.sources) {
+  const url = source.type === 'feed' ? source.feedUrl : source.apiUrl;
+  if (!/^[a-z0-9_-]{1,16}$/.test(source.id) || !url || sourceIds.has(source.id)) {
+    console.error(`Error: WordPress source "${source.id}" needs a unique id (a-z, 0-9, _ or -, up to 16 characters) and an ${source.type === 'feed' ? 'feedUrl' : 'apiUrl'}`);
+    process.exit(1);
+  }
+  sourceIds.add(source.id);
+}
+
 module.exports = config;
@@ -0,0 +1,610 @@
+// Admin console: registered chats, auto-posting, "post now", metrics and delivery errors.
+// Opened from the Web App it signs requests with the Web App's initData; in a
+// browser the admin logs in with the Telegram Login Widget instead.
+const tg = window.Telegram.WebApp;
+const inTelegram = Boolean(tg.initData);
+
+if (inTelegram) {
+  tg.expand();
+  document.body.classList.add('Telegram');
+}
+
+// Login Widget data, kept for the browser tab's session
+const LOGIN_STORAGE_KEY = 'innovopedia-admin-login';
+
+// DOM elements
+const loginView = document.getElementById('login-view');
+const consoleView = document.getElementById('console-view');
+const adminUser = document.getElementById('admin-user');
+const chatsContainer = document.getElementById('chats-container');
+const metricsRange = document.getElementById('metrics-range');
+const metricsContainer = document.getElementById('metrics-container');
+const errorsContainer = document.getElementById('errors-container');
+const tabButtons = document.querySelectorAll('.tab');
+
+// Registered chats by ID, as last loaded
+const chats = new Map();
+// Categories and tags of each source, keyed like "main:categories"
+const termCache = new Map();
+
+// Call the admin API as the signed-in Telegram user
+function adminFetch(path, options = {}) {
+  const auth = inTelegram
+    ? { 'X-Telegram-Init-Data': tg.initData }
+    : { 'X-Telegram-Login': sessionStorage.getItem(LOGIN_STORAGE_KEY) || '' };
+
+  return fetch(`/admin${path}`, {
+    ...options,
+    headers: {
+      ...(options.body && { 'Content-Type': 'application/json' }),
+      ...options.headers,
+      ...auth
+    }
+  });
+}
+
+// Show a message, with Telegram's popup inside the Web App
+function notify(message) {
+  if (inTelegram) {
+    tg.showAlert(message);
+  } else {
+    window.alert(message);
+  }
+}
+
+// Ask before doing something that can't be undone
+function confirmAction(message) {
+  if (!inTelegram) {
+    return Promise.resolve(window.confirm(message));
+  }
+  return new Promise(resolve => tg.showConfirm(message, resolve));
+}
+
+// Read the error message of a failed API response
+async function errorMessage(response, fallback) {
+  try {
+    const body = await response.json();
+    return body.error || fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Titles come from WordPress as HTML; show them as text
+function htmlText(html) {
+  return new DOMParser().parseFromString(html || '', 'text/html').body.textContent;
+}
+
+// Create an element with optional class and text
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+// Check who is signed in and open the console, or the login
+async function start() {
+  if (!inTelegram && !sessionStorage.getItem(LOGIN_STORAGE_KEY)) {
+    return showLogin();
+  }
+
+  const response = await adminFetch('/me');
+  if (response.status === 401 && !inTelegram) {
+    sessionStorage.removeItem(LOGIN_STORAGE_KEY);
+    return showLogin();
+  }
+  if (!response.ok) {
+    loginView.hidden = false;
+    loginView.innerHTML = `<div class="error"></div>`;
+    loginView.firstChild.textContent = await errorMessage(response, 'Could not sign you in.');
+    return;
+  }
+
+  const { user } = await response.json();
+  adminUser.textContent = `Signed in as ${user.username ? `@${user.username}` : user.first_name}`;
+  loginView.hidden = true;
+  consoleView.hidden = false;
+  loadChats();
+}
+
+// Show the Telegram Login Widget for the bot
+async function showLogin() {
+  loginView.hidden = false;
+  consoleView.hidden = true;
+
+  const response = await fetch('/admin/login');
+  const { botUsername } = response.ok ? await response.json() : {};
+  const widget = document.getElementById('login-widget');
+  if (!botUsername) {
+    widget.innerHTML = `<div class="error">The bot is not running yet. Try again in a moment.</div>`;
+    return;
+  }
+
+  // The widget calls window.onTelegramAuth with the signed user data
+  const script = document.createElement('script');
+  script.src = 'https://telegram.org/js/telegram-widget.js?22';
+  script.async = true;
+  script.dataset.telegramLogin = botUsername;
+  script.dataset.size = 'large';
+  script.dataset.onauth = 'onTelegramAuth(user)';
+  widget.innerHTML = '';
+  widget.appendChild(script);
+}
+
+window.onTelegramAuth = (user) => {
+  sessionStorage.setItem(LOGIN_STORAGE_KEY, new URLSearchParams(user).toString());
+  start();
+};
+
+// Load and show the registered chats
+async function loadChats() {
+  chatsContainer.innerHTML = `<div class="loading">Loading chats...</div>`;
+
+  try {
+    const response = await adminFetch('/chats');
+    if (!response.ok) {
+      throw new Error(await errorMessage(response, 'Failed to load chats'));
+    }
+    const list = await response.json();
+
+    chats.clear();
+    list.forEach(chat => chats.set(chat.id, chat));
+    if (list.length === 0) {
+      chatsContainer.innerHTML = `<div class="no-posts">The bot hasn't been added to any channel or group yet.</div>`;
+      return;
+    }
+    chatsContainer.innerHTML = '';
+    list.forEach(chat => chatsContainer.appendChild(createChatCard(chat)));
+  } catch (error) {
+    console.error('Error fetching chats:', error);
+    chatsContainer.innerHTML = `<div class="error">Failed to load chats.</div>`;
+  }
+}
+
+// Describe how a chat gets its posts
+function describeDelivery(chat) {
+  if (chat.deliveryMode !== 'digest') return 'Each post as it\'s published';
+  const { frequency, time } = chat.digest;
+  return `${frequency === 'weekly' ? 'Weekly' : 'Daily'} digest at ${time} (${chat.timezone})`;
+}
+
+// Describe the sites and filters of a chat
+function describeFilters(chat) {
+  return chat.sources
+    .filter(source => source.subscribed)
+    .map((source) => {
+      const filters = [];
+      if (source.categories.length > 0) filters.push(`${source.categories.length} categories`);
+      if (source.tags.length > 0) filters.push(`${source.tags.length} tags`);
+      const label = chat.sources.length > 1 ? `${source.label}: ` : '';
+      return `${label}${filters.length > 0 ? filters.join(', ') : 'all posts'}`;
+    })
+    .join(' · ');
+}
+
+// Build the card of a chat with its settings and actions
+function createChatCard(chat) {
+  const card = element('div', 'post-card admin-card');
+  card.dataset.chatId = chat.id;
+  const content = element('div', 'post-content');
+  card.appendChild(content);
+
+  content.appendChild(element('h2', 'post-title', chat.title));
+  const details = [chat.type, chat.username ? `@${chat.username}` : null, chat.postingWindow ? 'posting window' : null];
+  content.appendChild(element('p', 'post-excerpt', details.filter(Boolean).join(' · ')));
+  if (!chat.canPost) {
+    content.appendChild(element('p', 'error admin-warning', '⚠️ The bot is not allowed to post in this chat.'));
+  }
+  content.appendChild(element('p', 'admin-detail', `🗞 ${describeDelivery(chat)}`));
+  content.appendChild(element('p', 'admin-detail', `🏷 ${describeFilters(chat)}`));
+
+  const toggle = element('label', 'field field-inline');
+  toggle.innerHTML = `<input type="checkbox"><span>Auto-posting</span>`;
+  const checkbox = toggle.querySelector('input');
+  checkbox.checked = chat.autoPosting;
+  checkbox.addEventListener('change', () => updateChat(chat.id, { autoPosting: checkbox.checked }));
+  content.appendChild(toggle);
+
+  const actions = element('div', 'post-actions');
+  const editButton = element('button', 'btn btn-secondary', 'Edit');
+  const postButton = element('button', 'btn btn-primary', 'Post now');
+  actions.append(editButton, postButton);
+  content.appendChild(actions);
+
+  const panel = element('div', 'admin-panel');
+  panel.hidden = true;
+  content.appendChild(panel);
+
+  const openPanel = (build) => {
+    panel.innerHTML = '';
+    panel.appendChild(build(chat));
+    panel.hidden = false;
+  };
+  editButton.addEventListener('click', () => openPanel(createChatEditor));
+  postButton.addEventListener('click', () => openPanel(createPostPicker));
+
+  return card;
+}
+
+// Save some settings of a chat and refresh its card
+async function updateChat(chatId, update) {
+  try {
+    const response = await adminFetch(`/chats/${encodeURIComponent(chatId)}`, {
+      method: 'PATCH',
+      body: JSON.stringify(update)
+    });
+    if (!response.ok) {
+      notify(await errorMessage(response, 'Failed to save the settings.'));
+    } else {
+      chats.set(chatId, await response.json());
+    }
+  } catch (error) {
+    console.error('Error updating chat:', error);
+    notify('Failed to save the settings. Please try again.');
+  }
+
+  const card = chatsContainer.querySelector(`[data-chat-id="${CSS.escape(chatId)}"]`);
+  if (card) {
+    card.replaceWith(createChatCard(chats.get(chatId)));
+  }
+}
+
+// Fetch the categories or tags of a source from the public API
+async function fetchTerms(sourceId, type) {
+  const cacheKey = `${sourceId}:${type}`;
+  if (!termCache.has(cacheKey)) {
+    const response = await fetch(`/api/v1/${type}?source=${encodeURIComponent(sourceId)}`);
+    if (!response.ok) {
+      throw new Error(await errorMessage(response, `Failed to load ${type}`));
+    }
+    termCache.set(cacheKey, await response.json());
+  }
+  return termCache.get(cacheKey);
+}
+
+// Build the editor of a chat's delivery, sites and filters
+function createChatEditor(chat) {
+  const form = element('form', 'settings');
+  const selected = new Map();
+
+  const delivery = element('label', 'field');
+  delivery.innerHTML = `
+    <span>Delivery</span>
+    <select>
+      <option value="instant">Each post as it's published</option>
+      <option value="daily">Daily digest</option>
+      <option value="weekly">Weekly digest</option>
+    </select>
+  `;
+  const deliverySelect = delivery.querySelector('select');
+  deliverySelect.value = chat.deliveryMode === 'digest' ? chat.digest.frequency : 'instant';
+  form.appendChild(delivery);
+
+  chat.sources.forEach((source) => {
+    const fieldset = element('fieldset', 'source-settings');
+    fieldset.dataset.source = source.id;
+    fieldset.appendChild(element('legend', null, source.label));
+
+    if (chat.sources.length > 1) {
+      const subscribed = element('label', 'field field-inline');
+      subscribed.innerHTML = `<input type="checkbox" class="source-subscribed"><span>Subscribed</span>`;
+      subscribed.querySelector('input').checked = source.subscribed;
+      fieldset.appendChild(subscribed);
+    }
+
+    const types = source.type === 'feed' ? ['categories'] : ['categories', 'tags'];
+    types.forEach((type) => {
+      const ids = new Set(source[type]);
+      selected.set(`${source.id}:${type}`, ids);
+
+      const chips = element('div', 'chips');
+      chips.appendChild(element('span', 'hint', `Loading ${type}...`));
+      fieldset.append(element('h3', 'terms-title', type === 'categories' ? 'Categories' : 'Tags'), chips);
+
+      fetchTerms(source.id, type)
+        .then((terms) => {
+          chips.innerHTML = '';
+          terms.forEach((term) => {
+            const chip = element('button', 'chip', htmlText(term.name));
+            chip.type = 'button';
+            chip.classList.toggle('selected', ids.has(term.id));
+            chip.addEventListener('click', () => {
+              if (ids.has(term.id)) ids.delete(term.id); else ids.add(term.id);
+              chip.classList.toggle('selected', ids.has(term.id));
+            });
+            chips.appendChild(chip);
+          });
+          chips.appendChild(element('span', 'hint', 'Nothing selected means all posts.'));
+        })
+        .catch((error) => {
+          console.error(`Error fetching ${type}:`, error);
+          chips.innerHTML = '';
+          chips.appendChild(element('span', 'hint error', `Could not load ${type}.`));
+        });
+    });
+
+    form.appendChild(fieldset);
+  });
+
+  const saveButton = element('button', 'btn btn-primary', 'Save');
+  saveButton.type = 'submit';
+  form.appendChild(saveButton);
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+
+    const sources = [...form.querySelectorAll('.source-settings')]
+      .filter((fieldset) => {
+        const checkbox = fieldset.querySelector('.source-subscribed');
+        return !checkbox || checkbox.checked;
+      })
+      .map(fieldset => fieldset.dataset.source);
+    if (sources.length === 0) {
+      notify('Subscribe the chat to at least one site.');
+      return;
+    }
+
+    const filters = {};
+    chat.sources.forEach((source) => {
+      filters[source.id] = {
+        categories: [...(selected.get(`${source.id}:categories`) || [])],
+        tags: [...(selected.get(`${source.id}:tags`) || [])]
+      };
+    });
+
+    const mode = deliverySelect.value;
+    saveButton.disabled = true;
+    updateChat(chat.id, {
+      deliveryMode: mode === 'instant' ? 'instant' : 'digest',
+      ...(mode !== 'instant' && { digest: { frequency: mode } }),
+      sources,
+      filters
+    });
+  });
+
+  return form;
+}
+
+// Build the picker of an article to send to a chat now
+function createPostPicker(chat) {
+  const picker = element('div', 'settings');
+  const subscribed = chat.sources.filter(source => source.subscribed);
+
+  const search = element('form', 'post-actions');
+  const sourceSelect = element('select');
+  subscribed.forEach(source => sourceSelect.appendChild(Object.assign(element('option', null, source.label), { value: source.id })));
+  sourceSelect.hidden = subscribed.length < 2;
+  const query = element('input');
+  query.type = 'text';
+  query.placeholder = 'Search articles';
+  const searchButton = element('button', 'btn btn-secondary', 'Search');
+  searchButton.type = 'submit';
+  search.append(sourceSelect, query, searchButton);
+
+  const latestButton = element('button', 'btn btn-primary', 'Send the latest matching post');
+  const results = element('div', 'admin-list');
+  picker.append(latestButton, search, results);
+
+  const send = async (key, title) => {
+    const confirmed = await confirmAction(`Send "${title}" to ${chat.title} now?`);
+    if (!confirmed) return;
+
+    try {
+      const response = await adminFetch(`/chats/${encodeURIComponent(chat.id)}/post`, {
+        method: 'POST',
+        body: JSON.stringify(key ? { key } : {})
+      });
+      if (!response.ok) {
+        notify(await errorMessage(response, 'Failed to send the post.'));
+        return;
+      }
+      const post = await response.json();
+      notify(`Sent "${htmlText(post.title)}" to ${chat.title}.`);
+    } catch (error) {
+      console.error('Error sending post:', error);
+      notify('Failed to send the post. Please try again.');
+    }
+  };
+
+  latestButton.addEventListener('click', () => send(null, 'the latest matching post'));
+
+  const showResults = async () => {
+    results.innerHTML = `<div class="loading">Loading articles...</div>`;
+    try {
+      const params = new URLSearchParams({ source: sourceSelect.value, per_page: '5' });
+      if (query.value.trim()) params.set('search', query.value.trim());
+      const response = await fetch(`/api/v1/posts?${params}`);
+      if (!response.ok) {
+        throw new Error(await errorMessage(response, 'Failed to load posts'));
+      }
+      const posts = await response.json();
+
+      results.innerHTML = '';
+      if (posts.length === 0) {
+        results.appendChild(element('div', 'no-posts', 'No articles found.'));
+      }
+      posts.forEach((post) => {
+        const title = htmlText(post.title);
+        const row = element('div', 'admin-row');
+        const sendButton = element('button', 'btn btn-secondary', 'Send');
+        sendButton.addEventListener('click', () => send(post.key, title));
+        row.append(element('span', null, `${title} (${new Date(post.date).toLocaleDateString()})`), sendButton);
+        results.appendChild(row);
+      });
+    } catch (error) {
+      console.error('Error fetching posts:', error);
+      results.innerHTML = `<div class="error">Failed to load articles.</div>`;
+    }
+  };
+
+  search.addEventListener('submit', (event) => {
+    event.preventDefault();
+    showResults();
+  });
+  showResults();
+
+  return picker;
+}
+
+// Load and show the usage summary
+async function loadMetrics() {
+  metricsContainer.innerHTML = `<div class="loading">Loading metrics...</div>`;
+
+  let summary;
+  try {
+    const response = await adminFetch(`/metrics?range=${metricsRange.value}`);
+    if (!response.ok) {
+      throw new Error(await errorMessage(response, 'Failed to load metrics'));
+    }
+    summary = await response.json();
+  } catch (error) {
+    console.error('Error fetching metrics:', error);
+    metricsContainer.innerHTML = `<div class="error">Failed to load metrics.</div>`;
+    return;
+  }
+
+  metricsContainer.innerHTML = '';
+
+  const totals = element('div', 'stats');
+  [
+    ['Users', summary.totalUsers],
+    ['Active users', summary.activeUsers],
+    ['Posts sent', summary.totalPostsSent],
+    ['Searches', summary.totalSearches],
+    ['Scheduled posts', summary.totalScheduledPosts]
+  ].forEach(([label, value]) => {
+    const stat = element('div', 'stat');
+    stat.append(element('strong', null, String(value ?? 0)), element('span', null, label));
+    totals.appendChild(stat);
+  });
+  metricsContainer.appendChild(totals);
+
+  const addList = (title, rows) => {
+    metricsContainer.appendChild(element('h2', 'section-title', title));
+    if (rows.length === 0) {
+      metricsContainer.appendChild(element('p', 'hint', 'Nothing in this period.'));
+      return;
+    }
+    const list = element('div', 'admin-list');
+    rows.forEach(([label, count]) => {
+      const row = element('div', 'admin-row');
+      row.append(element('span', null, label), element('strong', null, String(count)));
+      list.appendChild(row);
+    });
+    metricsContainer.appendChild(list);
+  };
+
+  addList('Commands', summary.commandUsage.map(([command, count]) => [`/${command}`, count]));
+  addList('Posts sent per chat', summary.channelUsage.map(([chatId, count]) => [chats.get(chatId)?.title || chatId, count]));
+  addList('Most sent posts', summary.postUsage.map(post => [htmlText(post.title) || `Post ${post.postId}`, post.count]));
+}
+
+// Load and show messages the bot could not deliver
+async function loadErrors() {
+  errorsContainer.innerHTML = `<div class="loading">Loading delivery errors...</div>`;
+
+  let result;
+  try {
+    const response = await adminFetch('/delivery-errors');
+    if (!response.ok) {
+      throw new Error(await errorMessage(response, 'Failed to load delivery errors'));
+    }
+    result = await response.json();
+  } catch (error) {
+    console.error('Error fetching delivery errors:', error);
+    errorsContainer.innerHTML = `<div class="error">Failed to load delivery errors.</div>`;
+    return;
+  }
+
+  errorsContainer.innerHTML = '';
+  if (result.total === 0) {
+    errorsContainer.appendChild(element('div', 'no-posts', '✅ Every message was delivered.'));
+    return;
+  }
+  if (result.total > result.errors.length) {
+    errorsContainer.appendChild(element('p', 'hint', `Showing the latest ${result.errors.length} of ${result.total}.`));
+  }
+
+  result.errors.forEach((letter) => {
+    const row = element('div', 'admin-row');
+    const text = element('div');
+    text.append(
+      element('strong', null, letter.chatTitle || 'Unknown chat'),
+      element('p', 'post-excerpt', `${letter.method}: ${letter.error}`),
+      element('p', 'hint', `${letter.attempts} attempt(s), ${new Date(letter.failedAt).toLocaleString()}`)
+    );
+    const retryButton = element('button', 'btn btn-secondary', 'Retry');
+    retryButton.addEventListener('click', () => retryErrors([letter.id]));
+    row.append(text, retryButton);
+    errorsContainer.appendChild(row);
+  });
+}
+
+// Queue failed messages again; all of them without IDs
+async function retryErrors(ids) {
+  try {
+    const response = await adminFetch('/delivery-errors/retry', {
+      method: 'POST',
+      body: JSON.stringify(ids ? { ids } : {})
+    });
+    if (!response.ok) {
+      throw new Error(await errorMessage(response, 'Failed to retry'));
+    }
+    const { queued } = await response.json();
+    notify(`Queued ${queued} message(s) again.`);
+  } catch (error) {
+    console.error('Error retrying delivery errors:', error);
+    notify('Failed to retry the messages. Please try again.');
+  }
+  loadErrors();
+}
+
+// Discard every failed message
+async function clearErrors() {
+  if (!await confirmAction('Discard every failed message?')) return;
+
+  try {
+    const response = await adminFetch('/delivery-errors', { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error(await errorMessage(response, 'Failed to discard'));
+    }
+  } catch (error) {
+    console.error('Error clearing delivery errors:', error);
+    notify('Failed to discard the messages. Please try again.');
+  }
+  loadErrors();
+}
+
+// Switch between the Chats, Metrics and Delivery errors tabs, reloading the one shown
+function showTab(name) {
+  tabButtons.forEach(button => button.classList.toggle('active', button.dataset.tab === name));
+  document.getElementById('chats-view').hidden = name !== 'chats';
+  document.getElementById('metrics-view').hidden = name !== 'metrics';
+  document.getElementById('errors-view').hidden = name !== 'errors';
+
+  if (name === 'chats') loadChats();
+  if (name === 'metrics') loadMetrics();
+  if (name === 'errors') loadErrors();
+}
+
+// Initialize the console
+function init() {
+  tabButtons.forEach(button => button.addEventListener('click', () => showTab(button.dataset.tab)));
+  metricsRange.addEventListener('change', loadMetrics);
+  document.getElementById('retry-errors').addEventListener('click', () => retryErrors());
+  document.getElementById('clear-errors').addEventListener('click', clearErrors);
+
+  start().catch((error) => {
+    console.error('Error starting the admin console:', error);
+    loginView.hidden = false;
+    loginView.innerHTML = `<div class="error">Failed to load the admin console. Please try again later.</div>`;
+  });
+}
+
+// Start the console when the DOM is fully loaded
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
@@ -4,98 +4,567 @@ const tg = window.Telegram.WebApp;
 // Expand the WebApp to full height
 tg.expand();
 
-// Get user information from Telegram WebApp
-const user = tg.initDataUnsafe?.user || {};
-const userId = user.id || 'anonymous';
+// Call the backend API. The raw, signed initData identifies the user: the
+// backend verifies it and never trusts user IDs sent by the page.
+function apiFetch(path, options = {}) {
+  return fetch(path, {
+    ...options,
+    headers: {
+      ...options.headers,
+      'X-Telegram-Init-Data': tg.initData
+    }
+  });
+}
 
 // DOM elements
 const postsContainer = document.getElementById('posts-container');
+const loadMoreButton = document.getElementById('load-more');
+const savedContainer = document.getElementById('saved-container');
+const tabButtons = document.querySelectorAll('.tab');
+const chatSelect = document.getElementById('chat-select');
+const settingsForm = document.getElementById('settings-form');
+const sourceSettings = document.getElementById('source-settings');
+const previewContainer = document.getElementById('preview-container');
+
+// Keys of the articles in the user's reading list, e.g. "main:123"
+const savedKeys = new Set();
+
+// Settings of the chat picked in the Subscriptions tab, as returned by the backend
+let chatSettings = null;
+// Category and tag IDs picked per source, keyed like "main:categories"
+const selectedTerms = new Map();
+// Categories and tags of each source, keyed like selectedTerms
+const termCache = new Map();
+
+// Paging state of the feed
+const PAGE_SIZE = 10;
+let currentPage = 0;
+let totalPages = 1;
 
-// Fetch posts from the backend API
+// Fetch the next page of posts from the backend API
 async function fetchPosts() {
+  loadMoreButton.disabled = true;
   try {
-    const response = await fetch('/posts');
+    const response = await fetch(`/api/v1/posts?page=${currentPage + 1}&per_page=${PAGE_SIZE}`);
     if (!response.ok) {
       throw new Error('Failed to fetch posts');
     }
     const posts = await response.json();
-    renderPosts(posts);
+    currentPage++;
+    totalPages = parseInt(response.headers.get('X-Total-Pages'), 10) || currentPage;
+    renderPosts(posts, currentPage > 1);
   } catch (error) {
     console.error('Error fetching posts:', error);
-    postsContainer.innerHTML = `<div class="error">Failed to load posts. Please try again later.</div>`;
+    if (currentPage === 0) {
+      postsContainer.innerHTML = `<div class="error">Failed to load posts. Please try again later.</div>`;
+    } else {
+      tg.showAlert('Failed to load more posts. Please try again.');
+    }
+  } finally {
+    loadMoreButton.disabled = false;
+    loadMoreButton.hidden = currentPage === 0 || currentPage >= totalPages;
   }
 }
 
-// Render posts to the DOM
-function renderPosts(posts) {
+// Render posts to the DOM, after the ones already shown when appending
+function renderPosts(posts, append = false) {
+  if (append) {
+    posts.forEach(appendPost);
+    return;
+  }
+
   if (!posts || posts.length === 0) {
     postsContainer.innerHTML = `<div class="no-posts">No posts available.</div>`;
     return;
   }
 
   postsContainer.innerHTML = '';
-  
-  posts.forEach(post => {
-    const postCard = document.createElement('div');
-    postCard.className = 'post-card';
-    postCard.innerHTML = `
-      <img src="${post.image}" alt="${post.title}" class="post-image">
-      <div class="post-content">
-        <h2 class="post-title">${post.title}</h2>
-        <p class="post-excerpt">${post.excerpt}</p>
-        <div class="post-actions">
-          <a href="${post.url}" target="_blank" class="btn btn-primary">Read Full</a>
-          <button class="btn btn-secondary save-btn" data-id="${post.id}">Save</button>
-        </div>
+  posts.forEach(appendPost);
+}
+
+// Add a post card to the feed
+function appendPost(post) {
+  postsContainer.appendChild(createPostCard(post));
+}
+
+// Titles and excerpts come from the sources as HTML; show them as text
+function htmlText(html) {
+  return new DOMParser().parseFromString(html || '', 'text/html').body.textContent;
+}
+
+// Only link to web addresses, so a javascript: URL from a source can't run in the page
+function safeUrl(url) {
+  try {
+    const parsed = new URL(url, window.location.href);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Build the card of a post. Everything from the source is set as text or properties.
+function createPostCard(post) {
+  const postCard = document.createElement('div');
+  postCard.className = 'post-card';
+  postCard.innerHTML = `
+    <img class="post-image" alt="">
+    <div class="post-content">
+      <h2 class="post-title"></h2>
+      <p class="post-excerpt"></p>
+      <div class="post-actions">
+        <a target="_blank" class="btn btn-primary">Read Full</a>
+        <button class="btn btn-secondary save-btn">Save</button>
       </div>
-    `;
-    postsContainer.appendChild(postCard);
-  });
+    </div>
+  `;
 
-  // Add event listeners to save buttons
-  document.querySelectorAll('.save-btn').forEach(button => {
-    button.addEventListener('click', handleSavePost);
-  });
+  const title = htmlText(post.title);
+  const image = postCard.querySelector('.post-image');
+  const imageUrl = safeUrl(post.image);
+  if (imageUrl) {
+    image.src = imageUrl;
+    image.alt = title;
+  } else {
+    image.remove();
+  }
+  postCard.querySelector('.post-title').textContent = title;
+  postCard.querySelector('.post-excerpt').textContent = htmlText(post.excerpt);
+
+  const link = postCard.querySelector('a');
+  const url = safeUrl(post.url);
+  if (url) {
+    link.href = url;
+  } else {
+    link.remove();
+  }
+
+  const saveButton = postCard.querySelector('.save-btn');
+  saveButton.dataset.key = post.key;
+  updateSaveButton(saveButton);
+  saveButton.addEventListener('click', handleSavePost);
+  return postCard;
+}
+
+// Show whether the article of a Save button is already in the reading list
+function updateSaveButton(button) {
+  const saved = savedKeys.has(button.dataset.key);
+  button.textContent = saved ? '🔖 Saved' : 'Save';
+  button.disabled = saved;
 }
 
-// Handle saving a post
+// Handle saving a post to the reading list shared with the bot
 async function handleSavePost(event) {
-  const postId = event.target.dataset.id;
-  
-  // Show a notification using Telegram's native UI
-  tg.showPopup({
-    title: 'Save Article',
-    message: 'This feature is coming soon!',
-    buttons: [{ type: 'ok' }]
-  });
-  
-  // In a real app, you would save the post to the user's preferences
-  // Example code (commented out for now):
-  /*
+  const button = event.target;
+  button.disabled = true;
+
   try {
-    const response = await fetch('/preferences', {
+    const response = await apiFetch('/saved', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({
-        userId: userId,
-        categories: [],
-        savedPosts: [postId]
-      })
+      body: JSON.stringify({ key: button.dataset.key })
     });
-    
-    if (response.ok) {
-      tg.showPopup({
-        title: 'Success',
-        message: 'Article saved successfully!',
-        buttons: [{ type: 'ok' }]
-      });
+
+    if (response.status === 401) {
+      tg.showAlert('Open this page from the bot in Telegram to save articles.');
+      button.disabled = false;
+      return;
+    }
+    if (!response.ok) {
+      throw new Error('Failed to save post');
     }
+
+    savedKeys.add(button.dataset.key);
+    updateSaveButton(button);
   } catch (error) {
     console.error('Error saving post:', error);
+    tg.showAlert('Failed to save the article. Please try again.');
+    button.disabled = false;
+  }
+}
+
+// Fetch the user's reading list; only works inside Telegram
+async function fetchSaved() {
+  const response = await apiFetch('/saved');
+  if (!response.ok) {
+    throw new Error(`Failed to fetch saved posts (${response.status})`);
+  }
+  const items = await response.json();
+  savedKeys.clear();
+  items.forEach(item => savedKeys.add(item.key));
+  return items;
+}
+
+// Render the Saved tab
+async function renderSaved() {
+  savedContainer.innerHTML = `<div class="loading">Loading saved articles...</div>`;
+
+  let items;
+  try {
+    items = await fetchSaved();
+  } catch (error) {
+    console.error('Error fetching saved posts:', error);
+    savedContainer.innerHTML = `<div class="error">Failed to load your reading list. Open this page from the bot in Telegram.</div>`;
+    return;
+  }
+
+  if (items.length === 0) {
+    savedContainer.innerHTML = `<div class="no-posts">Nothing saved yet. Tap Save on an article, here or under a post in Telegram.</div>`;
+    return;
+  }
+
+  savedContainer.innerHTML = '';
+  items.forEach(appendSavedItem);
+}
+
+// Add a saved article card. Titles are stored as plain text, so they are set as text.
+function appendSavedItem(item) {
+  const card = document.createElement('div');
+  card.className = 'post-card';
+  card.innerHTML = `
+    <img class="post-image" alt="">
+    <div class="post-content">
+      <h2 class="post-title"></h2>
+      <p class="post-excerpt"></p>
+      <div class="post-actions">
+        <a target="_blank" class="btn btn-primary">Read Full</a>
+        <button class="btn btn-secondary remove-btn">Remove</button>
+      </div>
+    </div>
+  `;
+
+  const image = card.querySelector('.post-image');
+  const imageUrl = safeUrl(item.image);
+  if (imageUrl) {
+    image.src = imageUrl;
+  } else {
+    image.remove();
+  }
+  card.querySelector('.post-title').textContent = item.title;
+  card.querySelector('.post-excerpt').textContent = `Saved ${new Date(item.savedAt).toLocaleDateString()}`;
+  const link = card.querySelector('a');
+  const url = safeUrl(item.link);
+  if (url) {
+    link.href = url;
+  } else {
+    link.remove();
+  }
+  card.querySelector('.remove-btn').addEventListener('click', () => handleRemoveSaved(item.key, card));
+  savedContainer.appendChild(card);
+}
+
+// Remove an article from the reading list
+async function handleRemoveSaved(key, card) {
+  try {
+    const response = await apiFetch(`/saved/${encodeURIComponent(key)}`, { method: 'DELETE' });
+    if (!response.ok && response.status !== 404) {
+      throw new Error('Failed to remove saved post');
+    }
+
+    savedKeys.delete(key);
+    card.remove();
+    document.querySelectorAll('.save-btn').forEach(updateSaveButton);
+    if (savedContainer.children.length === 0) {
+      savedContainer.innerHTML = `<div class="no-posts">Nothing saved yet. Tap Save on an article, here or under a post in Telegram.</div>`;
+    }
+  } catch (error) {
+    console.error('Error removing saved post:', error);
+    tg.showAlert('Failed to remove the article. Please try again.');
+  }
+}
+
+// Read the error message of a failed API response
+async function errorMessage(response, fallback) {
+  try {
+    const body = await response.json();
+    return body.error || fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Fill the chat picker of the Subscriptions tab and load the first chat
+async function loadChats() {
+  const selected = chatSelect.value;
+  try {
+    const response = await apiFetch('/preferences/chats');
+    if (!response.ok) {
+      throw new Error(`Failed to fetch chats (${response.status})`);
+    }
+    const chats = await response.json();
+
+    chatSelect.innerHTML = '';
+    chats.forEach(chat => {
+      const option = document.createElement('option');
+      option.value = chat.type === 'private' ? 'me' : chat.id;
+      option.textContent = chat.type === 'private' ? 'My private chat' : chat.title;
+      chatSelect.appendChild(option);
+    });
+    if (selected && [...chatSelect.options].some(option => option.value === selected)) {
+      chatSelect.value = selected;
+    }
+    await loadChatSettings(chatSelect.value);
+  } catch (error) {
+    console.error('Error fetching chats:', error);
+    settingsForm.hidden = true;
+    previewContainer.innerHTML = `<div class="error">Failed to load your chats. Open this page from the bot in Telegram.</div>`;
+  }
+}
+
+// Load and show the settings of a chat; "me" is the user's private chat
+async function loadChatSettings(chatId) {
+  settingsForm.hidden = true;
+  previewContainer.innerHTML = `<div class="loading">Loading settings...</div>`;
+
+  try {
+    const response = await apiFetch(`/preferences/${encodeURIComponent(chatId)}`);
+    if (!response.ok) {
+      throw new Error(await errorMessage(response, 'Failed to load settings'));
+    }
+    renderChatSettings(await response.json());
+    await renderPreview();
+  } catch (error) {
+    console.error('Error fetching chat settings:', error);
+    previewContainer.innerHTML = `<div class="error">Failed to load the settings of this chat.</div>`;
+  }
+}
+
+// Show a chat's settings in the form
+function renderChatSettings(settings) {
+  chatSettings = settings;
+  const { elements } = settingsForm;
+
+  elements.autoPosting.checked = settings.autoPosting;
+  elements.delivery.value = settings.deliveryMode === 'digest' ? settings.digest.frequency : 'instant';
+  elements.time.value = settings.digest.time;
+  elements.weekday.value = String(settings.digest.weekday);
+  elements.cover.checked = settings.digest.cover;
+  elements.timezone.value = settings.timezone;
+  updateDigestFields();
+
+  selectedTerms.clear();
+  sourceSettings.innerHTML = '';
+  settings.sources.forEach(source => {
+    selectedTerms.set(`${source.id}:categories`, new Set(source.categories));
+    selectedTerms.set(`${source.id}:tags`, new Set(source.tags));
+    sourceSettings.appendChild(createSourceSettings(source, settings.sources.length > 1));
+  });
+
+  settingsForm.hidden = false;
+}
+
+// Show the digest schedule only for digests, and the day only for weekly ones
+function updateDigestFields() {
+  const delivery = settingsForm.elements.delivery.value;
+  settingsForm.querySelector('.digest-fields').hidden = delivery === 'instant';
+  settingsForm.querySelector('.weekday-field').hidden = delivery !== 'weekly';
+}
+
+// Build the subscription and filter settings of one source
+function createSourceSettings(source, multiple) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'source-settings';
+  fieldset.dataset.source = source.id;
+
+  const legend = document.createElement('legend');
+  legend.textContent = multiple ? source.label : 'Topics';
+  fieldset.appendChild(legend);
+
+  // With a single site there is nothing to unsubscribe from
+  if (multiple) {
+    const label = document.createElement('label');
+    label.className = 'field field-inline';
+    label.innerHTML = `<input type="checkbox" class="source-subscribed"><span>Subscribed</span>`;
+    label.querySelector('input').checked = source.subscribed;
+    fieldset.appendChild(label);
+  }
+
+  const types = source.type === 'feed' ? ['categories'] : ['categories', 'tags'];
+  types.forEach(type => {
+    const heading = document.createElement('h3');
+    heading.className = 'terms-title';
+    heading.textContent = type === 'categories' ? 'Categories' : 'Tags';
+
+    const chips = document.createElement('div');
+    chips.className = 'chips';
+    chips.innerHTML = `<span class="hint">Loading ${type}...</span>`;
+
+    fieldset.append(heading, chips);
+    renderTerms(source.id, type, chips);
+  });
+
+  return fieldset;
+}
+
+// Fetch the categories or tags of a source, once per visit
+async function fetchTerms(sourceId, type) {
+  const cacheKey = `${sourceId}:${type}`;
+  if (!termCache.has(cacheKey)) {
+    const response = await apiFetch(`/preferences/terms/${type}?source=${encodeURIComponent(sourceId)}`);
+    if (!response.ok) {
+      throw new Error(await errorMessage(response, `Failed to load ${type}`));
+    }
+    termCache.set(cacheKey, await response.json());
+  }
+  return termCache.get(cacheKey);
+}
+
+// Show the categories or tags of a source as chips toggling the chat's filter
+async function renderTerms(sourceId, type, chips) {
+  const selected = selectedTerms.get(`${sourceId}:${type}`);
+
+  let terms;
+  try {
+    terms = await fetchTerms(sourceId, type);
+  } catch (error) {
+    console.error(`Error fetching ${type}:`, error);
+    chips.innerHTML = `<span class="hint error">${type === 'categories' ? 'Categories' : 'Tags'} are unavailable right now.</span>`;
+    return;
+  }
+
+  chips.innerHTML = '';
+  if (terms.length === 0) {
+    chips.innerHTML = `<span class="hint">None on this site.</span>`;
+    return;
+  }
+
+  terms.forEach(term => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'chip';
+    chip.textContent = term.name;
+    chip.classList.toggle('selected', selected.has(term.id));
+    chip.addEventListener('click', () => {
+      if (selected.has(term.id)) {
+        selected.delete(term.id);
+      } else {
+        selected.add(term.id);
+      }
+      chip.classList.toggle('selected', selected.has(term.id));
+    });
+    chips.appendChild(chip);
+  });
+
+  const hint = document.createElement('span');
+  hint.className = 'hint';
+  hint.textContent = 'Nothing selected means all posts.';
+  chips.appendChild(hint);
+}
+
+// Collect the form into a settings update
+function readSettingsForm() {
+  const { elements } = settingsForm;
+  const delivery = elements.delivery.value;
+
+  const digest = {
+    time: elements.time.value,
+    weekday: parseInt(elements.weekday.value, 10),
+    cover: elements.cover.checked
+  };
+  if (delivery !== 'instant') {
+    digest.frequency = delivery;
+  }
+
+  const filters = {};
+  chatSettings.sources.forEach(source => {
+    filters[source.id] = {
+      categories: [...selectedTerms.get(`${source.id}:categories`)],
+      tags: [...selectedTerms.get(`${source.id}:tags`)]
+    };
+  });
+
+  const subscribed = [...sourceSettings.querySelectorAll('.source-settings')]
+    .filter(fieldset => {
+      const checkbox = fieldset.querySelector('.source-subscribed');
+      return !checkbox || checkbox.checked;
+    })
+    .map(fieldset => fieldset.dataset.source);
+
+  return {
+    autoPosting: elements.autoPosting.checked,
+    deliveryMode: delivery === 'instant' ? 'instant' : 'digest',
+    timezone: elements.timezone.value.trim(),
+    digest,
+    sources: subscribed,
+    filters
+  };
+}
+
+// Save the form; the bot uses the new settings right away
+async function handleSaveSettings(event) {
+  event.preventDefault();
+
+  const update = readSettingsForm();
+  if (update.sources.length === 0) {
+    tg.showAlert('Subscribe to at least one site.');
+    return;
+  }
+
+  const submitButton = settingsForm.querySelector('button[type="submit"]');
+  submitButton.disabled = true;
+  try {
+    const response = await apiFetch(`/preferences/${encodeURIComponent(chatSelect.value)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(update)
+    });
+    if (!response.ok) {
+      tg.showAlert(await errorMessage(response, 'Failed to save the settings. Please try again.'));
+      return;
+    }
+
+    renderChatSettings(await response.json());
+    tg.showAlert('Settings saved.');
+    await renderPreview();
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    tg.showAlert('Failed to save the settings. Please try again.');
+  } finally {
+    submitButton.disabled = false;
+  }
+}
+
+// Show the latest posts the chat would get with its saved settings
+async function renderPreview() {
+  previewContainer.innerHTML = `<div class="loading">Loading preview...</div>`;
+
+  try {
+    const response = await apiFetch(`/preferences/${encodeURIComponent(chatSelect.value)}/preview`);
+    if (!response.ok) {
+      throw new Error(await errorMessage(response, 'Failed to load preview'));
+    }
+    const posts = await response.json();
+
+    if (posts.length === 0) {
+      previewContainer.innerHTML = `<div class="no-posts">No recent posts match these settings.</div>`;
+      return;
+    }
+    previewContainer.innerHTML = '';
+    posts.forEach(post => previewContainer.appendChild(createPostCard(post)));
+  } catch (error) {
+    console.error('Error fetching preview:', error);
+    previewContainer.innerHTML = `<div class="error">Failed to load the preview.</div>`;
+  }
+}
+
+// Switch between the Latest, Saved and Subscriptions tabs
+function showTab(name) {
+  tabButtons.forEach(button => button.classList.toggle('active', button.dataset.tab === name));
+  document.getElementById('feed-view').hidden = name !== 'feed';
+  document.getElementById('saved-view').hidden = name !== 'saved';
+  document.getElementById('settings-view').hidden = name !== 'settings';
+
+  // Saves made from the bot meanwhile show up on every visit
+  if (name === 'saved') {
+    renderSaved();
+  }
+  // So are settings changed with bot commands
+  if (name === 'settings') {
+    loadChats();
   }
-  */
 }
 
 // Initialize the app
@@ -105,8 +574,23 @@ function init() {
     document.body.classList.add('Telegram');
   }
   
-  // Initial fetch of posts
-  fetchPosts();
+  loadMoreButton.addEventListener('click', fetchPosts);
+  tabButtons.forEach(button => button.addEventListener('click', () => showTab(button.dataset.tab)));
+  chatSelect.addEventListener('change', () => loadChatSettings(chatSelect.value));
+  settingsForm.elements.delivery.addEventListener('change', updateDigestFields);
+  settingsForm.addEventListener('submit', handleSaveSettings);
+
+  // Only the bot's admins get a link to the admin console
+  apiFetch('/admin/me')
+    .then(response => {
+      document.getElementById('admin-link').hidden = !response.ok;
+    })
+    .catch(() => {});
+
+  // Initial fetch of posts, after the reading list so saved articles are marked
+  fetchSaved()
+    .catch(error => console.warn('Reading list unavailable:', error.message))
+    .finally(fetchPosts);
 }
 
 // Start the app when the DOM is fully loaded
@@ -0,0 +1,424 @@
+const config = require('../config');
+const preferences = require('./preferences');
+const channelRegistry = require('./channelRegistry');
+const sourceRegistry = require('./sourceRegistry');
+const logger = require('../utils/logger');
+const postingWindow = require('../utils/postingWindow');
+
+// Maximum number of posts fetched per chat on a single check
+const POSTS_PER_CHECK = 20;
+// Pages read on one check while every post on them was already sent
+const MAX_PAGES_PER_CHECK = 5;
+
+/**
+ * Sort posts oldest first so they are delivered in publish order
+ * @param {Array<Object>} posts - Formatted posts
+ * @returns {Array<Object>} Sorted copy of the posts
+ */
+function sortByPublishDate(posts) {
+  return [...posts].sort((a, b) => {
+    const byDate = new Date(a.date) - new Date(b.date);
+    return byDate !== 0 ? byDate : a.id - b.id;
+  });
+}
+
+// Dates with a zone, as opposed to WordPress dates without one
+const ZONED = /(Z|[+-]\d\d:?\d\d)$/;
+
+/**
+ * Timestamp of a post or checkpoint date, reading dates without a zone as UTC
+ * so they compare the same whatever the server's timezone
+ * @param {string} date - Date with or without a zone
+ * @returns {number} Milliseconds since the epoch
+ */
+function toTime(date) {
+  return new Date(ZONED.test(date) ? date : `${date}Z`).getTime();
+}
+
+/**
+ * The second before a checkpoint, to use `after` as an inclusive cursor
+ * @param {string} date - Checkpoint date, like WordPress dates with or without a zone
+ * @returns {string} Date one second earlier, in the same form
+ */
+function secondBefore(date) {
+  const earlier = new Date(toTime(date) - 1000).toISOString();
+  return ZONED.test(date) ? earlier : earlier.slice(0, 19);
+}
+
+/**
+ * Check whether a post matches a chat's category and tag filters for its source.
+ * Like the WordPress API, both filters must match when both are set.
+ * @param {Object} filters - `{ categories, tags }` from PreferencesService.getFilters
+ * @param {Object} post - Formatted post
+ * @returns {boolean} True if the post should be sent to the chat
+ */
+function matchesFilters(filters, post) {
+  const matches = (selected, ids) => selected.length === 0 || ids.some(id => selected.includes(id));
+  return matches(filters.categories, post.categories || []) && matches(filters.tags, post.tags || []);
+}
+
+// Bad requests about the chat rather than the post: every later post would fail the same way
+const CHAT_ERRORS = /chat not found|group chat was upgraded|CHAT_WRITE_FORBIDDEN|CHAT_RESTRICTED|CHAT_ADMIN_REQUIRED|not enough rights|have no rights|PEER_ID_INVALID|bot is not a member|bot was kicked|TOPIC_CLOSED/i;
+
+// Bad requests about the post itself, such as its markup, buttons or media
+const POST_ERRORS = /can't parse entities|BUTTON_URL_INVALID|button_url_invalid|wrong HTTP URL|wrong file identifier|failed to get HTTP URL content|wrong type of the web page content|IMAGE_PROCESS_FAILED|PHOTO_INVALID|MEDIA_CAPTION_TOO_LONG|message is too long|message text is empty|entities too long|WEBPAGE_/i;
+
+/**
+ * Decide what a failed delivery means for the chat
+ * @param {Error} error - Error of a failed send
+ * @returns {string} 'migrated' when a group became a supergroup, 'chat' when the
+ *   chat can't receive posts, 'post' when Telegram refuses this post for good,
+ *   or 'retry' for everything else
+ */
+function classifyDeliveryError(error) {
+  if (error.code === 403) return 'chat';
+  if (error.code !== 400) return 'retry';
+
+  const description = error.description || error.message || '';
+  if (error.parameters?.migrate_to_chat_id) return 'migrated';
+  if (CHAT_ERRORS.test(description)) return 'chat';
+  if (POST_ERRORS.test(description)) return 'post';
+  return 'retry';
+}
+
+/**
+ * Check whether a post was published while the chat's posting window was closed
+ * @param {Object} prefs - Chat preferences
+ * @param {Object} post - Formatted post
+ * @returns {boolean} True if the post was held back until the window opened
+ */
+function publishedWhileClosed(prefs, post) {
+  if (!post.dateGmt) return false;
+  return !postingWindow.isOpen(prefs.postingWindow, prefs.timezone, new Date(`${post.dateGmt}Z`));
+}
+
+class AutoPostService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.checking = false;
+    this.deliver = null;
+    // Consecutive failed checks per source
+    this.failures = new Map();
+    this.chatLocks = new Map();
+    // One-off checks of chats holding posts, at the time their posting window opens
+    this.openingTimers = new Map();
+  }
+
+  /**
+   * Start the polling loop
+   * @param {Function} deliver - Async function `(chatId, post, { silent })` that sends a post to a chat
+   */
+  start(deliver) {
+    if (this.running) return;
+
+    this.deliver = deliver;
+    this.running = true;
+    logger.info('Auto-posting scheduler started', {
+      interval: config.posts.checkInterval,
+      activeChats: preferences.getActiveChats().length
+    });
+
+    this.scheduleNext(0);
+  }
+
+  /**
+   * Stop the polling loop
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.openingTimers.forEach(timer => clearTimeout(timer));
+    this.openingTimers.clear();
+    logger.info('Auto-posting scheduler stopped');
+  }
+
+  /**
+   * Schedule the next check. A timeout chain is used instead of setInterval
+   * so a slow WordPress response can never cause overlapping checks.
+   * @private
+   */
+  scheduleNext(delay = config.posts.checkInterval) {
+    if (!this.running) return;
+
+    this.timer = setTimeout(async () => {
+      await this.checkAll();
+      this.scheduleNext();
+    }, delay);
+  }
+
+  /**
+   * Check a chat again when its closed posting window opens. Windows can be
+   * open for less than the polling interval, e.g. a cron window of one minute,
+   * and would otherwise hold the chat's posts until a poll happens to hit them.
+   * @param {string|number} chatId - Chat ID
+   * @param {Object} prefs - Chat preferences
+   * @private
+   */
+  scheduleOpeningCheck(chatId, prefs) {
+    const key = String(chatId);
+    if (!this.running || this.openingTimers.has(key)) return;
+
+    const opening = postingWindow.nextOpening(prefs.postingWindow, prefs.timezone);
+    if (!opening) return;
+
+    // A second late, as timers may fire a little early and miss a one-minute window
+    const delay = Math.max(opening.getTime() - Date.now(), 0) + 1000;
+    const timer = setTimeout(() => {
+      this.openingTimers.delete(key);
+      this.checkChat(chatId).catch((error) => {
+        logger.error('Failed to check chat when its posting window opened', { chatId, error: error.message });
+      });
+    }, delay);
+    this.openingTimers.set(key, timer);
+    logger.debug('Scheduled check for when the posting window opens', { chatId, opening });
+  }
+
+  /**
+   * Check every chat with auto-posting enabled for new posts
+   */
+  async checkAll() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const chatIds = preferences.getActiveChats('instant');
+      logger.debug('Checking for new posts', { chats: chatIds.length });
+
+      for (const chatId of chatIds) {
+        await this.checkChat(chatId);
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Fetch and deliver new posts for a single chat
+   * @param {string|number} chatId - Chat ID
+   * @returns {Promise<number>} Number of posts delivered
+   */
+  async checkChat(chatId) {
+    const prefs = preferences.getPreferences(chatId);
+    // Digest chats are served by the digest scheduler
+    if (prefs.deliveryMode === 'digest') return 0;
+
+    let delivered = 0;
+    for (const sourceId of prefs.sources) {
+      delivered += await this.checkSource(chatId, sourceId);
+    }
+
+    if (delivered > 0) {
+      logger.info(`Auto-posted ${delivered} new post(s)`, { chatId });
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Fetch and deliver new posts of one source for a chat
+   * @private
+   */
+  async checkSource(chatId, sourceId) {
+    const prefs = preferences.getPreferences(chatId);
+    const checkpoint = prefs.checkpoints[sourceId];
+    const client = sourceRegistry.client(sourceId);
+
+    let posts;
+    try {
+      if (!checkpoint?.lastPostDate) {
+        await this.initializeCheckpoint(chatId, prefs, sourceId);
+        return 0;
+      }
+
+      // Outside the posting window new posts stay behind the checkpoint until it opens
+      if (!postingWindow.isOpen(prefs.postingWindow, prefs.timezone)) {
+        logger.debug('Posting window closed, holding posts', { chatId, source: sourceId });
+        this.scheduleOpeningCheck(chatId, prefs);
+        return 0;
+      }
+
+      // Oldest first: with more than POSTS_PER_CHECK new posts, e.g. after the posting
+      // window was closed, each check delivers the next batch from the checkpoint on.
+      // Newest first would move the checkpoint past the older ones and skip them for good.
+      // The cursor includes the checkpoint's own second, since posts scheduled or imported
+      // together share it and may be split across batches; sent ones are skipped here.
+      posts = [];
+      for (let page = 1; page <= MAX_PAGES_PER_CHECK; page++) {
+        const { posts: batch } = await client.getPostsPage({
+          ...preferences.getFilters(prefs, sourceId),
+          perPage: POSTS_PER_CHECK,
+          after: secondBefore(checkpoint.lastPostDate),
+          order: 'asc',
+          page
+        });
+        const unsent = batch.filter(post => !preferences.hasSentPost(chatId, post.id, post.source));
+        posts.push(...unsent);
+        if (unsent.length > 0 || batch.length < POSTS_PER_CHECK) break;
+      }
+
+      if (this.failures.get(sourceId) > 0) {
+        logger.info('WordPress is reachable again, resuming auto-posting', {
+          source: sourceId,
+          failures: this.failures.get(sourceId)
+        });
+        this.failures.delete(sourceId);
+      }
+    } catch (error) {
+      const failures = (this.failures.get(sourceId) || 0) + 1;
+      this.failures.set(sourceId, failures);
+      // Only log the first failure of an outage at error level to keep logs readable
+      const level = failures === 1 ? 'error' : 'debug';
+      logger[level]('Auto-posting check failed, will retry on next interval', {
+        chatId,
+        source: sourceId,
+        error: error.message,
+        failures
+      });
+      return 0;
+    }
+
+    return this.deliverToChat(chatId, sortByPublishDate(posts));
+  }
+
+  /**
+   * Deliver a single post pushed by WordPress to every active chat whose filters
+   * match, unless the chat's checkpoint is already past it
+   * @param {Object} post - Formatted post
+   * @returns {Promise<number>} Number of chats the post was delivered to
+   */
+  async deliverPost(post) {
+    if (!this.deliver) {
+      logger.warn('Received a post before the bot was started; polling will pick it up', { postId: post.id });
+      return 0;
+    }
+
+    let delivered = 0;
+    for (const chatId of preferences.getActiveChats('instant')) {
+      const prefs = preferences.getPreferences(chatId);
+      if (!prefs.sources.includes(post.source)) continue;
+      // Chats that haven't set a checkpoint yet start from the next poll
+      const checkpoint = prefs.checkpoints[post.source];
+      if (!checkpoint?.lastPostDate) continue;
+      // Re-saved or edited older posts aren't new to the chat
+      if (toTime(post.date) <= toTime(checkpoint.lastPostDate)) continue;
+      if (!matchesFilters(preferences.getFilters(prefs, post.source), post)) continue;
+      // Polling releases the post once the chat's posting window opens
+      if (!postingWindow.isOpen(prefs.postingWindow, prefs.timezone)) {
+        this.scheduleOpeningCheck(chatId, prefs);
+        continue;
+      }
+
+      // Pushed posts don't advance the checkpoint, so polling still finds older posts whose hook was missed
+      delivered += await this.deliverToChat(chatId, [post], { advanceCheckpoint: false });
+    }
+
+    logger.info('Delivered pushed post', { postId: post.id, source: post.source, chats: delivered });
+    return delivered;
+  }
+
+  /**
+   * Send posts to a chat in order, skipping ones already sent. Deliveries to
+   * the same chat are serialized so polling and pushes can't send a post twice.
+   * @param {string|number} chatId - Chat ID
+   * @param {Array<Object>} posts - Posts in the order they should be sent
+   * @param {Object} [options] - Delivery options
+   * @param {boolean} [options.advanceCheckpoint=true] - Move the `after` checkpoint to each sent post
+   * @returns {Promise<number>} Number of posts delivered
+   * @private
+   */
+  async deliverToChat(chatId, posts, { advanceCheckpoint = true } = {}) {
+    const key = String(chatId);
+    const previous = this.chatLocks.get(key) || Promise.resolve();
+
+    const run = previous.then(async () => {
+      const prefs = preferences.getPreferences(chatId);
+      let delivered = 0;
+      for (const post of posts) {
+        if (preferences.hasSentPost(chatId, post.id, post.source)) continue;
+
+        try {
+          const silent = prefs.postingWindow.enabled && prefs.postingWindow.silent &&
+            publishedWhileClosed(prefs, post);
+          await this.deliver(chatId, post, { silent });
+          preferences.updateLastPostId(chatId, post.id, advanceCheckpoint ? post.date : undefined, post.source);
+          delivered++;
+        } catch (error) {
+          logger.error('Failed to auto-post article', {
+            chatId,
+            postId: post.id,
+            source: post.source,
+            error: error.message,
+            code: error.code
+          });
+
+          const kind = classifyDeliveryError(error);
+
+          // The group became a supergroup with a new ID; the next check posts there
+          if (kind === 'migrated') {
+            const newChatId = String(error.parameters.migrate_to_chat_id);
+            preferences.moveChat(chatId, newChatId);
+            channelRegistry.moveChat(chatId, newChatId);
+            logger.warn('Chat was upgraded to a supergroup, moved its settings', { chatId, newChatId });
+            break;
+          }
+
+          // The bot was removed, blocked or can't write to the chat; stop posting there
+          if (kind === 'chat') {
+            preferences.toggleAutoPosting(chatId, false);
+            logger.warn(`Disabled auto-posting for chat ${chatId}: bot has no access`, {
+              error: error.description || error.message
+            });
+            break;
+          }
+
+          // Telegram refuses this post for good, e.g. an invalid button URL or markup.
+          // Mark it sent and move on, or it would block every later post of the chat.
+          if (kind === 'post') {
+            logger.warn('Skipping article Telegram rejected', { chatId, postId: post.id, source: post.source });
+            preferences.updateLastPostId(chatId, post.id, advanceCheckpoint ? post.date : undefined, post.source);
+            continue;
+          }
+
+          // Network errors, rate limits, outages and unknown bad requests: stop here so
+          // the checkpoint never skips past the post, and retry on the next check
+          break;
+        }
+      }
+      return delivered;
+    });
+
+    const settled = run.catch(() => 0);
+    this.chatLocks.set(key, settled);
+    settled.then(() => {
+      if (this.chatLocks.get(key) === settled) this.chatLocks.delete(key);
+    });
+
+    return run;
+  }
+
+  /**
+   * Set the checkpoint of a newly enabled chat or source to the newest matching post,
+   * so enabling auto-posting doesn't flood the chat with old articles.
+   * @private
+   */
+  async initializeCheckpoint(chatId, prefs, sourceId) {
+    const [latest] = await sourceRegistry.client(sourceId).getPosts({
+      ...preferences.getFilters(prefs, sourceId),
+      perPage: 1
+    });
+
+    if (latest) {
+      preferences.updateLastPostId(chatId, latest.id, latest.date, sourceId);
+    } else {
+      preferences.setCheckpoint(chatId, sourceId, new Date().toISOString());
+    }
+
+    logger.info('Initialized auto-posting checkpoint', { chatId, source: sourceId, lastPostId: latest?.id || null });
+  }
+}
+
+module.exports = new AutoPostService();
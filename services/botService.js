@@ -2,11 +2,34 @@ const { Telegraf, Markup } = require('telegraf');
 const config = require('../config');
 const preferences = require('./preferences');
 const wordpress = require('./wordpress');
+const sourceRegistry = require('./sourceRegistry');
 const logger = require('../utils/logger');
-const { LocalSession } = require('telegraf-session-local');
+const LocalSession = require('telegraf-session-local');
 const metricsService = require('./metricsService');
+const autoPoster = require('./autoPoster');
+const postRenderer = require('./postRenderer');
+const taxonomyPicker = require('./taxonomyPicker');
+const taxonomyResolver = require('./taxonomyResolver');
+const channelRegistry = require('./channelRegistry');
+const digestService = require('./digestService');
+const postUpdater = require('./postUpdater');
+const deliveryLedger = require('./deliveryLedger');
+const retractionService = require('./retractionService');
+const sendQueue = require('./sendQueue');
+const readingList = require('./readingList');
+const { htmlToText, escapeHtml, escapeAttribute, truncate } = require('../utils/telegramHtml');
+const postingWindow = require('../utils/postingWindow');
+const {
+  WordPressError,
+  NotFoundError,
+  UnauthorizedError,
+  RateLimitedError,
+  UnavailableError
+} = require('../utils/errors');
 const moment = require('moment-timezone');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
+const NodeCache = require('node-cache');
+const crypto = require('crypto');
 
 // Rate limiting: 5 messages per second
 const rateLimiter = new RateLimiterMemory({
@@ -14,6 +37,52 @@ const rateLimiter = new RateLimiterMemory({
   duration: 1,
 });
 
+// Active searches keyed by a short ID, so result buttons work for anyone in a group
+const searches = new NodeCache({ stdTTL: 60 * 60 });
+const SEARCH_PAGE_SIZE = 5;
+
+// Inline query results per query and offset
+const inlineResults = new NodeCache({ stdTTL: 5 * 60 });
+const INLINE_PAGE_SIZE = 10;
+
+// Saved articles per page of /saved
+const SAVED_PAGE_SIZE = 5;
+
+// What happens to a chat's messages when their post is unpublished, in the order the panel button cycles through
+const RETRACTION_POLICIES = {
+  notice: 'replace with a "withdrawn" notice',
+  delete: 'delete the message',
+  keep: 'leave the message'
+};
+
+// Views and time ranges of the /stats dashboard
+const STATS_VIEWS = {
+  overview: '📊 Overview',
+  commands: '⌨️ Commands',
+  channels: '📢 Channels',
+  posts: '📰 Posts'
+};
+const STATS_RANGES = {
+  '24h': '24h',
+  '7d': '7 days',
+  '30d': '30 days',
+  all: 'All time'
+};
+
+// Taxonomies that can be picked per chat and source, keyed by the picker callback type
+const TAXONOMIES = {
+  categories: {
+    fetch: (sourceId) => sourceRegistry.client(sourceId).getCategories(),
+    sessionKey: 'selectedCategories',
+    save: (chatId, ids, sourceId) => preferences.updateCategories(chatId, ids, sourceId)
+  },
+  tags: {
+    fetch: (sourceId) => sourceRegistry.client(sourceId).getTags(),
+    sessionKey: 'selectedTags',
+    save: (chatId, ids, sourceId) => preferences.updateTags(chatId, ids, sourceId)
+  }
+};
+
 // Helper function to escape markdown special characters
 function escapeMarkdown(text) {
   if (!text) return '';
@@ -30,11 +99,21 @@ class BotService {
         throw new Error('Missing Telegram bot token in config');
       }
       
+      this.mode = null;
+
       logger.debug('Creating Telegraf instance...');
       // Initialize bot
       this.bot = new Telegraf(config.telegram.token, {
         telegram: { webhookReply: false }
       });
+
+      // Every message, edit and deletion goes through the rate limited send queue,
+      // including replies made through each update's own Telegram client
+      sendQueue.attach(this.bot.telegram);
+      this.bot.use((ctx, next) => {
+        sendQueue.attach(ctx.telegram);
+        return next();
+      });
       
       logger.debug('Initializing session middleware...');
       // Initialize session middleware
@@ -98,18 +177,45 @@ class BotService {
 
   /**
    * Initialize the bot with all commands and handlers
+   * @param {Object} [app] - Express app to mount the webhook on when webhook mode is enabled
    */
-  async initialize() {
+  async initialize(app) {
     try {
+      await this.resolveDefaultFilters();
+
       logger.info('Initializing bot commands...');
       this.setupCommands();
       
       logger.info('Setting up action handlers...');
       this.setupActionHandlers();
+      this.setupInlineMode();
+      this.setupMembershipTracking();
+      this.setupDigestActions();
+      this.setupDeadLetterActions();
+      this.setupSourceActions();
+      this.setupReadingListActions();
       
       logger.info('Starting bot...');
-      await this.bot.launch();
-      logger.info('Bot started successfully');
+      const usingWebhook = config.telegram.webhook.enabled && await this.startWebhook(app);
+      if (!usingWebhook) {
+        this.startPolling();
+      }
+      logger.info(`Bot started successfully in ${this.mode} mode`);
+
+      sendQueue.start();
+
+      // Both send again what failed, after recording what went out in the ledger and metrics
+      autoPoster.start((chatId, post, { silent }) => sendQueue.retriedByCaller(() => this.sendPost(chatId, post, {
+        extra: { disable_notification: silent }
+      })));
+      digestService.start((chatId, posts, heading, omitted) => sendQueue.retriedByCaller(() => (
+        this.sendDigest(chatId, posts, heading, omitted)
+      )));
+      postUpdater.start((delivery, post, options) => postRenderer.edit(this.bot.telegram, delivery, post, options));
+      retractionService.start({
+        retract: (delivery, policy, entry) => this.retractDelivery(delivery, policy, entry),
+        report: (key, entry, reason, outcomes) => this.reportRetraction(key, entry, reason, outcomes)
+      });
       
     } catch (error) {
       logger.error('Failed to initialize bot:', error);
@@ -117,6 +223,58 @@ class BotService {
     }
   }
 
+  /**
+   * Register the webhook with Telegram and mount its handler on the Express app
+   * @param {Object} app - Express app
+   * @returns {Promise<boolean>} True if webhook mode is active, false to fall back to polling
+   */
+  async startWebhook(app) {
+    const { domain, secretToken } = config.telegram.webhook;
+    if (!app || !domain) {
+      logger.warn('Webhook mode needs WEBHOOK_DOMAIN or WEB_APP_URL; falling back to polling');
+      return false;
+    }
+
+    const hookPath = `/telegram/${this.bot.secretPathComponent()}`;
+    const url = new URL(hookPath, domain).href;
+
+    try {
+      await this.bot.telegram.setWebhook(url, {
+        secret_token: secretToken,
+        allowed_updates: ['message', 'callback_query', 'inline_query', 'my_chat_member']
+      });
+    } catch (error) {
+      logger.error('Failed to register webhook, falling back to polling:', error.message);
+      return false;
+    }
+
+    app.post(hookPath, (req, res, next) => {
+      const token = req.get('X-Telegram-Bot-Api-Secret-Token') || '';
+      const expected = Buffer.from(secretToken);
+      const received = Buffer.from(token);
+      if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        logger.warn('Rejected webhook request with an invalid secret token', { ip: req.ip });
+        return res.sendStatus(401);
+      }
+      return next();
+    }, this.bot.webhookCallback(hookPath, { secretToken }));
+
+    this.mode = 'webhook';
+    logger.info(`Webhook registered at ${new URL(domain).origin}/telegram/…`);
+    return true;
+  }
+
+  /**
+   * Start long polling. Polling removes any webhook that is still registered.
+   */
+  startPolling() {
+    this.mode = 'polling';
+    // launch() only resolves when polling stops, so don't await it
+    this.bot.launch().catch((error) => {
+      logger.error('Bot polling stopped with an error:', error);
+    });
+  }
+
   /**
    * Setup bot commands with error handling and logging
    */
@@ -144,6 +302,9 @@ class BotService {
             chat: ctx.chat?.id,
             message: ctx.message?.text 
           });
+          if (ctx.from) {
+            await metricsService.trackCommand(String(ctx.from.id), commandName);
+          }
           await handler.call(this, ctx);
         } catch (error) {
           logger.error(`Error in /${commandName} command:`, {
@@ -153,7 +314,9 @@ class BotService {
           });
           
           try {
-            await ctx.reply(`❌ An error occurred while processing your /${commandName} command. Please try again later.`);
+            await ctx.reply(error instanceof WordPressError
+              ? this.describeWordPressError(error, 'the requested content')
+              : `❌ An error occurred while processing your /${commandName} command. Please try again later.`);
           } catch (e) {
             logger.error('Failed to send error message to user:', e);
           }
@@ -175,7 +338,15 @@ class BotService {
       { name: 'start_autopost', handler: this.handleStartAutoPost },
       { name: 'stop_autopost', handler: this.handleStopAutoPost },
       { name: 'search', handler: this.handleSearch },
-      { name: 'stats', handler: this.handleStats }
+      { name: 'stats', handler: this.handleStats },
+      { name: 'channels', handler: this.handleChannels },
+      { name: 'digest', handler: this.handleDigest },
+      { name: 'timezone', handler: this.handleTimezone },
+      { name: 'posting_window', handler: this.handlePostingWindow },
+      { name: 'retraction', handler: this.handleRetraction },
+      { name: 'dead_letters', handler: this.handleDeadLetters },
+      { name: 'sources', handler: this.handleSources },
+      { name: 'saved', handler: this.handleSaved }
     ];
 
     // Register each command
@@ -190,7 +361,303 @@ class BotService {
    * Setup action handlers for inline buttons
    */
   setupActionHandlers() {
-    // Add your action handlers here
+    this.bot.action(/^pick:(categories|tags):(-?\d+):(\w+)(?::(\d+))?(?::(\d+))?$/, async (ctx) => {
+      try {
+        await this.handlePickerAction(ctx);
+      } catch (error) {
+        logger.error('Error handling picker action:', {
+          error: error.message,
+          data: ctx.callbackQuery?.data
+        });
+        await ctx.answerCbQuery('❌ Something went wrong. Please try again.').catch(() => {});
+      }
+    });
+
+    this.bot.action(/^search:(\w+):(page|open|scope):(\d+)$/, async (ctx) => {
+      try {
+        await this.handleSearchAction(ctx);
+      } catch (error) {
+        logger.error('Error handling search action:', {
+          error: error.message,
+          data: ctx.callbackQuery?.data
+        });
+        await ctx.answerCbQuery('❌ Something went wrong. Please try again.').catch(() => {});
+      }
+    });
+
+    this.bot.action(/^stats:(\w+):(\w+)$/, async (ctx) => {
+      try {
+        if (!this.isAdmin(ctx)) {
+          return ctx.answerCbQuery('⛔ Only admins can view statistics.');
+        }
+        const [, view, range] = ctx.match;
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(this.formatStats(view, range), {
+          parse_mode: 'HTML',
+          ...this.buildStatsKeyboard(view, range)
+        });
+      } catch (error) {
+        if (/message is not modified/.test(error.description || '')) return;
+        logger.error('Error handling stats action:', {
+          error: error.message,
+          data: ctx.callbackQuery?.data
+        });
+        await ctx.answerCbQuery('❌ Something went wrong. Please try again.').catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Track the chats the bot is added to or removed from
+   */
+  setupMembershipTracking() {
+    this.bot.on('my_chat_member', async (ctx) => {
+      try {
+        await this.handleMembershipUpdate(ctx);
+      } catch (error) {
+        logger.error('Error handling my_chat_member update:', {
+          error: error.message,
+          chatId: ctx.chat?.id
+        });
+      }
+    });
+
+    this.bot.action(/^chan:(list|open|auto|cats|tags|post|remove):(-?\d+)$/, async (ctx) => {
+      try {
+        await this.handleChannelAction(ctx);
+      } catch (error) {
+        logger.error('Error handling channel action:', {
+          error: error.message,
+          data: ctx.callbackQuery?.data
+        });
+        await ctx.answerCbQuery('❌ Something went wrong. Please try again.').catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Register or deregister the chat in a `my_chat_member` update and tell the admins
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleMembershipUpdate(ctx) {
+    const update = ctx.myChatMember;
+    if (update.chat.type === 'private') return;
+
+    const previous = channelRegistry.get(update.chat.id);
+    const record = channelRegistry.handleMembershipUpdate(update);
+    const title = escapeHtml(update.chat.title || String(update.chat.id));
+
+    if (!record) {
+      // Messages there can no longer be edited
+      deliveryLedger.removeChat(update.chat.id);
+      const wasPosting = preferences.getPreferences(update.chat.id).autoPosting;
+      if (wasPosting) {
+        await this.setAutoPosting(update.chat.id, false);
+      }
+      if (previous) {
+        const note = wasPosting ? ' Auto-posting there has been stopped.' : '';
+        await this.notifyAdmins(`👋 I was removed from <b>${title}</b>.${note}`);
+      }
+      return;
+    }
+
+    if (!previous) {
+      const hint = record.canPost
+        ? 'Use /channels to configure its filters and auto-posting.'
+        : '⚠️ I can\'t post there yet: make me an admin with the "Post messages" right.';
+      await this.notifyAdmins(`➕ I was added to the ${record.type} <b>${title}</b>.\n${hint}`);
+    } else if (previous.canPost !== record.canPost) {
+      await this.notifyAdmins(record.canPost
+        ? `✅ I can now post in <b>${title}</b>.`
+        : `⚠️ I can no longer post in <b>${title}</b>.`);
+    }
+  }
+
+  /**
+   * Send an HTML message to every admin. Admins who never started the bot
+   * can't be messaged and are skipped.
+   * @param {string} text - Telegram HTML
+   */
+  async notifyAdmins(text) {
+    for (const adminId of config.telegram.adminUsers) {
+      try {
+        await this.bot.telegram.sendMessage(adminId, text, { parse_mode: 'HTML' });
+      } catch (error) {
+        logger.warn(`Could not notify admin ${adminId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Setup digest settings buttons
+   */
+  setupDigestActions() {
+    this.bot.action(/^digest:(-?\d+):(show|instant|daily|weekly|cover|window|silent|retract)$/, async (ctx) => {
+      try {
+        if (!this.isAdmin(ctx)) {
+          return ctx.answerCbQuery('⛔ Only admins can change these settings.');
+        }
+        const [, chatId, action] = ctx.match;
+        if (action === 'window' || action === 'silent') {
+          this.toggleWindowSetting(chatId, action === 'window' ? 'enabled' : 'silent');
+          logger.info('Updated posting window', { chatId, action, by: ctx.from.id });
+        } else if (action === 'retract') {
+          const policies = Object.keys(RETRACTION_POLICIES);
+          const current = preferences.getPreferences(chatId).retraction;
+          const retraction = policies[(policies.indexOf(current) + 1) % policies.length];
+          preferences.updatePreferences(chatId, { retraction });
+          logger.info('Updated retraction policy', { chatId, retraction, by: ctx.from.id });
+        } else if (action !== 'show') {
+          this.applyDigestAction(chatId, action);
+          logger.info('Updated digest settings', { chatId, action, by: ctx.from.id });
+        }
+        await ctx.answerCbQuery();
+        const { text, keyboard } = this.buildDigestPanel(ctx, chatId);
+        await ctx.editMessageText(text, { parse_mode: 'HTML', ...keyboard });
+      } catch (error) {
+        if (/message is not modified/.test(error.description || '')) return;
+        logger.error('Error handling digest action:', {
+          error: error.message,
+          data: ctx.callbackQuery?.data
+        });
+        await ctx.answerCbQuery('❌ Something went wrong. Please try again.').catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Setup the buttons of the dead letter panel
+   */
+  setupDeadLetterActions() {
+    this.bot.action(/^dlq:(refresh|retry|clear)$/, async (ctx) => {
+      try {
+        if (!this.isAdmin(ctx)) {
+          return ctx.answerCbQuery('⛔ Only admins can manage failed messages.');
+        }
+
+        const action = ctx.match[1];
+        let notice = '';
+        if (action === 'retry') {
+          notice = `🔁 Queued ${sendQueue.retryDeadLetters()} message(s) again`;
+        } else if (action === 'clear') {
+          notice = `🗑 Discarded ${sendQueue.clearDeadLetters()} message(s)`;
+        }
+        if (action !== 'refresh') {
+          logger.info('Handled dead letters', { action, by: ctx.from.id });
+        }
+
+        await ctx.answerCbQuery(notice);
+        const { text, keyboard } = this.buildDeadLetterPanel();
+        await ctx.editMessageText(text, { parse_mode: 'HTML', ...keyboard });
+      } catch (error) {
+        if (/message is not modified/.test(error.description || '')) return;
+        logger.error('Error handling dead letter action:', {
+          error: error.message,
+          data: ctx.callbackQuery?.data
+        });
+        await ctx.answerCbQuery('❌ Something went wrong. Please try again.').catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Setup the buttons of the source panel
+   */
+  setupSourceActions() {
+    this.bot.action(/^src:(-?\d+):(show|toggle|cats|tags)(?::([a-z0-9_-]+))?$/, async (ctx) => {
+      try {
+        await this.handleSourceAction(ctx);
+      } catch (error) {
+        if (/message is not modified/.test(error.description || '')) return;
+        logger.error('Error handling source action:', {
+          error: error.message,
+          data: ctx.callbackQuery?.data
+        });
+        await ctx.answerCbQuery('❌ Something went wrong. Please try again.').catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Setup the 🔖 Save button of post cards and the buttons of /saved
+   */
+  setupReadingListActions() {
+    this.bot.action(/^save:([a-z0-9_-]+:\d+)$/, async (ctx) => {
+      try {
+        await this.handleSaveAction(ctx);
+      } catch (error) {
+        logger.error('Error saving article:', {
+          error: error.message,
+          data: ctx.callbackQuery?.data
+        });
+        const notice = error instanceof NotFoundError
+          ? '❌ This article is no longer available.'
+          : '❌ Could not save the article. Please try again.';
+        await ctx.answerCbQuery(notice).catch(() => {});
+      }
+    });
+
+    this.bot.action(/^saved:(page|rm):(\d+)(?::([a-z0-9_-]+:\d+))?$/, async (ctx) => {
+      try {
+        await this.handleSavedAction(ctx);
+      } catch (error) {
+        if (/message is not modified/.test(error.description || '')) return;
+        logger.error('Error handling reading list action:', {
+          error: error.message,
+          data: ctx.callbackQuery?.data
+        });
+        await ctx.answerCbQuery('❌ Something went wrong. Please try again.').catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Setup inline mode so articles can be shared from any chat via @bot queries
+   */
+  setupInlineMode() {
+    this.bot.on('inline_query', async (ctx) => {
+      try {
+        await this.handleInlineQuery(ctx);
+      } catch (error) {
+        logger.error('Error handling inline query:', {
+          error: error.message,
+          query: ctx.inlineQuery?.query
+        });
+        // An empty answer stops the client spinner
+        await ctx.answerInlineQuery([], { cache_time: 5 }).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Answer an inline query with matching posts, or recent posts for an empty query
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleInlineQuery(ctx) {
+    const query = ctx.inlineQuery.query.trim().toLowerCase();
+    const offset = parseInt(ctx.inlineQuery.offset, 10) || 0;
+    const cacheKey = `${offset}:${query}`;
+
+    let cached = inlineResults.get(cacheKey);
+    if (!cached) {
+      const { posts, total } = await wordpress.searchPostsPage(query, { perPage: INLINE_PAGE_SIZE, offset });
+      cached = {
+        results: posts.map(post => postRenderer.renderInlineResult(post)),
+        // Without a total, a full page is the best hint that there's more
+        hasMore: total !== null ? offset + posts.length < total : posts.length === INLINE_PAGE_SIZE
+      };
+      inlineResults.set(cacheKey, cached);
+    }
+    const { results, hasMore } = cached;
+
+    if (query && offset === 0) {
+      await metricsService.trackCommand(String(ctx.from.id), 'search');
+    }
+
+    await ctx.answerInlineQuery(results, {
+      cache_time: 300,
+      next_offset: hasMore ? String(offset + INLINE_PAGE_SIZE) : ''
+    });
   }
 
   /**
@@ -270,7 +737,6 @@ class BotService {
   async handleHelp(ctx) {
     try {
       await rateLimiter.consume(`user_${ctx.from.id}`);
-      await metricsService.trackCommand(String(ctx.from.id), 'help');
       await this.handleStart(ctx); // Reuse start handler for help
     } catch (err) {
       if (err.remainingPoints === 0) {
@@ -282,50 +748,1497 @@ class BotService {
     }
   }
 
-  // Add other handler methods here with proper JSDoc comments
-  // For example:
+  /**
+   * Handle the /categories [@source] command: list categories as an indented tree with post counts
+   */
   async handleListCategories(ctx) {
-    // Implementation here
+    const { source, error } = this.parseSourceArgs(ctx.message.text.replace(/^\/\S+\s*/, '').trim());
+    if (error) {
+      return ctx.reply(error);
+    }
+
+    const categories = await TAXONOMIES.categories.fetch(source.id);
+    if (categories.length === 0) {
+      return ctx.reply('📭 No categories found.');
+    }
+
+    const { categories: selected } = preferences.getFilters(preferences.getPreferences(ctx.chat.id), source.id);
+    const lines = taxonomyResolver.tree(categories).map(({ term, depth }) => {
+      const mark = selected.includes(term.id) ? ' ✅' : '';
+      const indent = depth > 0 ? `${'   '.repeat(depth - 1)}└ ` : '• ';
+      return `${indent}${escapeHtml(htmlToText(term.name))} <i>(${term.count})</i>${mark}`;
+    });
+
+    await this.replyLines(ctx, `📚 <b>Categories</b>${this.sourceHeading(source.id)}`, lines);
   }
 
+  /**
+   * Handle the /set_categories command (admin only).
+   * Without arguments opens the picker; otherwise accepts names, slugs or IDs.
+   */
   async handleSetCategories(ctx) {
-    // Implementation here
+    await this.setTaxonomy(ctx, 'categories');
   }
 
+  /**
+   * Handle the /tags [@source] command: list tags with post counts
+   */
   async handleListTags(ctx) {
-    // Implementation here
+    const { source, error } = this.parseSourceArgs(ctx.message.text.replace(/^\/\S+\s*/, '').trim());
+    if (error) {
+      return ctx.reply(error);
+    }
+
+    const tags = await TAXONOMIES.tags.fetch(source.id);
+    if (tags.length === 0) {
+      return ctx.reply('📭 No tags found.');
+    }
+
+    const { tags: selected } = preferences.getFilters(preferences.getPreferences(ctx.chat.id), source.id);
+    const lines = tags.map(tag => {
+      const mark = selected.includes(tag.id) ? ' ✅' : '';
+      return `• ${escapeHtml(htmlToText(tag.name))} <i>(${tag.count})</i>${mark}`;
+    });
+
+    await this.replyLines(ctx, `🏷️ <b>Tags</b>${this.sourceHeading(source.id)}`, lines);
   }
 
+  /**
+   * Handle the /set_tags command (admin only).
+   * Without arguments opens the picker; otherwise accepts names, slugs or IDs.
+   */
   async handleSetTags(ctx) {
-    // Implementation here
+    await this.setTaxonomy(ctx, 'tags');
   }
 
-  async handlePostLatest(ctx) {
-    // Implementation here
+  /**
+   * Set categories or tags from a comma separated list, or open the picker.
+   * A leading `@source` selects the site the filters apply to.
+   * @param {Object} ctx - Telegraf context
+   * @param {string} type - 'categories' or 'tags'
+   */
+  async setTaxonomy(ctx, type) {
+    const { source, rest: args, error } = this.parseSourceArgs(ctx.message.text.replace(/^\/\S+\s*/, '').trim());
+    if (error) {
+      return ctx.reply(error);
+    }
+    if (!args) {
+      return this.showTaxonomyPicker(ctx, type, ctx.chat.id, { source: source.id });
+    }
+
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const inputs = args.split(',');
+    const terms = await TAXONOMIES[type].fetch(source.id);
+    const { ids, matches, unmatched } = await taxonomyResolver.resolve(type, inputs, terms);
+
+    const lines = matches.map(({ input, term, exact, children }) => {
+      const name = escapeHtml(htmlToText(term.name));
+      const fuzzy = exact ? '' : ` <i>(from "${escapeHtml(input)}")</i>`;
+      const extra = children.length > 0 ? ` + ${children.length} subcategories` : '';
+      return `✅ ${name}${fuzzy}${extra}`;
+    });
+    unmatched.forEach(({ input, suggestion }) => {
+      const hint = suggestion ? ` — did you mean <b>${escapeHtml(suggestion)}</b>?` : '';
+      lines.push(`⚠️ Not found: "${escapeHtml(input)}"${hint}`);
+    });
+
+    if (ids.length === 0) {
+      lines.push(`\nNothing was changed. Use /${type} to see what's available.`);
+      return ctx.reply(lines.join('\n'), { parse_mode: 'HTML' });
+    }
+
+    TAXONOMIES[type].save(ctx.chat.id, ids, source.id);
+    logger.info(`Updated ${type} by name`, { chatId: ctx.chat.id, by: ctx.from.id, source: source.id, ids });
+
+    await ctx.reply(
+      `<b>Saved ${ids.length} ${type} for this chat${this.sourceHeading(source.id)}:</b>\n${lines.join('\n')}`,
+      { parse_mode: 'HTML' }
+    );
   }
 
-  async handlePostSpecific(ctx) {
-    // Implementation here
+  /**
+   * Split an optional leading `@source` off command arguments
+   * @param {string} args - Command arguments
+   * @returns {Object} `{ source, rest }`, with the default source when none is named,
+   *   or `{ error }` with a reply for an unknown source
+   */
+  parseSourceArgs(args) {
+    const match = args.match(/^@(\S+)\s*([\s\S]*)$/);
+    if (!match) {
+      return { source: sourceRegistry.get(sourceRegistry.defaultId), rest: args };
+    }
+
+    const source = sourceRegistry.find(match[1]);
+    if (!source) {
+      return { error: `❌ Unknown source "${match[1]}". Use /sources to see the available sites.` };
+    }
+    return { source, rest: match[2].trim() };
   }
 
-  async handlePreferences(ctx) {
-    // Implementation here
+  /**
+   * Suffix naming a source in headings, empty when the bot serves a single site
+   * @param {string} sourceId - Source ID
+   * @returns {string} HTML, e.g. " — Innovopedia Labs"
+   */
+  sourceHeading(sourceId) {
+    return sourceRegistry.hasMultiple() ? ` — ${escapeHtml(sourceRegistry.label(sourceId))}` : '';
   }
 
-  async handleStartAutoPost(ctx) {
-    // Implementation here
+  /**
+   * Reply with a list of HTML lines, split across messages to stay under Telegram's limit
+   * @param {Object} ctx - Telegraf context
+   * @param {string} header - HTML header of the first message
+   * @param {Array<string>} lines - HTML lines
+   */
+  async replyLines(ctx, header, lines) {
+    const chunks = [];
+    let current = header;
+    for (const line of lines) {
+      if (current.length + line.length + 1 > 4000) {
+        chunks.push(current);
+        current = '';
+      }
+      current += `${current ? '\n' : ''}${line}`;
+    }
+    chunks.push(current);
+
+    for (const chunk of chunks) {
+      await ctx.reply(chunk, { parse_mode: 'HTML' });
+    }
   }
 
-  async handleStopAutoPost(ctx) {
-    // Implementation here
+  /**
+   * Show an inline keyboard for picking categories or tags, starting from
+   * the chat's saved selection
+   * @param {Object} ctx - Telegraf context
+   * @param {string} type - 'categories' or 'tags'
+   * @param {string|number} [chatId] - Chat to configure; defaults to the current chat
+   * @param {Object} [options] - Display options
+   * @param {boolean} [options.edit=false] - Edit the current message instead of replying
+   * @param {string} [options.source] - Source whose terms are picked; defaults to the default source
+   */
+  async showTaxonomyPicker(ctx, type, chatId = ctx.chat.id, { edit = false, source = sourceRegistry.defaultId } = {}) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const taxonomy = TAXONOMIES[type];
+    const items = await taxonomy.fetch(source);
+    if (items.length === 0) {
+      return ctx.reply(`📭 No ${type} found on the site.`);
+    }
+
+    // The source isn't in the callback data, which has little room to spare
+    ctx.session[taxonomy.sessionKey] = [...preferences.getFilters(preferences.getPreferences(chatId), source)[type]];
+    ctx.session.pickerChatId = String(chatId);
+    ctx.session.pickerSource = source;
+
+    const { text, keyboard } = taxonomyPicker.build(type, items, ctx.session[taxonomy.sessionKey], {
+      chatId,
+      chatTitle: this.remoteChatTitle(ctx, chatId),
+      sourceName: sourceRegistry.hasMultiple() ? sourceRegistry.label(source) : null
+    });
+    await (edit ? ctx.editMessageText(text, keyboard) : ctx.reply(text, keyboard));
   }
 
-  async handleSearch(ctx) {
-    // Implementation here
+  /**
+   * Handle taps on the category/tag picker keyboard. The draft selection lives
+   * in the session until it is saved, and the message is edited in place.
+   * @param {Object} ctx - Telegraf context with `match` from the action regex
+   */
+  async handlePickerAction(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.answerCbQuery('⛔ Only admins can change these settings.');
+    }
+
+    const [, type, chatId, action, first, second] = ctx.match;
+    const taxonomy = TAXONOMIES[type];
+    const chatTitle = this.remoteChatTitle(ctx, chatId);
+    const source = (ctx.session.pickerChatId === chatId && sourceRegistry.get(ctx.session.pickerSource)?.id) ||
+      sourceRegistry.defaultId;
+    const sourceName = sourceRegistry.hasMultiple() ? sourceRegistry.label(source) : null;
+    // Editing another chat from a DM links back to its settings panel
+    const back = chatTitle
+      ? Markup.inlineKeyboard([[Markup.button.callback('⬅️ Back to chat', `chan:open:${chatId}`)]])
+      : {};
+
+    if (action === 'noop') {
+      return ctx.answerCbQuery();
+    }
+
+    if (action === 'cancel') {
+      delete ctx.session[taxonomy.sessionKey];
+      await ctx.answerCbQuery('Cancelled');
+      return ctx.editMessageText(`No changes made to ${type}.`, back);
+    }
+
+    // The draft may be gone or belong to another chat's picker; start from saved prefs
+    const selected = ctx.session.pickerChatId === chatId && ctx.session[taxonomy.sessionKey]
+      ? ctx.session[taxonomy.sessionKey]
+      : [...preferences.getFilters(preferences.getPreferences(chatId), source)[type]];
+
+    if (action === 'save') {
+      taxonomy.save(chatId, selected, source);
+      delete ctx.session[taxonomy.sessionKey];
+      logger.info(`Updated ${type} via picker`, { chatId, by: ctx.from.id, source, ids: selected });
+      await ctx.answerCbQuery('Saved');
+      const target = chatTitle ? `"${chatTitle}"` : 'this chat';
+      return ctx.editMessageText(
+        selected.length > 0
+          ? `✅ Saved ${selected.length} ${type} for ${target}.`
+          : `✅ Cleared ${type} for ${target}: posts from all ${type} will be shared.`,
+        back
+      );
+    }
+
+    const items = await taxonomy.fetch(source);
+    let page = Number(first) || 0;
+    let next = selected;
+
+    if (action === 'toggle') {
+      const id = Number(first);
+      next = selected.includes(id) ? selected.filter(x => x !== id) : [...selected, id];
+      page = Number(second) || 0;
+    } else if (action === 'all') {
+      next = items.map(item => item.id);
+    } else if (action === 'reset') {
+      next = [];
+    }
+
+    ctx.session[taxonomy.sessionKey] = next;
+    ctx.session.pickerChatId = chatId;
+    ctx.session.pickerSource = source;
+    const { text, keyboard } = taxonomyPicker.build(type, items, next, { chatId, chatTitle, sourceName, page });
+
+    await ctx.answerCbQuery();
+    try {
+      await ctx.editMessageText(text, keyboard);
+    } catch (error) {
+      // Pressing Reset on an empty selection etc. leaves the message unchanged
+      if (!/message is not modified/.test(error.description || '')) throw error;
+    }
   }
 
-  async handleStats(ctx) {
-    // Implementation here
+  /**
+   * Get the title of a chat being configured remotely
+   * @param {Object} ctx - Telegraf context
+   * @param {string|number} chatId - Chat being configured
+   * @returns {string|null} Title, or null when configuring the current chat
+   */
+  remoteChatTitle(ctx, chatId) {
+    if (String(chatId) === String(ctx.chat.id)) return null;
+    return channelRegistry.get(chatId)?.title || String(chatId);
+  }
+
+  /**
+   * Handle the /post_latest [@source] command (admin only)
+   */
+  async handlePostLatest(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const args = ctx.message.text.replace(/^\/\S+\s*/, '').trim();
+    const { source, error } = this.parseSourceArgs(args);
+    if (error) {
+      return ctx.reply(error);
+    }
+
+    const post = await this.postLatest(ctx.chat.id, args.startsWith('@') ? [source.id] : undefined);
+    if (!post) {
+      return ctx.reply('📭 No posts found matching this chat\'s filters.');
+    }
+  }
+
+  /**
+   * Send the newest post matching a chat's filters to that chat
+   * @param {string|number} chatId - Chat ID
+   * @param {Array<string>} [sources] - Sources to consider; defaults to the chat's sources
+   * @returns {Promise<Object|null>} The post sent, or null if none matched
+   */
+  async postLatest(chatId, sources) {
+    const prefs = preferences.getPreferences(chatId);
+    const candidates = [];
+    for (const sourceId of sources || prefs.sources) {
+      const [latest] = await sourceRegistry.client(sourceId).getPosts({
+        ...preferences.getFilters(prefs, sourceId),
+        perPage: 1
+      });
+      if (latest) candidates.push(latest);
+    }
+
+    // Sites may be in different timezones, so compare GMT dates
+    const [post] = candidates.sort((a, b) => new Date(`${b.dateGmt}Z`) - new Date(`${a.dateGmt}Z`));
+    if (post) {
+      await this.sendPost(chatId, post);
+    }
+    return post || null;
+  }
+
+  /**
+   * Handle the /post_specific [@source] <id> command (admin only)
+   */
+  async handlePostSpecific(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const { source, rest, error } = this.parseSourceArgs(ctx.message.text.replace(/^\/\S+\s*/, '').trim());
+    if (error) {
+      return ctx.reply(error);
+    }
+
+    const postId = parseInt(rest, 10);
+    if (!postId) {
+      return ctx.reply(sourceRegistry.hasMultiple()
+        ? 'Usage: /post_specific [@source] <post_id>'
+        : 'Usage: /post_specific <post_id>');
+    }
+
+    let post;
+    try {
+      post = await source.client.getPostById(postId);
+    } catch (error) {
+      return ctx.reply(this.describeWordPressError(error, `post ${postId}`));
+    }
+
+    await this.sendPost(ctx.chat.id, post);
+  }
+
+  async handlePreferences(ctx) {
+    // Implementation here
+  }
+
+  /**
+   * Handle the /start_autopost command (admin only)
+   */
+  async handleStartAutoPost(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const chatId = ctx.chat.id;
+    const current = preferences.getPreferences(chatId);
+    if (current.autoPosting) {
+      return ctx.reply('ℹ️ Auto-posting is already enabled for this chat.');
+    }
+
+    await this.setAutoPosting(chatId, true);
+
+    if (current.deliveryMode === 'digest') {
+      await ctx.reply(`✅ Auto-posting enabled. ${this.describeDigest(chatId)}`);
+    } else {
+      const minutes = Math.round(config.posts.checkInterval / 60000);
+      await ctx.reply(
+        `✅ Auto-posting enabled. I'll check for new posts every ${minutes} minute(s) ` +
+        'and share them here using this chat\'s category and tag filters.'
+      );
+    }
+    logger.info('Auto-posting enabled', { chatId, by: ctx.from.id });
+  }
+
+  /**
+   * Turn auto-posting on or off for a chat and update its schedules
+   * @param {string|number} chatId - Chat ID
+   * @param {boolean} enabled - New state
+   */
+  async setAutoPosting(chatId, enabled) {
+    if (enabled) {
+      // Start from the newest post instead of replaying everything missed while disabled
+      preferences.resetCheckpoints(chatId);
+    }
+    preferences.toggleAutoPosting(chatId, enabled);
+    digestService.syncChat(chatId);
+
+    if (enabled) {
+      await autoPoster.checkChat(chatId);
+    }
+  }
+
+  /**
+   * Handle the /stop_autopost command (admin only)
+   */
+  async handleStopAutoPost(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const chatId = ctx.chat.id;
+    if (!preferences.getPreferences(chatId).autoPosting) {
+      return ctx.reply('ℹ️ Auto-posting is not enabled for this chat.');
+    }
+
+    await this.setAutoPosting(chatId, false);
+    await ctx.reply('⏹️ Auto-posting disabled for this chat.');
+    logger.info('Auto-posting disabled', { chatId, by: ctx.from.id });
+  }
+
+  /**
+   * Handle the /digest command (admin only).
+   * Forms: /digest, /digest instant, /digest daily 08:00, /digest weekly mon 08:00, /digest cover on|off
+   */
+  async handleDigest(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const chatId = ctx.chat.id;
+    const args = ctx.message.text.split(/\s+/).slice(1).map(arg => arg.toLowerCase());
+
+    if (args.length > 0) {
+      const [mode, ...rest] = args;
+      const time = rest.find(arg => /^\d{1,2}:\d{2}$/.test(arg));
+      const weekday = rest.map(arg => digestService.parseWeekday(arg)).find(day => day !== null);
+
+      if (time) {
+        const [hour, minute] = time.split(':').map(Number);
+        if (hour > 23 || minute > 59) {
+          return ctx.reply('❌ Invalid time. Use 24-hour HH:MM, e.g. 08:00.');
+        }
+      }
+
+      if (mode === 'cover' && ['on', 'off'].includes(rest[0])) {
+        preferences.updateDigest(chatId, { cover: rest[0] === 'on' });
+      } else if (['instant', 'off'].includes(mode)) {
+        this.applyDigestAction(chatId, 'instant');
+      } else if (['daily', 'weekly'].includes(mode)) {
+        const updates = {};
+        if (time) updates.time = time.padStart(5, '0');
+        if (mode === 'weekly' && weekday !== undefined) updates.weekday = weekday;
+        preferences.updateDigest(chatId, updates);
+        this.applyDigestAction(chatId, mode);
+      } else {
+        return ctx.reply(
+          'Usage:\n' +
+          '/digest instant — send every post as it\'s published\n' +
+          '/digest daily 08:00 — one digest per day\n' +
+          '/digest weekly mon 08:00 — one digest per week\n' +
+          '/digest cover on|off — show a cover image\n' +
+          '/timezone Europe/Berlin — timezone for the schedule'
+        );
+      }
+      logger.info('Updated digest settings', { chatId, args, by: ctx.from.id });
+    }
+
+    const { text, keyboard } = this.buildDigestPanel(ctx, chatId);
+    await ctx.reply(text, { parse_mode: 'HTML', ...keyboard });
+  }
+
+  /**
+   * Handle the /timezone <Area/City> command (admin only)
+   */
+  async handleTimezone(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const input = ctx.message.text.split(/\s+/)[1];
+    const prefs = preferences.getPreferences(ctx.chat.id);
+    if (!input) {
+      return ctx.reply(`🕒 This chat uses ${prefs.timezone}. Change it with /timezone <Area/City>, e.g. /timezone Europe/Berlin`);
+    }
+
+    const zone = moment.tz.zone(input);
+    if (!zone) {
+      return ctx.reply(`❌ Unknown timezone "${input}". Use a name like Europe/Berlin or America/New_York.`);
+    }
+
+    preferences.updatePreferences(ctx.chat.id, { timezone: zone.name });
+    digestService.syncChat(ctx.chat.id);
+    await ctx.reply(`✅ Timezone set to ${zone.name} (now ${moment().tz(zone.name).format('HH:mm')}).`);
+  }
+
+  /**
+   * Handle the /posting_window command (admin only).
+   * Forms: /posting_window, /posting_window 08:00-22:00 [mon-fri], /posting_window cron <expr>,
+   * /posting_window silent on|off, /posting_window off
+   */
+  async handlePostingWindow(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const chatId = ctx.chat.id;
+    const args = ctx.message.text.split(/\s+/).slice(1);
+    const [mode, ...rest] = args.map(arg => arg.toLowerCase());
+    const current = preferences.getPreferences(chatId).postingWindow;
+    let updates;
+
+    if (!mode) {
+      updates = null;
+    } else if (mode === 'off') {
+      updates = { enabled: false };
+    } else if (mode === 'on') {
+      updates = { enabled: true };
+    } else if (mode === 'silent' && ['on', 'off'].includes(rest[0])) {
+      updates = { silent: rest[0] === 'on' };
+    } else if (mode === 'cron') {
+      const expression = args.slice(1).join(' ');
+      if (!postingWindow.parseCron(expression)) {
+        return ctx.reply('❌ Invalid cron expression. Use five fields, e.g. /posting_window cron * 8-21 * * mon-fri');
+      }
+      updates = { enabled: true, cron: expression };
+    } else {
+      const hours = postingWindow.parseHours(mode);
+      const days = rest.length > 0 ? postingWindow.parseDays(rest.join(',')) : [0, 1, 2, 3, 4, 5, 6];
+      if (!hours || !days) {
+        return ctx.reply(
+          'Usage:\n' +
+          '/posting_window 08:00-22:00 — only post between these hours\n' +
+          '/posting_window 09:00-18:00 mon-fri — only on some days\n' +
+          '/posting_window cron * 8-21 * * 1-5 — minutes matching a cron expression\n' +
+          '/posting_window silent on|off — send held posts without notification\n' +
+          '/posting_window off — post at any time'
+        );
+      }
+      updates = { enabled: true, cron: null, ...hours, days };
+    }
+
+    const prefs = updates
+      ? preferences.updatePreferences(chatId, { postingWindow: { ...current, ...updates } })
+      : preferences.getPreferences(chatId);
+    if (updates) {
+      logger.info('Updated posting window', { chatId, updates, by: ctx.from.id });
+    }
+
+    await ctx.reply(this.describePostingWindow(prefs));
+  }
+
+  /**
+   * Handle the /retraction [notice|delete|keep] command (admin only)
+   */
+  async handleRetraction(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const policy = (ctx.message.text.split(/\s+/)[1] || '').toLowerCase();
+    if (!policy) {
+      const current = preferences.getPreferences(ctx.chat.id).retraction;
+      return ctx.reply(
+        `When a post is unpublished in WordPress I ${RETRACTION_POLICIES[current]} here.\n\n` +
+        'Change it with /retraction notice, /retraction delete or /retraction keep.'
+      );
+    }
+
+    if (!RETRACTION_POLICIES[policy]) {
+      return ctx.reply('❌ Unknown policy. Use /retraction notice, /retraction delete or /retraction keep.');
+    }
+
+    preferences.updatePreferences(ctx.chat.id, { retraction: policy });
+    logger.info('Updated retraction policy', { chatId: ctx.chat.id, retraction: policy, by: ctx.from.id });
+    await ctx.reply(`✅ When a post is unpublished I'll ${RETRACTION_POLICIES[policy]} here.`);
+  }
+  /**
+   * Handle the /sources command: the sites this chat receives posts from.
+   * Admins get buttons to subscribe to sites and set their filters.
+   */
+  async handleSources(ctx) {
+    if (!this.isAdmin(ctx)) {
+      const { sources } = preferences.getPreferences(ctx.chat.id);
+      const lines = sourceRegistry.list().map(source =>
+        `${sources.includes(source.id) ? '✅' : '⚪'} ${sourceRegistry.label(source.id)} (@${source.id})`);
+      return ctx.reply(`🌐 Sites this chat receives posts from:\n\n${lines.join('\n')}`);
+    }
+
+    const { text, keyboard } = this.buildSourcePanel(ctx, ctx.chat.id);
+    await ctx.reply(text, { parse_mode: 'HTML', ...keyboard });
+  }
+
+  /**
+   * Handle the buttons of the source panel
+   * @param {Object} ctx - Telegraf context with `match` from the action regex
+   */
+  async handleSourceAction(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.answerCbQuery('⛔ Only admins can change these settings.');
+    }
+
+    const [, chatId, action, sourceId] = ctx.match;
+    if (action !== 'show' && !sourceRegistry.get(sourceId)) {
+      return ctx.answerCbQuery('❌ This site is no longer configured.');
+    }
+
+    if (action === 'cats' || action === 'tags') {
+      await ctx.answerCbQuery();
+      return this.showTaxonomyPicker(ctx, action === 'cats' ? 'categories' : 'tags', chatId, {
+        edit: true,
+        source: sourceId
+      });
+    }
+
+    if (action === 'toggle') {
+      const { sources } = preferences.getPreferences(chatId);
+      const enabled = !sources.includes(sourceId);
+      if (!enabled && sources.length === 1) {
+        return ctx.answerCbQuery('A chat needs at least one site.');
+      }
+
+      preferences.updateSources(chatId, enabled ? [...sources, sourceId] : sources.filter(id => id !== sourceId));
+      logger.info(`${enabled ? 'Subscribed to' : 'Unsubscribed from'} source`, { chatId, source: sourceId, by: ctx.from.id });
+      await ctx.answerCbQuery(`${sourceRegistry.label(sourceId)} ${enabled ? 'on' : 'off'}`);
+    } else {
+      await ctx.answerCbQuery();
+    }
+
+    const { text, keyboard } = this.buildSourcePanel(ctx, chatId);
+    await ctx.editMessageText(text, { parse_mode: 'HTML', ...keyboard });
+  }
+
+  /**
+   * Build the panel listing every source with the chat's subscription and filters
+   * @param {Object} ctx - Telegraf context
+   * @param {string|number} chatId - Chat ID
+   * @returns {Object} `{ text, keyboard }`
+   */
+  buildSourcePanel(ctx, chatId) {
+    const prefs = preferences.getPreferences(chatId);
+    const title = this.remoteChatTitle(ctx, chatId);
+    const describe = (ids, type) => (ids.length > 0 ? `${ids.length} ${type}` : `all ${type}`);
+
+    const lines = [
+      `🌐 <b>Sites${title ? ` for ${escapeHtml(title)}` : ''}</b>`,
+      'Tap a site to turn it on or off. Categories and tags are set per site.',
+      ''
+    ];
+    const rows = [];
+    for (const source of sourceRegistry.list()) {
+      const subscribed = prefs.sources.includes(source.id);
+      const { categories, tags } = preferences.getFilters(prefs, source.id);
+      // Feeds have categories but no tags
+      const hasTags = source.type !== 'feed';
+      lines.push(`${subscribed ? '✅' : '⚪'} <b>${escapeHtml(sourceRegistry.label(source.id))}</b> ` +
+        `<i>(@${source.id})</i> — ${describe(categories, 'categories')}` +
+        (hasTags ? `, ${describe(tags, 'tags')}` : ''));
+      rows.push([
+        Markup.button.callback(`${subscribed ? '✅' : '⚪'} ${sourceRegistry.label(source.id)}`, `src:${chatId}:toggle:${source.id}`),
+        Markup.button.callback('📚', `src:${chatId}:cats:${source.id}`),
+        ...(hasTags ? [Markup.button.callback('🏷️', `src:${chatId}:tags:${source.id}`)] : [])
+      ]);
+    }
+    if (title) {
+      rows.push([Markup.button.callback('⬅️ Back to chat', `chan:open:${chatId}`)]);
+    }
+
+    return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  /**
+   * Handle the /saved command: the reading list of the user, kept private to them
+   * @param {Object} ctx - Telegraf context
+   */
+  async handleSaved(ctx) {
+    if (ctx.chat.type !== 'private') {
+      return ctx.reply('🔖 Your reading list is private. Send /saved to me in a private chat to see it.');
+    }
+
+    const { text, keyboard } = this.buildSavedPanel(ctx.from.id, 0);
+    await ctx.reply(text, { parse_mode: 'HTML', link_preview_options: { is_disabled: true }, ...keyboard });
+  }
+
+  /**
+   * Handle a 🔖 Save button under a post card
+   * @param {Object} ctx - Telegraf context with `match` from the action regex
+   */
+  async handleSaveAction(ctx) {
+    const { added } = await readingList.save(ctx.from.id, ctx.match[1]);
+    await ctx.answerCbQuery(added
+      ? '🔖 Saved to your reading list. Send /saved to me to see it.'
+      : '🔖 Already in your reading list.');
+  }
+
+  /**
+   * Handle the paging and remove buttons of /saved
+   * @param {Object} ctx - Telegraf context with `match` from the action regex
+   */
+  async handleSavedAction(ctx) {
+    const [, action, page, key] = ctx.match;
+
+    if (action === 'rm') {
+      const removed = readingList.remove(ctx.from.id, key);
+      await ctx.answerCbQuery(removed ? '🗑 Removed from your reading list' : 'Already removed');
+    } else {
+      await ctx.answerCbQuery();
+    }
+
+    const { text, keyboard } = this.buildSavedPanel(ctx.from.id, Number(page));
+    await ctx.editMessageText(text, { parse_mode: 'HTML', link_preview_options: { is_disabled: true }, ...keyboard });
+  }
+
+  /**
+   * Build a page of a user's reading list, with a button to open and to remove each article
+   * @param {string|number} userId - Telegram user ID
+   * @param {number} page - Zero-based page; clamped to the last one
+   * @returns {Object} `{ text, keyboard }`
+   */
+  buildSavedPanel(userId, page) {
+    const items = readingList.list(userId);
+    if (items.length === 0) {
+      return {
+        text: '🔖 <b>Your reading list is empty.</b>\n\nTap 🔖 Save under any article to keep it for later.',
+        keyboard: Markup.inlineKeyboard([])
+      };
+    }
+
+    const pages = Math.ceil(items.length / SAVED_PAGE_SIZE);
+    const current = Math.min(page, pages - 1);
+    const start = current * SAVED_PAGE_SIZE;
+    const shown = items.slice(start, start + SAVED_PAGE_SIZE);
+
+    const lines = [`🔖 <b>Your reading list</b> (${items.length})`, ''];
+    const rows = [];
+    shown.forEach((item, index) => {
+      const number = start + index + 1;
+      const source = item.source !== sourceRegistry.defaultId ? ` · ${escapeHtml(sourceRegistry.label(item.source))}` : '';
+      lines.push(`${number}. <a href="${escapeAttribute(item.link)}">${escapeHtml(item.title)}</a>\n` +
+        `   <i>saved ${moment(item.savedAt).fromNow()}${source}</i>`);
+      rows.push([
+        Markup.button.url(`📖 ${number}. ${truncate(item.title, 40)}`, item.link),
+        Markup.button.callback('🗑', `saved:rm:${current}:${item.key}`)
+      ]);
+    });
+
+    const nav = [];
+    if (current > 0) nav.push(Markup.button.callback('⬅️ Previous', `saved:page:${current - 1}`));
+    if (current < pages - 1) nav.push(Markup.button.callback('Next ➡️', `saved:page:${current + 1}`));
+    if (nav.length > 0) {
+      rows.push(nav);
+      lines.push('', `<i>Page ${current + 1} of ${pages}</i>`);
+    }
+
+    return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  /**
+   * Toggle a boolean posting window setting
+   * @param {string|number} chatId - Chat ID
+   * @param {string} key - 'enabled' or 'silent'
+   */
+  toggleWindowSetting(chatId, key) {
+    const { postingWindow: current } = preferences.getPreferences(chatId);
+    preferences.updatePreferences(chatId, { postingWindow: { ...current, [key]: !current[key] } });
+  }
+
+  /**
+   * Describe a chat's posting window and whether it is open now
+   * @param {Object} prefs - Chat preferences
+   * @returns {string} Description
+   */
+  describePostingWindow(prefs) {
+    const window = prefs.postingWindow;
+    if (!window.enabled) {
+      return '🕒 Posts are sent as soon as they are found. Limit the hours with /posting_window 08:00-22:00.';
+    }
+
+    const lines = [`🕒 Posting window: ${postingWindow.describe(window)} (${prefs.timezone})`];
+    if (postingWindow.isOpen(window, prefs.timezone)) {
+      lines.push('The window is open now.');
+    } else {
+      const next = postingWindow.nextOpening(window, prefs.timezone);
+      lines.push(next
+        ? `Closed now; held posts go out from ${moment(next).tz(prefs.timezone).format('ddd HH:mm')}.`
+        : 'Closed now, and it never opens — check the schedule.');
+    }
+    lines.push(window.silent
+      ? 'Posts held while closed are sent without notification.'
+      : 'Posts held while closed are sent with a notification. Use /posting_window silent on to change that.');
+    if (prefs.deliveryMode === 'digest') {
+      lines.push('This chat receives digests, which follow their own schedule instead.');
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Apply a digest panel action to a chat's preferences
+   * @param {string|number} chatId - Chat ID
+   * @param {string} action - 'instant', 'daily', 'weekly' or 'cover'
+   */
+  applyDigestAction(chatId, action) {
+    const prefs = preferences.getPreferences(chatId);
+
+    if (action === 'instant') {
+      preferences.updatePreferences(chatId, { deliveryMode: 'instant' });
+    } else if (action === 'cover') {
+      preferences.updateDigest(chatId, { cover: !prefs.digest.cover });
+    } else {
+      // Start the digest from now rather than an old cursor
+      preferences.updatePreferences(chatId, {
+        deliveryMode: 'digest',
+        digest: {
+          ...prefs.digest,
+          frequency: action,
+          lastPostDates: prefs.deliveryMode === 'digest' ? prefs.digest.lastPostDates : {}
+        }
+      });
+    }
+
+    if (action === 'instant' && prefs.deliveryMode === 'digest') {
+      // Don't flood the chat with everything published since the last digest
+      preferences.resetCheckpoints(chatId);
+    }
+
+    digestService.syncChat(chatId);
+  }
+
+  /**
+   * Describe a chat's digest schedule in one sentence
+   * @param {string|number} chatId - Chat ID
+   * @returns {string} Description
+   */
+  describeDigest(chatId) {
+    const { digest, timezone } = preferences.getPreferences(chatId);
+    const when = digest.frequency === 'weekly'
+      ? `every ${digestService.weekdayName(digest.weekday)} at ${digest.time}`
+      : `every day at ${digest.time}`;
+    return `A digest of new posts is sent ${when} (${timezone}).`;
+  }
+
+  /**
+   * Build the delivery settings panel of a chat
+   * @param {Object} ctx - Telegraf context
+   * @param {string|number} chatId - Chat ID
+   * @returns {Object} `{ text, keyboard }`
+   */
+  buildDigestPanel(ctx, chatId) {
+    const prefs = preferences.getPreferences(chatId);
+    const isDigest = prefs.deliveryMode === 'digest';
+    const title = this.remoteChatTitle(ctx, chatId);
+    const nextRun = digestService.nextRun(chatId);
+    const mark = (active, label) => (active ? `• ${label} •` : label);
+
+    const lines = [
+      `🗞 <b>Delivery${title ? ` for ${escapeHtml(title)}` : ''}</b>`,
+      '',
+      isDigest
+        ? escapeHtml(this.describeDigest(chatId))
+        : 'Every new post is sent as soon as it\'s found.',
+      `Cover image: ${prefs.digest.cover ? 'on' : 'off'}`,
+      `Timezone: ${escapeHtml(prefs.timezone)}`
+    ];
+    if (!isDigest) {
+      lines.push(
+        `Posting window: ${escapeHtml(postingWindow.describe(prefs.postingWindow))}` +
+        (prefs.postingWindow.enabled && prefs.postingWindow.silent ? ' (held posts sent silently)' : '')
+      );
+    }
+    if (isDigest && nextRun) {
+      lines.push(`Next digest: ${moment(nextRun).tz(prefs.timezone).format('ddd D MMM, HH:mm')}`);
+    }
+    if (!prefs.autoPosting) {
+      lines.push('', '⚠️ Auto-posting is off, so nothing is sent until it\'s enabled.');
+    }
+    lines.push(`When a post is unpublished: ${RETRACTION_POLICIES[prefs.retraction]}`);
+    lines.push('', '<i>Set the time with /digest daily 08:00 or /digest weekly mon 08:00, ' +
+      'and posting hours with /posting_window 08:00-22:00.</i>');
+
+    const rows = [
+      [
+        Markup.button.callback(mark(!isDigest, '⚡ Instant'), `digest:${chatId}:instant`),
+        Markup.button.callback(mark(isDigest && prefs.digest.frequency === 'daily', '📅 Daily'), `digest:${chatId}:daily`),
+        Markup.button.callback(mark(isDigest && prefs.digest.frequency === 'weekly', '🗓 Weekly'), `digest:${chatId}:weekly`)
+      ],
+      [Markup.button.callback(prefs.digest.cover ? '🖼 Cover: on' : '🖼 Cover: off', `digest:${chatId}:cover`)]
+    ];
+    if (!isDigest) {
+      const { enabled, silent } = prefs.postingWindow;
+      rows.push([
+        Markup.button.callback(enabled ? '🌙 Window: on' : '🌙 Window: off', `digest:${chatId}:window`),
+        Markup.button.callback(silent ? '🔕 Silent release: on' : '🔔 Silent release: off', `digest:${chatId}:silent`)
+      ]);
+    }
+    rows.push([Markup.button.callback(`🗑 On unpublish: ${prefs.retraction}`, `digest:${chatId}:retract`)]);
+    if (title) {
+      rows.push([Markup.button.callback('⬅️ Back to chat', `chan:open:${chatId}`)]);
+    }
+
+    return { text: lines.join('\n'), keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  /**
+   * Handle the /search [@source] <query> command
+   */
+  async handleSearch(ctx) {
+    const { source, rest: query, error } = this.parseSourceArgs(ctx.message.text.replace(/^\/\S+\s*/, '').trim());
+    if (error) {
+      return ctx.reply(error);
+    }
+    if (!query) {
+      return ctx.reply('Usage: /search <query>\nExample: /search quantum computing');
+    }
+
+    const filters = preferences.getFilters(preferences.getPreferences(ctx.chat.id), source.id);
+    const hasFilters = filters.categories.length > 0 || filters.tags.length > 0;
+    const searchId = crypto.randomBytes(6).toString('hex');
+    searches.set(searchId, { query, scoped: hasFilters, chatId: ctx.chat.id, source: source.id });
+
+    const { text, keyboard } = await this.buildSearchPage(searchId, 0);
+    await ctx.reply(text, { parse_mode: 'HTML', ...keyboard });
+  }
+
+  /**
+   * Handle Prev/Next, scope toggle and result buttons of a search message
+   * @param {Object} ctx - Telegraf context with `match` from the action regex
+   */
+  async handleSearchAction(ctx) {
+    const [, searchId, action, value] = ctx.match;
+    const search = searches.get(searchId);
+    if (!search) {
+      await ctx.answerCbQuery('⌛ This search has expired. Please run /search again.');
+      return;
+    }
+
+    if (action === 'open') {
+      await ctx.answerCbQuery();
+      const post = await sourceRegistry.client(search.source).getPostById(Number(value));
+      return this.sendPost(ctx.chat.id, post);
+    }
+
+    if (action === 'scope') {
+      searches.set(searchId, { ...search, scoped: !search.scoped });
+    }
+
+    const page = action === 'page' ? Number(value) : 0;
+    const { text, keyboard } = await this.buildSearchPage(searchId, page);
+
+    await ctx.answerCbQuery();
+    try {
+      await ctx.editMessageText(text, { parse_mode: 'HTML', ...keyboard });
+    } catch (error) {
+      if (!/message is not modified/.test(error.description || '')) throw error;
+    }
+  }
+
+  /**
+   * Build one page of search results as a numbered list with navigation buttons
+   * @param {string} searchId - Search ID in the searches cache
+   * @param {number} page - Zero-based page index
+   * @returns {Promise<Object>} `{ text, keyboard }`
+   */
+  async buildSearchPage(searchId, page) {
+    const { query, scoped, chatId, source } = searches.get(searchId);
+    const filters = preferences.getFilters(preferences.getPreferences(chatId), source);
+    const hasFilters = filters.categories.length > 0 || filters.tags.length > 0;
+
+    const { posts: results, total, totalPages } = await sourceRegistry.client(source).getPostsPage({
+      search: query,
+      categories: scoped ? filters.categories : [],
+      tags: scoped ? filters.tags : [],
+      perPage: SEARCH_PAGE_SIZE,
+      page: page + 1
+    });
+    const hasNext = totalPages !== null ? page + 1 < totalPages : results.length === SEARCH_PAGE_SIZE;
+
+    const header = `🔎 Results for <b>${escapeHtml(query)}</b>${this.sourceHeading(source)}` +
+      (scoped ? ' <i>(this chat\'s filters)</i>' : '') +
+      (total ? `\n${total} post${total === 1 ? '' : 's'}, page ${page + 1} of ${totalPages}` : '');
+
+    const rows = [];
+    let text;
+    if (results.length === 0) {
+      text = `${header}\n\nNo posts found.`;
+    } else {
+      const lines = results.map((post, i) => {
+        const date = moment(post.date).format('D MMM YYYY');
+        return `${page * SEARCH_PAGE_SIZE + i + 1}. <b>${escapeHtml(htmlToText(post.title))}</b> <i>${date}</i>`;
+      });
+      text = `${header}\n\n${lines.join('\n')}\n\nTap a number to open the article.`;
+      rows.push(results.map((post, i) =>
+        Markup.button.callback(String(page * SEARCH_PAGE_SIZE + i + 1), `search:${searchId}:open:${post.id}`)
+      ));
+    }
+
+    const nav = [];
+    if (page > 0) nav.push(Markup.button.callback('◀️ Prev', `search:${searchId}:page:${page - 1}`));
+    if (hasNext) nav.push(Markup.button.callback('Next ▶️', `search:${searchId}:page:${page + 1}`));
+    if (nav.length > 0) rows.push(nav);
+
+    if (hasFilters) {
+      rows.push([Markup.button.callback(
+        scoped ? '🌐 Search all posts' : '🎯 Only this chat\'s filters',
+        `search:${searchId}:scope:0`
+      )]);
+    }
+
+    return { text, keyboard: Markup.inlineKeyboard(rows) };
+  }
+
+  /**
+   * Handle the /channels command (admin only): list registered channels and groups
+   */
+  async handleChannels(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const { text, keyboard } = this.buildChannelList();
+    await ctx.reply(text, { parse_mode: 'HTML', ...keyboard });
+  }
+
+  /**
+   * Handle the buttons of the /channels list and per-chat settings panels
+   * @param {Object} ctx - Telegraf context with `match` from the action regex
+   */
+  async handleChannelAction(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.answerCbQuery('⛔ Only admins can manage channels.');
+    }
+
+    const [, action, chatId] = ctx.match;
+    const edit = async ({ text, keyboard }) => {
+      try {
+        await ctx.editMessageText(text, { parse_mode: 'HTML', ...keyboard });
+      } catch (error) {
+        if (!/message is not modified/.test(error.description || '')) throw error;
+      }
+    };
+
+    switch (action) {
+      case 'list':
+        await ctx.answerCbQuery();
+        return edit(this.buildChannelList());
+
+      case 'auto': {
+        const enabled = !preferences.getPreferences(chatId).autoPosting;
+        await this.setAutoPosting(chatId, enabled);
+        logger.info(`Auto-posting ${enabled ? 'enabled' : 'disabled'} remotely`, { chatId, by: ctx.from.id });
+        await ctx.answerCbQuery(enabled ? 'Auto-posting enabled' : 'Auto-posting disabled');
+        return edit(this.buildChannelPanel(chatId));
+      }
+
+      case 'cats':
+      case 'tags':
+        await ctx.answerCbQuery();
+        return this.showTaxonomyPicker(ctx, action === 'cats' ? 'categories' : 'tags', chatId, { edit: true });
+
+      case 'post': {
+        const post = await this.postLatest(chatId);
+        return ctx.answerCbQuery(post ? '📤 Latest post sent' : '📭 No posts match this chat\'s filters');
+      }
+
+      case 'remove':
+        channelRegistry.remove(chatId);
+        await this.setAutoPosting(chatId, false);
+        await ctx.answerCbQuery('Removed from the list');
+        return edit(this.buildChannelList());
+
+      default:
+        await ctx.answerCbQuery();
+        return edit(this.buildChannelPanel(chatId));
+    }
+  }
+
+  /**
+   * Build the list of registered chats
+   * @returns {Object} `{ text, keyboard }`
+   */
+  buildChannelList() {
+    const chats = channelRegistry.list();
+    if (chats.length === 0) {
+      return {
+        text: '📭 I\'m not in any channels or groups yet.\n\n' +
+          'Add me to a channel as an admin with the "Post messages" right, or to a group, and it will show up here.',
+        keyboard: {}
+      };
+    }
+
+    const rows = chats.map(chat => {
+      const icon = chat.type === 'channel' ? '📢' : '👥';
+      const state = preferences.getPreferences(chat.id).autoPosting ? ' 🟢' : '';
+      const warning = chat.canPost ? '' : ' ⚠️';
+      return [Markup.button.callback(`${icon} ${chat.title}${state}${warning}`, `chan:open:${chat.id}`)];
+    });
+
+    return {
+      text: `<b>Registered chats (${chats.length})</b>\n🟢 auto-posting on · ⚠️ can't post\n\nTap a chat to configure it.`,
+      keyboard: Markup.inlineKeyboard(rows)
+    };
+  }
+
+  /**
+   * Build the settings panel of a registered chat
+   * @param {string|number} chatId - Chat ID
+   * @returns {Object} `{ text, keyboard }`
+   */
+  buildChannelPanel(chatId) {
+    const chat = channelRegistry.get(chatId) || { id: String(chatId), title: String(chatId), type: 'unknown', canPost: false };
+    const prefs = preferences.getPreferences(chatId);
+    const describe = (ids, type) => (ids.length > 0 ? `${ids.length} selected` : `all ${type}`);
+    // With several sites, these filters are the default site's; the others are set from 🌐 Sites
+    const site = sourceRegistry.hasMultiple() ? ` (${escapeHtml(sourceRegistry.label(sourceRegistry.defaultId))})` : '';
+
+    const text = [
+      `${chat.type === 'channel' ? '📢' : '👥'} <b>${escapeHtml(chat.title)}</b>`,
+      `Type: ${chat.type}${chat.username ? ` · @${escapeHtml(chat.username)}` : ''}`,
+      `ID: <code>${escapeHtml(String(chat.id))}</code>`,
+      `Can post: ${chat.canPost ? '✅' : '⚠️ no — give me the "Post messages" right'}`,
+      '',
+      `Auto-posting: ${prefs.autoPosting ? '🟢 on' : '⚪ off'}`,
+      `Delivery: ${prefs.deliveryMode === 'digest' ? `${prefs.digest.frequency} digest` : 'instant'}`,
+      `Posting window: ${escapeHtml(postingWindow.describe(prefs.postingWindow))}`,
+      ...(sourceRegistry.hasMultiple()
+        ? [`Sites: ${escapeHtml(prefs.sources.map(id => sourceRegistry.label(id)).join(', ') || 'none')}`]
+        : []),
+      `Categories${site}: ${describe(prefs.categories, 'categories')}`,
+      `Tags${site}: ${describe(prefs.tags, 'tags')}`
+    ].join('\n');
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback(prefs.autoPosting ? '⏹️ Stop auto-posting' : '▶️ Start auto-posting', `chan:auto:${chat.id}`)],
+      [
+        Markup.button.callback('📚 Categories', `chan:cats:${chat.id}`),
+        Markup.button.callback('🏷️ Tags', `chan:tags:${chat.id}`)
+      ],
+      ...(sourceRegistry.hasMultiple() ? [[Markup.button.callback('🌐 Sites', `src:${chat.id}:show`)]] : []),
+      [
+        Markup.button.callback('🗞 Delivery', `digest:${chat.id}:show`),
+        Markup.button.callback('📤 Post latest now', `chan:post:${chat.id}`)
+      ],
+      [
+        Markup.button.callback('🗑 Forget', `chan:remove:${chat.id}`),
+        Markup.button.callback('⬅️ All chats', `chan:list:0`)
+      ]
+    ]);
+
+    return { text, keyboard };
+  }
+
+  /**
+   * Handle the /dead_letters command (admin only): messages that could not be
+   * delivered. Forms: /dead_letters, /dead_letters retry [id...], /dead_letters clear
+   */
+  async handleDeadLetters(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    const [action, ...ids] = ctx.message.text.split(/\s+/).slice(1);
+    if (action === 'retry') {
+      const count = sendQueue.retryDeadLetters(ids.length > 0 ? ids : undefined);
+      logger.info('Retried dead letters', { count, ids, by: ctx.from.id });
+      return ctx.reply(count > 0 ? `🔁 Queued ${count} message(s) again.` : '❌ No matching failed messages.');
+    }
+    if (action === 'clear') {
+      const count = sendQueue.clearDeadLetters();
+      logger.info('Cleared dead letters', { count, by: ctx.from.id });
+      return ctx.reply(`🗑 Discarded ${count} failed message(s).`);
+    }
+
+    const { text, keyboard } = this.buildDeadLetterPanel();
+    await ctx.reply(text, { parse_mode: 'HTML', ...keyboard });
+  }
+
+  /**
+   * Build the dead letter panel: the most recent failures and the queue state
+   * @returns {Object} `{ text, keyboard }`
+   */
+  buildDeadLetterPanel() {
+    const letters = sendQueue.getDeadLetters();
+    const lines = [
+      '📮 <b>Failed messages</b>',
+      `Queued now: ${sendQueue.size()}`,
+      ''
+    ];
+
+    if (letters.length === 0) {
+      lines.push('No failed messages. 🎉');
+      return {
+        text: lines.join('\n'),
+        keyboard: Markup.inlineKeyboard([[Markup.button.callback('🔄 Refresh', 'dlq:refresh')]])
+      };
+    }
+
+    const shown = letters.slice(-10).reverse();
+    lines.push(`${letters.length} message(s) could not be delivered${letters.length > shown.length ? `, latest ${shown.length}` : ''}:`);
+    for (const letter of shown) {
+      lines.push(
+        `• <code>${letter.id}</code> ${letter.method} → ${escapeHtml(this.chatLabel(letter.chatId))}\n` +
+        `  ${escapeHtml(letter.error)} · ${moment(letter.failedAt).fromNow()}`
+      );
+    }
+    lines.push('', '<i>Retry one with /dead_letters retry &lt;id&gt;.</i>');
+
+    return {
+      text: lines.join('\n'),
+      keyboard: Markup.inlineKeyboard([
+        [
+          Markup.button.callback('🔁 Retry all', 'dlq:retry'),
+          Markup.button.callback('🗑 Clear', 'dlq:clear')
+        ],
+        [Markup.button.callback('🔄 Refresh', 'dlq:refresh')]
+      ])
+    };
+  }
+
+  /**
+   * Handle the /stats command (admin only)
+   */
+  async handleStats(ctx) {
+    if (!this.isAdmin(ctx)) {
+      return ctx.reply('⛔ This command is only available to admins.');
+    }
+
+    await ctx.reply(this.formatStats('overview', '7d'), {
+      parse_mode: 'HTML',
+      ...this.buildStatsKeyboard('overview', '7d')
+    });
+  }
+
+  /**
+   * Render one view of the stats dashboard
+   * @param {string} view - One of STATS_VIEWS
+   * @param {string} range - One of STATS_RANGES
+   * @returns {string} Telegram HTML
+   */
+  formatStats(view, range) {
+    const summary = metricsService.getSummary(range);
+    const header = `${STATS_VIEWS[view] || STATS_VIEWS.overview} — <i>${STATS_RANGES[summary.range]}</i>\n\n`;
+    const list = (entries, format) => (entries.length > 0
+      ? entries.map((entry, i) => `${i + 1}. ${format(entry)}`).join('\n')
+      : '<i>No data for this period.</i>');
+
+    switch (view) {
+      case 'commands':
+        return header + list(summary.commandUsage, ([command, count]) => `/${escapeHtml(command)} — ${count}`);
+
+      case 'channels':
+        return header + list(summary.channelUsage, ([chatId, count]) => {
+          const title = channelRegistry.get(chatId)?.title;
+          const label = title ? `${escapeHtml(title)} <code>${escapeHtml(chatId)}</code>` : `<code>${escapeHtml(chatId)}</code>`;
+          return `${label} — ${count} post(s)`;
+        });
+
+      case 'posts':
+        return header + list(summary.postUsage, ({ postId, title, count }) =>
+          `${escapeHtml(title || `Post ${postId}`)} <i>(#${escapeHtml(postId)})</i> — ${count} deliver${count === 1 ? 'y' : 'ies'}`);
+
+      default: {
+        const users = summary.mostActiveUsers
+          .map(({ userId, commandsUsed }) => `<code>${escapeHtml(userId)}</code> (${commandsUsed})`)
+          .join(', ');
+        const commands = summary.mostUsedCommands
+          .map(([command, count]) => `/${escapeHtml(command)} (${count})`)
+          .join(', ');
+
+        return header +
+          `👥 Total users: <b>${summary.totalUsers}</b>\n` +
+          `🟢 Active users: <b>${summary.activeUsers}</b>\n` +
+          `📨 Posts sent: <b>${summary.totalPostsSent}</b>\n` +
+          `🔎 Searches: <b>${summary.totalSearches}</b>\n\n` +
+          `<b>Top commands:</b> ${commands || '—'}\n` +
+          `<b>Most active users:</b> ${users || '—'}\n\n` +
+          `<i>Updated ${moment(summary.lastUpdated).fromNow()}</i>`;
+      }
+    }
+  }
+
+  /**
+   * Build the view and range switcher of the stats dashboard
+   * @param {string} view - Current view
+   * @param {string} range - Current range
+   * @returns {Object} Telegraf reply markup extra
+   */
+  buildStatsKeyboard(view, range) {
+    const button = (label, active, data) => Markup.button.callback(active ? `• ${label} •` : label, data);
+
+    return Markup.inlineKeyboard([
+      Object.entries(STATS_VIEWS).map(([key, label]) => button(label, key === view, `stats:${key}:${range}`)),
+      Object.entries(STATS_RANGES).map(([key, label]) => button(label, key === range, `stats:${view}:${key}`))
+    ]);
+  }
+
+  /**
+   * Resolve DEFAULT_CATEGORIES / DEFAULT_TAGS entries, and the default filters
+   * of the other sources, given as names or slugs into IDs. Numeric defaults
+   * keep working if WordPress is unreachable.
+   */
+  async resolveDefaultFilters() {
+    for (const source of sourceRegistry.list()) {
+      const defaults = {};
+
+      for (const [type, inputs] of [['categories', source.categories], ['tags', source.tags]]) {
+        if (inputs.length === 0 || inputs.every(input => /^\d+$/.test(input))) continue;
+
+        try {
+          const { ids, unmatched } = await taxonomyResolver.resolve(type, inputs, await TAXONOMIES[type].fetch(source.id));
+          defaults[type] = ids;
+          if (unmatched.length > 0) {
+            logger.warn(`Some default ${type} could not be resolved`, {
+              source: source.id,
+              unmatched: unmatched.map(({ input }) => input)
+            });
+          }
+        } catch (error) {
+          logger.error(`Failed to resolve default ${type} of ${source.id}, using numeric IDs only:`, error.message);
+        }
+      }
+
+      preferences.setDefaultFilters(defaults, source.id);
+    }
+  }
+
+  /**
+   * Send a post to a chat as a rich card. All send paths go through here.
+   * @param {string|number} chatId - Chat ID
+   * @param {Object} post - Formatted post from WordPressService
+   * @param {Object} [options] - Options for PostRenderer.send
+   * @returns {Promise<Object>} Sent Telegram message
+   */
+  async sendPost(chatId, post, options = {}) {
+    const sent = await postRenderer.send(this.bot.telegram, chatId, post, options);
+    // Remember the message so later edits in WordPress can be applied to it
+    deliveryLedger.record(post, chatId, sent);
+    await this.trackPostSent(chatId, post);
+    return sent;
+  }
+
+  /**
+   * Remove or withdraw a sent message of an unpublished post. Messages that can
+   * no longer be deleted (older than 48 hours without admin rights) get the notice instead.
+   * @param {Object} delivery - `{ chatId, messageId, kind }` of the sent message
+   * @param {string} policy - 'delete' or 'notice'
+   * @param {Object} entry - Ledger entry of the post
+   * @returns {Promise<string>} 'deleted' or 'withdrawn'
+   */
+  async retractDelivery(delivery, policy, entry) {
+    if (policy === 'delete') {
+      try {
+        await this.bot.telegram.deleteMessage(delivery.chatId, delivery.messageId);
+        return 'deleted';
+      } catch (error) {
+        if (error.code !== 400) throw error;
+        logger.debug('Could not delete message, withdrawing it instead', {
+          chatId: delivery.chatId,
+          error: error.description
+        });
+      }
+    }
+
+    await postRenderer.withdraw(this.bot.telegram, delivery, entry.title);
+    return 'withdrawn';
+  }
+
+  /**
+   * Tell admins that a post was retracted from Telegram
+   * @param {string} key - Post key, e.g. "main:123"
+   * @param {Object} entry - Ledger entry of the post
+   * @param {string} reason - Why the post was retracted
+   * @param {Object} outcomes - `{ deleted, withdrawn, kept, failed }` message counts
+   */
+  async reportRetraction(key, entry, reason, outcomes) {
+    const { source, id: postId } = sourceRegistry.parsePostKey(key);
+    const chats = entry.deliveries.map(d => escapeHtml(this.chatLabel(d.chatId)));
+    const counts = Object.entries(outcomes)
+      .filter(([, count]) => count > 0)
+      .map(([outcome, count]) => `${count} ${outcome}`)
+      .join(', ');
+
+    await this.notifyAdmins(
+      `🗑 <b>Retracted:</b> ${escapeHtml(entry.title || `Post ${postId}`)}\n` +
+      `Post ${postId}${this.sourceHeading(source)}: ${escapeHtml(reason)} in WordPress.\n` +
+      `Messages: ${counts || 'none'}\n` +
+      `Chats: ${chats.join(', ')}`
+    );
+  }
+
+  /**
+   * Explain a failed WordPress request to the user
+   * @param {Error} error - Error thrown by WordPressService
+   * @param {string} subject - What was requested, e.g. "post 123"
+   * @returns {string} Reply text
+   */
+  describeWordPressError(error, subject) {
+    if (error instanceof NotFoundError) {
+      return `❌ ${this.capitalize(subject)} doesn't exist or was deleted.`;
+    }
+    if (error instanceof UnauthorizedError) {
+      return `🔒 ${this.capitalize(subject)} isn't public: it may be a draft, private or in the trash.`;
+    }
+    if (error instanceof RateLimitedError) {
+      const wait = error.retryAfter ? ` in ${error.retryAfter} seconds` : ' in a moment';
+      return `⏳ WordPress is rate limiting requests. Please try again${wait}.`;
+    }
+    if (error instanceof UnavailableError) {
+      return '⚠️ The website is not responding right now. Please try again later.';
+    }
+    return `❌ Couldn't load ${subject}: ${error.message}`;
+  }
+
+  /**
+   * Name of a chat for admin messages
+   * @param {string|number} chatId - Chat ID
+   * @returns {string} Registered title, or the ID for private chats
+   */
+  chatLabel(chatId) {
+    const chat = channelRegistry.get(chatId);
+    return chat ? chat.title : String(chatId);
+  }
+
+  /**
+   * Send a digest of several posts to a chat
+   * @param {string|number} chatId - Chat ID
+   * @param {Array<Object>} posts - Formatted posts
+   * @param {string} heading - Digest heading
+   * @param {number} [omitted=0] - Posts left out of the digest
+   * @returns {Promise<Object>} Sent Telegram message
+   */
+  async sendDigest(chatId, posts, heading, omitted = 0) {
+    const { digest } = preferences.getPreferences(chatId);
+    const sent = await postRenderer.sendDigest(this.bot.telegram, chatId, posts, { heading, omitted, cover: digest.cover });
+    for (const post of posts) {
+      await this.trackPostSent(chatId, post);
+    }
+    return sent;
+  }
+
+  /**
+   * Count a delivered post in the metrics. Posts of the default source keep
+   * their plain ID so statistics recorded before multiple sources still add up.
+   * @param {string|number} chatId - Chat ID
+   * @param {Object} post - Formatted post
+   */
+  async trackPostSent(chatId, post) {
+    const id = post.source === sourceRegistry.defaultId ? post.id : post.key;
+    await metricsService.trackPostSent(String(chatId), { id, title: htmlToText(post.title) });
+  }
+
+  /**
+   * Stop the scheduler and the bot
+   * @param {string} [signal] - Signal that triggered the shutdown
+   */
+  async shutdown(signal = 'SIGTERM') {
+    autoPoster.stop();
+    digestService.stop();
+    postUpdater.stop();
+    retractionService.stop();
+    // Let queued messages go out, saving the rest for the next start
+    await sendQueue.shutdown();
+    preferences.flush();
+    channelRegistry.flush();
+    deliveryLedger.flush();
+    readingList.flush();
+    await metricsService.saveMetrics();
+
+    if (this.mode === 'webhook') {
+      if (config.telegram.webhook.deleteOnShutdown) {
+        try {
+          await this.bot.telegram.deleteWebhook();
+          logger.info('Webhook removed');
+        } catch (error) {
+          logger.error('Failed to remove webhook:', error.message);
+        }
+      }
+      return;
+    }
+
+    try {
+      this.bot.stop(signal);
+    } catch (error) {
+      // stop() throws if the bot was never launched
+      logger.debug('Bot was not running:', error.message);
+    }
   }
 
   /**
@@ -0,0 +1,136 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+const SCHEMA_VERSION = 1;
+
+// Member statuses that mean the bot is still in the chat
+const ACTIVE_STATUSES = ['creator', 'administrator', 'member', 'restricted'];
+
+const store = new JsonStore(path.join(config.storage.dataDir, 'channels.json'), {
+  version: SCHEMA_VERSION,
+  initial: () => ({ chats: {} })
+});
+
+class ChannelRegistry {
+  /**
+   * Update the registry from a `my_chat_member` update
+   * @param {Object} update - Telegram ChatMemberUpdated object
+   * @returns {Object|null} The registered chat, or null if the bot was removed
+   */
+  handleMembershipUpdate(update) {
+    const { chat, from, new_chat_member: member } = update;
+    if (chat.type === 'private') return null;
+
+    const chatId = String(chat.id);
+
+    if (!ACTIVE_STATUSES.includes(member.status)) {
+      delete store.data.chats[chatId];
+      store.save();
+      logger.info('Bot removed from chat', { chatId, title: chat.title, status: member.status });
+      return null;
+    }
+
+    const existing = store.data.chats[chatId];
+    const now = new Date().toISOString();
+    const record = {
+      id: chatId,
+      title: chat.title || chat.username || chatId,
+      type: chat.type,
+      username: chat.username || null,
+      status: member.status,
+      canPost: this.canPost(chat.type, member),
+      permissions: this.extractPermissions(member),
+      addedBy: existing?.addedBy || from?.id || null,
+      addedAt: existing?.addedAt || now,
+      updatedAt: now
+    };
+
+    store.data.chats[chatId] = record;
+    store.save();
+    logger.info('Registered chat', { chatId, title: record.title, status: record.status, canPost: record.canPost });
+
+    return record;
+  }
+
+  /**
+   * Check whether the bot can send messages with the given membership
+   * @private
+   */
+  canPost(chatType, member) {
+    if (member.status === 'creator') return true;
+    if (chatType === 'channel') {
+      return member.status === 'administrator' && Boolean(member.can_post_messages);
+    }
+    if (member.status === 'restricted') return Boolean(member.can_send_messages);
+    return true;
+  }
+
+  /**
+   * Keep the `can_*` rights of the bot's membership
+   * @private
+   */
+  extractPermissions(member) {
+    return Object.fromEntries(
+      Object.entries(member).filter(([key, value]) => key.startsWith('can_') && typeof value === 'boolean')
+    );
+  }
+
+  /**
+   * Get a registered chat
+   * @param {string|number} chatId - Chat ID
+   * @returns {Object|null} Registered chat
+   */
+  get(chatId) {
+    return store.data.chats[String(chatId)] || null;
+  }
+
+  /**
+   * List all registered chats, channels first, then by title
+   * @returns {Array<Object>} Registered chats
+   */
+  list() {
+    return Object.values(store.data.chats).sort((a, b) => {
+      if (a.type !== b.type) return a.type === 'channel' ? -1 : 1;
+      return a.title.localeCompare(b.title);
+    });
+  }
+
+  /**
+   * Register a group under the ID of the supergroup it was upgraded to
+   * @param {string|number} fromChatId - Old chat ID
+   * @param {string|number} toChatId - New chat ID
+   */
+  moveChat(fromChatId, toChatId) {
+    const record = store.data.chats[String(fromChatId)];
+    if (!record) return;
+
+    delete store.data.chats[String(fromChatId)];
+    store.data.chats[String(toChatId)] = {
+      ...record,
+      id: String(toChatId),
+      type: 'supergroup',
+      updatedAt: new Date().toISOString()
+    };
+    store.save();
+  }
+
+  /**
+   * Remove a chat from the registry
+   * @param {string|number} chatId - Chat ID
+   */
+  remove(chatId) {
+    delete store.data.chats[String(chatId)];
+    store.save();
+  }
+
+  /**
+   * Write pending changes to disk immediately
+   */
+  flush() {
+    store.flush();
+  }
+}
+
+module.exports = new ChannelRegistry();
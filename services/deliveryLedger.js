@@ -0,0 +1,204 @@
+const path = require('path');
+const config = require('../config');
+const JsonStore = require('../utils/jsonStore');
+const { htmlToText } = require('../utils/telegramHtml');
+
+const SCHEMA_VERSION = 2;
+
+// Posts are tracked long enough to catch corrections, not forever
+const MAX_AGE_DAYS = 30;
+const MAX_POSTS = 500;
+
+// Posts tracked before multiple sources were supported came from the default one
+const DEFAULT_SOURCE = config.wordpress.sources[0].id;
+
+const store = new JsonStore(path.join(config.storage.dataDir, 'deliveries.json'), {
+  version: SCHEMA_VERSION,
+  initial: () => ({ posts: {}, modifiedCursors: {} }),
+  migrations: {
+    // Version 1: posts keyed by their ID on a single site
+    1: ({ posts, modifiedCursor }) => ({
+      posts: Object.fromEntries(Object.entries(posts).map(([id, entry]) => [`${DEFAULT_SOURCE}:${id}`, entry])),
+      modifiedCursors: modifiedCursor ? { [DEFAULT_SOURCE]: modifiedCursor } : {}
+    })
+  }
+});
+
+/**
+ * Remembers which Telegram messages each post was delivered as, so later
+ * changes to the post can be applied to those messages. Posts are keyed by
+ * their source and ID, e.g. "main:123".
+ */
+class DeliveryLedger {
+  /**
+   * Record a sent post message
+   * @param {Object} post - Formatted post that was sent
+   * @param {string|number} chatId - Chat ID
+   * @param {Object} message - Telegram message returned by the send call
+   */
+  record(post, chatId, message) {
+    if (!message || !message.message_id) return;
+
+    const key = post.key;
+    const entry = store.data.posts[key] || { deliveries: [] };
+    entry.title = htmlToText(post.title);
+    entry.modified = post.modified || entry.modified || null;
+    entry.deliveries = entry.deliveries
+      .filter(d => d.chatId !== String(chatId))
+      .concat({
+        chatId: String(chatId),
+        messageId: message.message_id,
+        kind: message.photo ? 'photo' : 'text',
+        image: post.featuredImage || null,
+        sentAt: new Date().toISOString()
+      });
+
+    store.data.posts[key] = entry;
+    this.prune();
+    store.save();
+  }
+
+  /**
+   * Get the deliveries of a post
+   * @param {string} key - Post key, e.g. "main:123"
+   * @returns {Object|null} `{ title, modified, deliveries: [{ chatId, messageId, kind, image, sentAt }] }`
+   */
+  get(key) {
+    return store.data.posts[key] || null;
+  }
+
+  /**
+   * Check whether a post has been delivered anywhere
+   * @param {string} key - Post key
+   * @returns {boolean} True if tracked
+   */
+  has(key) {
+    return Boolean(store.data.posts[key]);
+  }
+
+  /**
+   * Check whether a post changed since it was sent
+   * @param {Object} post - Formatted post
+   * @returns {boolean} True if the post has a newer `modified` date than the sent version
+   */
+  isOutdated(post) {
+    const entry = this.get(post.key);
+    return Boolean(entry && post.modified && (!entry.modified || post.modified > entry.modified));
+  }
+
+  /**
+   * Store the state of a post after its messages were updated
+   * @param {Object} post - Formatted post
+   * @param {Array<Object>} deliveries - Deliveries that still exist
+   */
+  update(post, deliveries) {
+    const key = post.key;
+    if (!store.data.posts[key]) return;
+
+    if (deliveries.length === 0) {
+      delete store.data.posts[key];
+    } else {
+      Object.assign(store.data.posts[key], {
+        title: htmlToText(post.title),
+        modified: post.modified,
+        deliveries: deliveries.map(d => ({ ...d, image: post.featuredImage || null }))
+      });
+    }
+    store.save();
+  }
+
+  /**
+   * Forget all deliveries of a post
+   * @param {string} key - Post key
+   */
+  remove(key) {
+    delete store.data.posts[key];
+    store.save();
+  }
+
+  /**
+   * Forget all deliveries to a chat, e.g. after the bot was removed from it
+   * @param {string|number} chatId - Chat ID
+   */
+  removeChat(chatId) {
+    for (const [key, entry] of Object.entries(store.data.posts)) {
+      entry.deliveries = entry.deliveries.filter(d => d.chatId !== String(chatId));
+      if (entry.deliveries.length === 0) delete store.data.posts[key];
+    }
+    store.save();
+  }
+
+  /**
+   * The newest `modified` date of a source already checked for edits
+   * @param {string} sourceId - Source ID
+   * @returns {string|null} WordPress date, or the newest tracked one if never checked
+   */
+  getModifiedCursor(sourceId) {
+    if (store.data.modifiedCursors[sourceId]) return store.data.modifiedCursors[sourceId];
+    const dates = this.entries(sourceId).map(([, entry]) => entry.modified).filter(Boolean);
+    return dates.length > 0 ? dates.sort().pop() : null;
+  }
+
+  /**
+   * Move the edit check cursor of a source forward
+   * @param {string} sourceId - Source ID
+   * @param {string} modified - WordPress date
+   */
+  setModifiedCursor(sourceId, modified) {
+    const current = store.data.modifiedCursors[sourceId];
+    if (!modified || (current && modified <= current)) return;
+    store.data.modifiedCursors[sourceId] = modified;
+    store.save();
+  }
+
+  /**
+   * IDs of the tracked posts of a source
+   * @param {string} sourceId - Source ID
+   * @returns {Array<number>} Post IDs
+   */
+  postIds(sourceId) {
+    return this.entries(sourceId).map(([key]) => Number(key.slice(sourceId.length + 1)));
+  }
+
+  /**
+   * Tracked entries of one source
+   * @private
+   */
+  entries(sourceId) {
+    return Object.entries(store.data.posts).filter(([key]) => key.startsWith(`${sourceId}:`));
+  }
+
+  /**
+   * Number of tracked posts
+   * @returns {number} Count
+   */
+  size() {
+    return Object.keys(store.data.posts).length;
+  }
+
+  /**
+   * Drop posts sent too long ago, oldest first
+   * @private
+   */
+  prune() {
+    const cutoff = Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const byLastSent = Object.entries(store.data.posts)
+      .map(([key, entry]) => [key, Math.max(...entry.deliveries.map(d => Date.parse(d.sentAt) || 0))])
+      .sort((a, b) => b[1] - a[1]);
+
+    byLastSent.forEach(([key, lastSent], index) => {
+      if (index >= MAX_POSTS || lastSent < cutoff) {
+        delete store.data.posts[key];
+      }
+    });
+  }
+
+  /**
+   * Write pending changes to disk immediately
+   */
+  flush() {
+    store.flush();
+  }
+}
+
+module.exports = new DeliveryLedger();
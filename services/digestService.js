@@ -0,0 +1,160 @@
+const schedule = require('node-schedule');
+const moment = require('moment-timezone');
+const preferences = require('./preferences');
+const sourceRegistry = require('./sourceRegistry');
+const logger = require('../utils/logger');
+
+// Maximum number of posts listed in one digest
+const MAX_DIGEST_POSTS = 30;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+class DigestService {
+  constructor() {
+    this.jobs = new Map();
+    this.send = null;
+  }
+
+  /**
+   * Schedule digests for every chat in digest mode
+   * @param {Function} send - Async function `(chatId, posts, heading, omitted)` that sends a digest
+   */
+  start(send) {
+    this.send = send;
+    preferences.getActiveChats('digest').forEach(chatId => this.syncChat(chatId));
+    logger.info('Digest scheduler started', { chats: this.jobs.size });
+  }
+
+  /**
+   * Cancel all scheduled digests
+   */
+  stop() {
+    this.jobs.forEach(job => job.cancel());
+    this.jobs.clear();
+  }
+
+  /**
+   * (Re)schedule or cancel a chat's digest after its preferences changed
+   * @param {string|number} chatId - Chat ID
+   */
+  syncChat(chatId) {
+    const key = String(chatId);
+    const existing = this.jobs.get(key);
+    if (existing) {
+      existing.cancel();
+      this.jobs.delete(key);
+    }
+
+    const prefs = preferences.getPreferences(chatId);
+    if (!this.send || !prefs.autoPosting || prefs.deliveryMode !== 'digest') return;
+
+    const job = schedule.scheduleJob(`digest:${key}`, {
+      rule: this.cronRule(prefs.digest),
+      tz: prefs.timezone
+    }, () => {
+      this.sendDigest(key).catch((error) => {
+        logger.error('Failed to send digest', { chatId: key, error: error.message });
+      });
+    });
+
+    if (job) {
+      this.jobs.set(key, job);
+      logger.debug('Scheduled digest', { chatId: key, next: this.nextRun(key) });
+    }
+  }
+
+  /**
+   * Build the cron rule of a digest schedule
+   * @param {Object} digest - Digest settings
+   * @returns {string} Cron expression
+   */
+  cronRule({ frequency, time, weekday }) {
+    const [hour, minute] = time.split(':').map(Number);
+    return frequency === 'weekly'
+      ? `${minute} ${hour} * * ${weekday}`
+      : `${minute} ${hour} * * *`;
+  }
+
+  /**
+   * Collect everything published since the last digest that matches the
+   * chat's filters and send it as one message. Posts beyond the digest's
+   * limit are left out but counted at the end of the list.
+   * @param {string|number} chatId - Chat ID
+   * @returns {Promise<number>} Number of posts in the digest
+   */
+  async sendDigest(chatId) {
+    const prefs = preferences.getPreferences(chatId);
+    const { digest, timezone } = prefs;
+    const period = digest.frequency === 'weekly' ? 'week' : 'day';
+    // In GMT with an explicit offset: WordPress converts it to the site's
+    // timezone, which can differ from the chat's
+    const fallback = moment.utc().subtract(1, period).format('YYYY-MM-DDTHH:mm:ss[Z]');
+
+    const posts = [];
+    let omitted = 0;
+    const lastPostDates = { ...digest.lastPostDates };
+    for (const sourceId of prefs.sources) {
+      const { posts: sourcePosts, total } = await sourceRegistry.client(sourceId).getPostsPage({
+        ...preferences.getFilters(prefs, sourceId),
+        after: digest.lastPostDates[sourceId] || fallback,
+        perPage: MAX_DIGEST_POSTS
+      });
+      if (sourcePosts.length > 0) lastPostDates[sourceId] = `${sourcePosts[0].dateGmt}Z`;
+      posts.push(...sourcePosts);
+      omitted += Math.max((total || 0) - sourcePosts.length, 0);
+    }
+
+    if (posts.length === 0) {
+      logger.info('No new posts for digest', { chatId });
+      return 0;
+    }
+
+    // Newest first, as readers expect from a digest
+    posts.sort((a, b) => new Date(`${b.dateGmt}Z`) - new Date(`${a.dateGmt}Z`));
+    const listed = posts.slice(0, MAX_DIGEST_POSTS);
+    omitted += posts.length - listed.length;
+
+    const label = digest.frequency === 'weekly' ? 'Weekly digest' : 'Daily digest';
+    const heading = `🗞 ${label} — ${moment().tz(timezone).format('D MMM YYYY')}`;
+
+    await this.send(chatId, listed, heading, omitted);
+
+    preferences.updateDigest(chatId, { lastPostDates });
+    logger.info('Sent digest', { chatId, posts: listed.length, omitted });
+    return listed.length;
+  }
+
+  /**
+   * Get the next scheduled digest of a chat
+   * @param {string|number} chatId - Chat ID
+   * @returns {Date|null} Next run, or null when nothing is scheduled
+   */
+  nextRun(chatId) {
+    const next = this.jobs.get(String(chatId))?.nextInvocation();
+    return next ? next.toDate() : null;
+  }
+
+  /**
+   * Parse a weekday name or abbreviation
+   * @param {string} value - e.g. "mon" or "Monday"
+   * @returns {number|null} 0 (Sunday) to 6, or null if not a weekday
+   */
+  parseWeekday(value) {
+    const input = String(value || '').toLowerCase();
+    if (input.length < 3) return null;
+    const index = WEEKDAYS.findIndex(day => day.startsWith(input));
+    return index >= 0 ? index : null;
+  }
+
+  /**
+   * Get the name of a weekday
+   * @param {number} weekday - 0 (Sunday) to 6
+   * @returns {string} Capitalized weekday name
+   */
+  weekdayName(weekday) {
+    const day = WEEKDAYS[weekday] || WEEKDAYS[1];
+    return day.charAt(0).toUpperCase() + day.slice(1);
+  }
+}
+
+module.exports = new DigestService();
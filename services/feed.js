@@ -0,0 +1,403 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { parseFeed } = require('../utils/feedParser');
+const { htmlToText, escapeHtml } = require('../utils/telegramHtml');
+const { WordPressError, NotFoundError, UnavailableError } = require('../utils/errors');
+
+// Every chat polls its sources, so the feed is downloaded at most this often
+const REFRESH_INTERVAL = 60 * 1000;
+// Posts kept after they drop out of the feed, for search and lookups by ID
+const MAX_POSTS = 500;
+
+/**
+ * Stable numeric ID for a string, since Telegram buttons and stored
+ * checkpoints work with numeric post and category IDs
+ * @param {string} value - GUID, link or category name
+ * @returns {number} ID below 2^40
+ */
+function hashId(value) {
+  return parseInt(crypto.createHash('sha1').update(value).digest('hex').slice(0, 10), 16);
+}
+
+/**
+ * ID of a feed entry. WordPress feeds carry the real post ID in their GUIDs (`?p=123`).
+ * @param {string} guid - GUID or link of the entry
+ * @returns {number} Post ID
+ */
+function postId(guid) {
+  const wordpressId = /[?&]p=(\d+)/.exec(guid);
+  return wordpressId ? Number(wordpressId[1]) : hashId(guid);
+}
+
+/**
+ * ID of a category, the same whatever the case its name is written in
+ * @param {string} name - Category name
+ * @returns {number} Category ID
+ */
+function categoryId(name) {
+  return hashId(name.trim().toLowerCase());
+}
+
+/**
+ * Timestamp of a date given like WordPress dates, where a missing zone means UTC for feed posts
+ * @param {string} value - ISO date, with or without zone
+ * @returns {number} Milliseconds since the epoch
+ */
+function toTime(value) {
+  return new Date(/(Z|[+-]\d\d:?\d\d)$/.test(value) ? value : `${value}Z`).getTime();
+}
+
+/**
+ * Keep a URL from a feed only if it is a web address, since links and images
+ * end up in Telegram buttons and in the Web App
+ * @param {string} url - URL from the feed
+ * @returns {string|null} The URL, or null for other schemes such as javascript:
+ */
+function webUrl(url) {
+  return /^https?:\/\/[^\s"'<>]+$/i.test(String(url || '').trim()) ? url.trim() : null;
+}
+
+/**
+ * Client of an RSS 2.0 or Atom feed, for sites without a usable WordPress REST
+ * API. It serves posts in the same shape and through the same methods as
+ * WordPressService, filtering and searching the entries it has seen locally.
+ * Feed dates are in UTC, so `date` and `dateGmt` are equal.
+ */
+class FeedService {
+  /**
+   * @param {Object} source - Source from `config.wordpress.sources` with a `feedUrl`,
+   *   either an http(s) URL or the path of a local file
+   */
+  constructor(source) {
+    this.source = source;
+    this.posts = new Map();
+    // Category names by ID
+    this.categoryNames = new Map();
+    this.fetchedAt = 0;
+    // Failure of the last download, reported until the next attempt
+    this.lastError = null;
+    this.refreshing = null;
+    this.validators = {};
+
+    this.api = axios.create({
+      ...(source.auth && {
+        auth: source.auth
+      }),
+      headers: {
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8',
+      },
+      responseType: 'text',
+      timeout: 10000, // 10 seconds
+    });
+  }
+
+  /**
+   * Fetch latest posts with optional filtering
+   * @param {Object} options - Filtering options, as for `WordPressService.getPosts`
+   * @returns {Promise<Array>} - Array of posts
+   * @throws {UnavailableError} The feed could not be downloaded
+   */
+  async getPosts(options = {}) {
+    const { posts } = await this.getPostsPage(options);
+    return posts;
+  }
+
+  /**
+   * Fetch one page of posts together with the totals
+   * @param {Object} options - Filtering options of `getPosts`, plus:
+   * @param {number} [options.page=1] - One-based page number; ignored when `offset` is set
+   * @returns {Promise<Object>} `{ posts, total, totalPages, page }`; a page past the end has no posts
+   */
+  async getPostsPage({ categories = [], tags = [], perPage = 5, after, modifiedAfter, search, order = 'desc', offset, page = 1 } = {}) {
+    await this.refresh();
+
+    let posts = [...this.posts.values()];
+
+    if (categories.length > 0) {
+      posts = posts.filter(post => post.categories.some(id => categories.includes(id)));
+    }
+
+    // Feeds have no tags, so a tag filter matches nothing, as on a WordPress site without those tags
+    if (tags.length > 0) {
+      posts = posts.filter(post => post.tags.some(id => tags.includes(id)));
+    }
+
+    if (after) {
+      posts = posts.filter(post => toTime(post.date) > toTime(after));
+    }
+
+    if (search) {
+      const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+      posts = posts.filter((post) => {
+        const text = htmlToText(`${post.title} ${post.excerpt} ${post.content}`).toLowerCase();
+        return words.every(word => text.includes(word));
+      });
+    }
+
+    if (modifiedAfter) {
+      posts = posts
+        .filter(post => toTime(post.modified) > toTime(modifiedAfter))
+        .sort((a, b) => toTime(a.modified) - toTime(b.modified));
+    } else {
+      const direction = order === 'asc' ? 1 : -1;
+      posts.sort((a, b) => direction * (toTime(a.date) - toTime(b.date)));
+    }
+
+    const start = offset || (page - 1) * perPage;
+    return {
+      posts: posts.slice(start, start + perPage),
+      total: posts.length,
+      totalPages: Math.ceil(posts.length / perPage),
+      page
+    };
+  }
+
+  /**
+   * Search posts, or list the most recent ones when the query is empty
+   * @param {string} query - Search term
+   * @param {Object} [options] - Paging options
+   * @param {number} [options.perPage=10] - Number of posts to fetch
+   * @param {number} [options.offset=0] - Number of posts to skip
+   * @returns {Promise<Array>} - Array of formatted posts
+   */
+  async searchPosts(query, { perPage = 10, offset = 0 } = {}) {
+    const { posts } = await this.searchPostsPage(query, { perPage, offset });
+    return posts;
+  }
+
+  /**
+   * Like `searchPosts`, but with the totals
+   * @param {string} query - Search term
+   * @param {Object} [options] - Paging options
+   * @param {number} [options.perPage=10] - Number of posts to fetch
+   * @param {number} [options.offset=0] - Number of posts to skip
+   * @returns {Promise<Object>} `{ posts, total, totalPages, page }`
+   */
+  async searchPostsPage(query, { perPage = 10, offset = 0 } = {}) {
+    return this.getPostsPage({
+      search: query ? query.trim() : undefined,
+      perPage,
+      offset
+    });
+  }
+
+  /**
+   * Get a single post by ID among the posts seen in the feed
+   * @param {number} id - Post ID
+   * @returns {Promise<Object>} - Post data
+   * @throws {NotFoundError} The post isn't in the feed
+   */
+  async getPostById(id) {
+    await this.refresh();
+
+    const post = this.posts.get(Number(id));
+    if (!post) {
+      throw new NotFoundError(`Post with ID ${id} not found`);
+    }
+    return post;
+  }
+
+  /**
+   * Check which of the given posts are still published. A feed only lists its
+   * latest entries, so a post dropping out of it says nothing about it being
+   * unpublished; feed posts are never retracted.
+   * @param {Array<number>} ids - Post IDs
+   * @returns {Promise<Array<number>>} - The same IDs
+   */
+  async getPublishedPostIds(ids) {
+    return ids;
+  }
+
+  /**
+   * Get the categories used by the posts in the feed
+   * @returns {Promise<Array>} - Array of categories, most used first
+   */
+  async getCategories() {
+    await this.refresh();
+
+    const terms = new Map();
+    for (const post of this.posts.values()) {
+      for (const id of post.categories) {
+        const name = this.categoryNames.get(id);
+        const term = terms.get(id) || {
+          id,
+          name,
+          slug: name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, ''),
+          parent: 0,
+          count: 0
+        };
+        term.count++;
+        terms.set(id, term);
+      }
+    }
+    return [...terms.values()].sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Feeds have categories only
+   * @returns {Promise<Array>} - No tags
+   */
+  async getTags() {
+    return [];
+  }
+
+  /**
+   * Download the feed unless it was fetched recently. Concurrent callers share
+   * one download, and a failed download isn't retried before the interval either.
+   * @returns {Promise<void>}
+   * @throws {UnavailableError} The feed could not be downloaded
+   * @throws {WordPressError} The document is not a valid feed
+   */
+  async refresh() {
+    if (Date.now() - this.fetchedAt < REFRESH_INTERVAL) {
+      if (this.lastError) throw this.lastError;
+      return;
+    }
+
+    if (!this.refreshing) {
+      this.refreshing = this._load().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    await this.refreshing;
+  }
+
+  /**
+   * Download, parse and merge the feed
+   * @private
+   */
+  async _load() {
+    this.fetchedAt = Date.now();
+
+    let feed;
+    try {
+      const xml = await this._download();
+      // Not modified since the last download
+      if (xml === null) {
+        this.lastError = null;
+        return;
+      }
+      feed = this._parse(xml);
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error;
+      throw error;
+    }
+
+    for (const entry of feed.entries) {
+      const post = this._formatEntry(entry);
+      if (!post) continue;
+
+      this.posts.set(post.id, post);
+      entry.categories
+        .filter(name => !this.categoryNames.has(categoryId(name)))
+        .forEach(name => this.categoryNames.set(categoryId(name), name));
+    }
+
+    // Forget the oldest posts beyond the limit
+    if (this.posts.size > MAX_POSTS) {
+      const oldest = [...this.posts.values()]
+        .sort((a, b) => toTime(b.date) - toTime(a.date))
+        .slice(MAX_POSTS);
+      oldest.forEach(post => this.posts.delete(post.id));
+    }
+  }
+
+  /**
+   * Parse a downloaded feed document
+   * @private
+   */
+  _parse(xml) {
+    try {
+      return parseFeed(xml);
+    } catch (error) {
+      logger.error('Error parsing feed:', { source: this.source.id, error: error.message });
+      throw new WordPressError(`Invalid feed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Read the feed document from its URL or local file
+   * @private
+   * @returns {Promise<string|null>} XML, or null if unchanged since the last download
+   */
+  async _download() {
+    const { feedUrl } = this.source;
+
+    if (!/^https?:\/\//i.test(feedUrl)) {
+      try {
+        return await fs.promises.readFile(feedUrl.replace(/^file:\/\//, ''), 'utf8');
+      } catch (error) {
+        throw new UnavailableError(`Could not read feed file: ${error.message}`, { cause: error });
+      }
+    }
+
+    try {
+      const headers = {};
+      if (this.validators.etag) headers['If-None-Match'] = this.validators.etag;
+      if (this.validators.lastModified) headers['If-Modified-Since'] = this.validators.lastModified;
+
+      const response = await this.api.get(feedUrl, {
+        headers,
+        validateStatus: status => (status >= 200 && status < 300) || status === 304,
+      });
+      if (response.status === 304) return null;
+
+      this.validators = {
+        etag: response.headers.etag,
+        lastModified: response.headers['last-modified'],
+      };
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      logger.error('Error fetching feed:', { source: this.source.id, error: error.message, status });
+      throw new UnavailableError(`Could not fetch feed: ${error.message}`, { status, cause: error });
+    }
+  }
+
+  /**
+   * Format a parsed feed entry like a WordPress post
+   * @private
+   */
+  _formatEntry(entry) {
+    const guid = entry.guid || entry.link;
+    // Posts are shared and opened by their link, so entries need a web address
+    const link = webUrl(entry.link);
+    if (!guid || !link) return null;
+
+    const image = webUrl(entry.image);
+
+    const id = postId(guid);
+
+    // Same format as WordPress `date_gmt`: UTC without a zone
+    const toDate = (iso) => iso.slice(0, 19);
+    // Undated entries keep the time they were first seen, or every refresh would make them new again
+    const published = entry.published || entry.updated;
+    const date = published ? toDate(published) : this.posts.get(id)?.date || toDate(new Date().toISOString());
+
+    return {
+      id,
+      // Post IDs are only unique within a site
+      source: this.source.id,
+      key: `${this.source.id}:${id}`,
+      // Quotes too, since titles also end up in attributes
+      title: escapeHtml(htmlToText(entry.title)).replace(/"/g, '&quot;') || 'No Title',
+      excerpt: entry.summary,
+      content: entry.content,
+      link,
+      date,
+      dateGmt: date,
+      modified: entry.updated ? toDate(entry.updated) : date,
+      slug: '',
+      status: 'publish',
+      categories: [...new Set(entry.categories.map(categoryId))],
+      tags: [],
+      featuredImage: image,
+      thumbnail: image,
+    };
+  }
+}
+
+module.exports = FeedService;
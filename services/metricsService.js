@@ -2,6 +2,38 @@ const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
 
+// Hourly buckets are kept long enough to answer the largest time range
+const BUCKET_RETENTION_DAYS = 31;
+
+// Time ranges supported by getSummary, in milliseconds
+const RANGES = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+/**
+ * Get the bucket key for a date, e.g. "2025-08-12T09"
+ * @param {Date} date - Date to bucket
+ * @returns {string} UTC hour key
+ */
+function bucketKey(date) {
+  return date.toISOString().slice(0, 13);
+}
+
+/**
+ * Sort the entries of a counter map by count, descending
+ * @param {Object} counts - Map of key to count
+ * @param {number} limit - Maximum number of entries
+ * @returns {Array<Array>} `[key, count]` pairs
+ */
+function topEntries(counts, limit) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+}
+
 class MetricsService {
   constructor() {
     this.metricsFile = path.join(__dirname, '../data/metrics.json');
@@ -13,8 +45,12 @@ class MetricsService {
       totalScheduledPosts: 0,
       userEngagement: {},
       commandUsage: {},
+      channelUsage: {},
+      postUsage: {},
+      buckets: {},
       lastUpdated: new Date().toISOString()
     };
+    this.saving = Promise.resolve();
     this.initialize();
   }
 
@@ -38,7 +74,8 @@ class MetricsService {
   async loadMetrics() {
     try {
       const data = await fs.readFile(this.metricsFile, 'utf8');
-      this.metrics = JSON.parse(data);
+      // Merge so files written before newer counters existed still load
+      this.metrics = { ...this.metrics, ...JSON.parse(data) };
     } catch (error) {
       if (error.code === 'ENOENT') {
         logger.info('No metrics file found, using default metrics');
@@ -49,15 +86,49 @@ class MetricsService {
   }
 
   /**
-   * Save metrics to file
+   * Save metrics to file. Writes are serialized and go through a temporary
+   * file so a crash or concurrent save never leaves a truncated file behind.
    */
   async saveMetrics() {
-    try {
-      this.metrics.lastUpdated = new Date().toISOString();
-      await fs.writeFile(this.metricsFile, JSON.stringify(this.metrics, null, 2), 'utf8');
-    } catch (error) {
-      logger.error('Error saving metrics:', error);
+    this.saving = this.saving.then(async () => {
+      try {
+        this.metrics.lastUpdated = new Date().toISOString();
+        const tmpFile = `${this.metricsFile}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(this.metrics, null, 2), 'utf8');
+        await fs.rename(tmpFile, this.metricsFile);
+      } catch (error) {
+        logger.error('Error saving metrics:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  /**
+   * Get the bucket for the current hour, pruning expired buckets
+   * @private
+   */
+  currentBucket() {
+    const now = new Date();
+    const key = bucketKey(now);
+
+    if (!this.metrics.buckets[key]) {
+      const cutoff = bucketKey(new Date(now - BUCKET_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+      Object.keys(this.metrics.buckets)
+        .filter(existing => existing < cutoff)
+        .forEach(existing => delete this.metrics.buckets[existing]);
+
+      this.metrics.buckets[key] = { commands: {}, users: {}, channels: {}, posts: {}, searches: 0 };
     }
+
+    return this.metrics.buckets[key];
+  }
+
+  /**
+   * Increment a counter in a map
+   * @private
+   */
+  increment(counts, key, by = 1) {
+    counts[key] = (counts[key] || 0) + by;
   }
 
   /**
@@ -95,10 +166,15 @@ class MetricsService {
     // Update command usage
     this.metrics.commandUsage[command] = (this.metrics.commandUsage[command] || 0) + 1;
 
+    const bucket = this.currentBucket();
+    this.increment(bucket.commands, command);
+    this.increment(bucket.users, userId);
+
     // Update specific metrics
     if (command === 'search') {
       user.searchesPerformed = (user.searchesPerformed || 0) + 1;
       this.metrics.totalSearches++;
+      bucket.searches++;
     }
 
     await this.saveMetrics();
@@ -125,6 +201,26 @@ class MetricsService {
     await this.saveMetrics();
   }
 
+  /**
+   * Track a post delivered to a chat
+   * @param {string} chatId - Chat ID
+   * @param {Object} post - Post with `id` and `title`
+   */
+  async trackPostSent(chatId, post) {
+    const postId = String(post.id);
+
+    this.metrics.totalPostsSent++;
+    this.increment(this.metrics.channelUsage, chatId);
+    const usage = this.metrics.postUsage[postId] || { title: '', count: 0 };
+    this.metrics.postUsage[postId] = { title: post.title || usage.title, count: usage.count + 1 };
+
+    const bucket = this.currentBucket();
+    this.increment(bucket.channels, chatId);
+    this.increment(bucket.posts, postId);
+
+    await this.saveMetrics();
+  }
+
   /**
    * Track scheduled post
    */
@@ -135,34 +231,70 @@ class MetricsService {
 
   /**
    * Get metrics summary
+   * @param {string} [range='all'] - Time range: '24h', '7d', '30d' or 'all'
    * @returns {Object} Metrics summary
    */
-  getSummary() {
+  getSummary(range = 'all') {
+    const duration = RANGES[range] !== undefined ? RANGES[range] : null;
+
     const activeUsers = Object.values(this.metrics.userEngagement).filter(
       user => new Date() - new Date(user.lastSeen) < 30 * 24 * 60 * 60 * 1000 // Active in last 30 days
     ).length;
 
-    const mostUsedCommands = Object.entries(this.metrics.commandUsage)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5);
+    let commands = this.metrics.commandUsage;
+    let users = Object.fromEntries(
+      Object.entries(this.metrics.userEngagement).map(([userId, data]) => [userId, data.commandsUsed || 0])
+    );
+    let channels = this.metrics.channelUsage || {};
+    let posts = Object.fromEntries(
+      Object.entries(this.metrics.postUsage || {}).map(([postId, data]) => [postId, data.count])
+    );
+    let postsSent = this.metrics.totalPostsSent;
+    let searches = this.metrics.totalSearches;
 
-    const mostActiveUsers = Object.entries(this.metrics.userEngagement)
-      .map(([userId, data]) => ({
-        userId,
-        commandsUsed: data.commandsUsed || 0,
-        lastSeen: data.lastSeen
-      }))
-      .sort((a, b) => b.commandsUsed - a.commandsUsed)
-      .slice(0, 5);
+    if (duration) {
+      // Sum up the hourly buckets that fall inside the range
+      const cutoff = bucketKey(new Date(Date.now() - duration));
+      commands = {};
+      users = {};
+      channels = {};
+      posts = {};
+      searches = 0;
+
+      Object.entries(this.metrics.buckets || {})
+        .filter(([key]) => key >= cutoff)
+        .forEach(([, bucket]) => {
+          Object.entries(bucket.commands).forEach(([key, count]) => this.increment(commands, key, count));
+          Object.entries(bucket.users).forEach(([key, count]) => this.increment(users, key, count));
+          Object.entries(bucket.channels).forEach(([key, count]) => this.increment(channels, key, count));
+          Object.entries(bucket.posts).forEach(([key, count]) => this.increment(posts, key, count));
+          searches += bucket.searches;
+        });
+      postsSent = Object.values(posts).reduce((sum, count) => sum + count, 0);
+    }
+
+    const mostActiveUsers = topEntries(users, 5).map(([userId, commandsUsed]) => ({
+      userId,
+      commandsUsed,
+      lastSeen: this.metrics.userEngagement[userId]?.lastSeen
+    }));
 
     return {
+      range: duration ? range : 'all',
       totalUsers: this.metrics.totalUsers,
-      activeUsers,
-      totalPostsSent: this.metrics.totalPostsSent,
-      totalSearches: this.metrics.totalSearches,
+      activeUsers: duration ? Object.keys(users).length : activeUsers,
+      totalPostsSent: postsSent,
+      totalSearches: searches,
       totalScheduledPosts: this.metrics.totalScheduledPosts,
-      mostUsedCommands,
+      mostUsedCommands: topEntries(commands, 5),
       mostActiveUsers,
+      commandUsage: topEntries(commands, 20),
+      channelUsage: topEntries(channels, 20),
+      postUsage: topEntries(posts, 20).map(([postId, count]) => ({
+        postId,
+        title: this.metrics.postUsage?.[postId]?.title || '',
+        count
+      })),
       lastUpdated: this.metrics.lastUpdated
     };
   }
@@ -174,10 +306,4 @@ const metricsService = new MetricsService();
 // Save metrics periodically (every 5 minutes)
 setInterval(() => metricsService.saveMetrics(), 5 * 60 * 1000);
 
-// Handle process termination
-process.on('SIGINT', async () => {
-  await metricsService.saveMetrics();
-  process.exit(0);
-});
-
 module.exports = metricsService;
@@ -0,0 +1,306 @@
+const { Markup } = require('telegraf');
+const sourceRegistry = require('./sourceRegistry');
+const { htmlToText, escapeHtml, escapeAttribute, truncate } = require('../utils/telegramHtml');
+
+// Telegram limits, counted on the visible text after entity parsing
+const CAPTION_LIMIT = 1024;
+const TEXT_LIMIT = 4096;
+
+/**
+ * Check whether an image URL points to a JPEG file
+ * @param {string} [url] - Image URL
+ * @returns {boolean} True for .jpg and .jpeg paths
+ */
+function isJpeg(url) {
+  try {
+    return /\.jpe?g$/i.test(new URL(url).pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+class PostRenderer {
+  /**
+   * Render a formatted post into a Telegram message
+   * @param {Object} post - Formatted post from WordPressService
+   * @param {Object} [options] - Rendering options
+   * @param {boolean} [options.withPhoto=true] - Send the featured image as a photo when present
+   * @param {Array<Array<Object>>} [options.extraButtons] - Extra inline keyboard rows
+   * @returns {Object} `{ photo, text, extra }` where `photo` is null for text messages
+   */
+  render(post, { withPhoto = true, extraButtons = [] } = {}) {
+    const photo = withPhoto && post.featuredImage ? post.featuredImage : null;
+    const text = this.formatBody(post, photo ? CAPTION_LIMIT : TEXT_LIMIT);
+
+    return {
+      photo,
+      text,
+      extra: {
+        parse_mode: 'HTML',
+        ...(photo ? {} : { link_preview_options: { url: post.link } }),
+        ...this.buildKeyboard(post, extraButtons)
+      }
+    };
+  }
+
+  /**
+   * Build the HTML body of a post card within a visible length limit
+   * @param {Object} post - Formatted post
+   * @param {number} limit - Maximum visible length
+   * @returns {string} Telegram HTML
+   */
+  formatBody(post, limit) {
+    const title = truncate(htmlToText(post.title) || 'Untitled', 256);
+    const excerpt = htmlToText(post.excerpt);
+    const source = this.sourceLabel(post);
+
+    // Title + blank line separating it from the excerpt, and the source line below it
+    const budget = limit - title.length - 2 - (source ? source.length + 2 : 0);
+    const body = excerpt && budget > 0 ? truncate(excerpt, budget) : '';
+
+    return [
+      `<b>${escapeHtml(title)}</b>`,
+      body && escapeHtml(body),
+      source && `<i>${escapeHtml(source)}</i>`
+    ].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Attribution line of posts syndicated from a sister site
+   * @param {Object} post - Formatted post
+   * @returns {string} e.g. "via 🔬 Innovopedia Labs", or an empty string for the default source
+   */
+  sourceLabel(post) {
+    if (!post.source || post.source === sourceRegistry.defaultId) return '';
+    return `via ${sourceRegistry.label(post.source)}`;
+  }
+
+  /**
+   * Build the inline keyboard with "Read more", "Share" and "Save" buttons
+   * @param {Object} post - Formatted post
+   * @param {Array<Array<Object>>} [extraButtons] - Extra rows appended below
+   * @returns {Object} Telegraf reply markup extra
+   */
+  buildKeyboard(post, extraButtons = []) {
+    const title = htmlToText(post.title);
+    const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(post.link)}` +
+      `&text=${encodeURIComponent(title)}`;
+
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.url('📖 Read more', post.link),
+        Markup.button.url('🔗 Share', shareUrl),
+        // Saves to the reading list of whoever taps it
+        Markup.button.callback('🔖 Save', `save:${post.key}`)
+      ],
+      ...extraButtons
+    ]);
+  }
+
+  /**
+   * Update a previously sent post message to the current version of the post.
+   * Photo messages keep a photo, swapped when the featured image changed. Text
+   * messages can't become photos, so a new image is shown as a large link preview.
+   * @param {Object} telegram - Telegraf `Telegram` instance
+   * @param {Object} delivery - `{ chatId, messageId, kind }` of the sent message
+   * @param {Object} post - Current version of the post
+   * @param {Object} [options] - Edit options
+   * @param {boolean} [options.imageChanged=false] - The featured image differs from the sent one
+   * @returns {Promise<Object|boolean>} Edited message
+   */
+  async edit(telegram, { chatId, messageId, kind }, post, { imageChanged = false } = {}) {
+    const { reply_markup: replyMarkup } = this.buildKeyboard(post);
+
+    if (kind === 'photo') {
+      const caption = this.formatBody(post, CAPTION_LIMIT);
+      if (imageChanged && post.featuredImage) {
+        return telegram.editMessageMedia(chatId, messageId, undefined, {
+          type: 'photo',
+          media: post.featuredImage,
+          caption,
+          parse_mode: 'HTML'
+        }, { reply_markup: replyMarkup });
+      }
+      return telegram.editMessageCaption(chatId, messageId, undefined, caption, {
+        parse_mode: 'HTML',
+        reply_markup: replyMarkup
+      });
+    }
+
+    return telegram.editMessageText(chatId, messageId, undefined, this.formatBody(post, TEXT_LIMIT), {
+      parse_mode: 'HTML',
+      link_preview_options: imageChanged && post.featuredImage
+        ? { url: post.featuredImage, prefer_large_media: true }
+        : { url: post.link },
+      reply_markup: replyMarkup
+    });
+  }
+
+  /**
+   * Replace a sent post message with a notice that the article was withdrawn.
+   * The buttons are removed since the link no longer works.
+   * @param {Object} telegram - Telegraf `Telegram` instance
+   * @param {Object} delivery - `{ chatId, messageId, kind }` of the sent message
+   * @param {string} title - Plain text title of the withdrawn post
+   * @returns {Promise<Object|boolean>} Edited message
+   */
+  async withdraw(telegram, { chatId, messageId, kind }, title) {
+    const text = `⚠️ <b>This article has been withdrawn.</b>\n\n<s>${escapeHtml(truncate(title || 'Untitled', 256))}</s>`;
+    const extra = { parse_mode: 'HTML', reply_markup: { inline_keyboard: [] } };
+
+    if (kind === 'photo') {
+      return telegram.editMessageCaption(chatId, messageId, undefined, text, extra);
+    }
+    return telegram.editMessageText(chatId, messageId, undefined, text, {
+      ...extra,
+      link_preview_options: { is_disabled: true }
+    });
+  }
+
+  /**
+   * Render several posts as a single digest message with a linked list of titles
+   * @param {Array<Object>} posts - Formatted posts, in the order they should be listed
+   * @param {Object} options - Digest options
+   * @param {string} options.heading - Plain text heading, e.g. "Daily digest — 12 Aug"
+   * @param {boolean} [options.cover=true] - Use the first featured image as a cover photo
+   * @param {number} [options.omitted=0] - Posts not passed in, counted in the "…and N more" line
+   * @returns {Object} `{ photo, text, extra }` where `photo` is null for text messages
+   */
+  renderDigest(posts, { heading, cover = true, omitted = 0 }) {
+    const coverImage = cover ? (posts.find(post => post.featuredImage) || {}).featuredImage : null;
+    const head = `<b>${escapeHtml(heading)}</b>\n`;
+    const items = posts.map((post, i) => {
+      const title = truncate(htmlToText(post.title) || 'Untitled', 120);
+      const source = this.sourceLabel(post);
+      return `${i + 1}. <a href="${escapeAttribute(post.link)}">${escapeHtml(title)}</a>` +
+        (source ? ` <i>${escapeHtml(source)}</i>` : '');
+    });
+
+    // Count visible characters only: the heading, item numbers and titles
+    const visible = (lines) => htmlToText(head + lines.join('\n')).length;
+    const fit = (limit) => {
+      const lines = [];
+      for (const item of items) {
+        const more = `…and ${items.length - lines.length + omitted} more`;
+        if (visible([...lines, item, more]) > limit && (lines.length < items.length - 1 || omitted > 0)) {
+          return [...lines, more];
+        }
+        lines.push(item);
+      }
+      return omitted > 0 ? [...lines, `…and ${omitted} more`] : lines;
+    };
+
+    const captionLines = fit(CAPTION_LIMIT);
+    const usePhoto = coverImage && captionLines.length === items.length + (omitted > 0 ? 1 : 0);
+    const lines = usePhoto ? captionLines : fit(TEXT_LIMIT);
+
+    return {
+      photo: usePhoto ? coverImage : null,
+      text: head + lines.join('\n'),
+      extra: {
+        parse_mode: 'HTML',
+        // A digest too long for a caption still shows the cover as a large link preview
+        link_preview_options: coverImage && !usePhoto
+          ? { url: coverImage, prefer_large_media: true, show_above_text: true }
+          : { is_disabled: true }
+      }
+    };
+  }
+
+  /**
+   * Send a digest message
+   * @param {Object} telegram - Telegraf `Telegram` instance
+   * @param {string|number} chatId - Chat ID
+   * @param {Array<Object>} posts - Formatted posts
+   * @param {Object} options - Options passed to `renderDigest`, plus `extra` send options
+   * @returns {Promise<Object>} Sent Telegram message
+   */
+  async sendDigest(telegram, chatId, posts, { extra = {}, ...options }) {
+    const message = this.renderDigest(posts, options);
+
+    if (message.photo) {
+      const photoExtra = { ...message.extra };
+      delete photoExtra.link_preview_options;
+      try {
+        return await telegram.sendPhoto(chatId, message.photo, { caption: message.text, ...photoExtra, ...extra });
+      } catch (error) {
+        if (error.code !== 400) throw error;
+        return this.sendDigest(telegram, chatId, posts, { ...options, extra, cover: false });
+      }
+    }
+
+    return telegram.sendMessage(chatId, message.text, { ...message.extra, ...extra });
+  }
+
+  /**
+   * Render a post as an inline query result: a photo when it has a JPEG featured
+   * image, otherwise an article with a link preview
+   * @param {Object} post - Formatted post
+   * @returns {Object} InlineQueryResultPhoto or InlineQueryResultArticle
+   */
+  renderInlineResult(post) {
+    // Photo results must be JPEG; a single other image makes Telegram reject the whole answer
+    const message = this.render(post, { withPhoto: isJpeg(post.featuredImage) });
+    const title = truncate(htmlToText(post.title) || 'Untitled', 128);
+    const description = truncate(htmlToText(post.excerpt), 200);
+    const { reply_markup: replyMarkup, ...sendOptions } = message.extra;
+
+    if (message.photo) {
+      return {
+        type: 'photo',
+        id: post.key,
+        photo_url: message.photo,
+        thumbnail_url: post.thumbnail || message.photo,
+        title,
+        description,
+        caption: message.text,
+        parse_mode: sendOptions.parse_mode,
+        reply_markup: replyMarkup
+      };
+    }
+
+    return {
+      type: 'article',
+      id: post.key,
+      title,
+      description,
+      url: post.link,
+      ...((post.thumbnail || post.featuredImage) && { thumbnail_url: post.thumbnail || post.featuredImage }),
+      input_message_content: {
+        message_text: message.text,
+        ...sendOptions
+      },
+      reply_markup: replyMarkup
+    };
+  }
+
+  /**
+   * Send a rendered post, falling back to a text message if the photo is rejected
+   * @param {Object} telegram - Telegraf `Telegram` instance
+   * @param {string|number} chatId - Chat ID
+   * @param {Object} post - Formatted post
+   * @param {Object} [options] - Options passed to `render`, plus `extra` send options
+   * @returns {Promise<Object>} Sent Telegram message
+   */
+  async send(telegram, chatId, post, { extra = {}, ...options } = {}) {
+    const message = this.render(post, options);
+
+    if (message.photo) {
+      try {
+        return await telegram.sendPhoto(chatId, message.photo, {
+          caption: message.text,
+          ...message.extra,
+          ...extra
+        });
+      } catch (error) {
+        // Telegram couldn't fetch or accept the image; don't lose the post over it
+        if (error.code !== 400) throw error;
+        return this.send(telegram, chatId, post, { ...options, extra, withPhoto: false });
+      }
+    }
+
+    return telegram.sendMessage(chatId, message.text, { ...message.extra, ...extra });
+  }
+}
+
+module.exports = new PostRenderer();
@@ -0,0 +1,178 @@
+const config = require('../config');
+const sourceRegistry = require('./sourceRegistry');
+const deliveryLedger = require('./deliveryLedger');
+const logger = require('../utils/logger');
+
+// Maximum number of modified posts fetched per check
+const POSTS_PER_CHECK = 50;
+
+/**
+ * Describe an edit error as either harmless, permanent or worth retrying
+ * @param {Error} error - Telegram error
+ * @returns {string} 'unchanged', 'gone' or 'retry'
+ */
+function classifyEditError(error) {
+  const description = error.description || error.message || '';
+  if (/message is not modified/i.test(description)) return 'unchanged';
+  // The message was deleted, is too old to edit, or the bot lost access to the chat
+  if (error.code === 403 || /message to edit not found|message can't be edited|chat not found/i.test(description)) {
+    return 'gone';
+  }
+  return 'retry';
+}
+
+class PostUpdateService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.checking = false;
+    this.edit = null;
+  }
+
+  /**
+   * Start checking WordPress for edits to posts that were already sent
+   * @param {Function} edit - Async function `(delivery, post, { imageChanged })` that updates a sent message
+   */
+  start(edit) {
+    if (this.running) return;
+
+    this.edit = edit;
+    this.running = true;
+    logger.info('Post update checks started', { trackedPosts: deliveryLedger.size() });
+
+    this.scheduleNext();
+  }
+
+  /**
+   * Stop checking for edits
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Schedule the next check after the previous one finished
+   * @private
+   */
+  scheduleNext(delay = config.posts.checkInterval) {
+    if (!this.running) return;
+
+    this.timer = setTimeout(async () => {
+      await this.checkAll();
+      this.scheduleNext();
+    }, delay);
+  }
+
+  /**
+   * Fetch posts modified since the last check and update the sent ones
+   * @returns {Promise<number>} Number of posts whose messages were updated
+   */
+  async checkAll() {
+    if (this.checking) return 0;
+    this.checking = true;
+
+    try {
+      let updated = 0;
+      for (const source of sourceRegistry.list()) {
+        updated += await this.checkSource(source);
+      }
+      return updated;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Check one source for edits to sent posts
+   * @private
+   */
+  async checkSource(source) {
+    const since = deliveryLedger.getModifiedCursor(source.id);
+    if (!since) return 0;
+
+    try {
+      const posts = await source.client.getPosts({ modifiedAfter: since, perPage: POSTS_PER_CHECK });
+      let updated = 0;
+      let complete = true;
+
+      for (const post of posts) {
+        const result = await this.syncPost(post);
+        if (result.updated > 0) updated++;
+        if (result.pending > 0) complete = false;
+      }
+
+      // Posts arrive least recently modified first, so the cursor can follow them;
+      // after a failed edit it stays put and the batch is checked again
+      if (complete && posts.length > 0) {
+        deliveryLedger.setModifiedCursor(source.id, posts[posts.length - 1].modified);
+      }
+
+      return updated;
+    } catch (error) {
+      logger.error('Checking for edited posts failed, will retry on next interval', {
+        source: source.id,
+        error: error.message
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Apply the current version of a post to every message it was sent as.
+   * Edits go through the send queue, which handles Telegram's rate limits.
+   * @param {Object} post - Formatted post
+   * @returns {Promise<Object>} `{ updated, removed, pending }` delivery counts
+   */
+  async syncPost(post) {
+    const result = { updated: 0, removed: 0, pending: 0 };
+    const entry = deliveryLedger.get(post.key);
+    if (!this.edit || !entry || !deliveryLedger.isOutdated(post)) return result;
+
+    const image = post.featuredImage || null;
+    const remaining = [];
+
+    for (const delivery of entry.deliveries) {
+      const imageChanged = image !== delivery.image;
+      try {
+        await this.edit(delivery, post, { imageChanged });
+        remaining.push(delivery);
+        result.updated++;
+      } catch (error) {
+        const outcome = classifyEditError(error);
+        if (outcome === 'unchanged') {
+          remaining.push(delivery);
+        } else if (outcome === 'gone') {
+          result.removed++;
+          logger.info('Sent message no longer editable, forgetting it', {
+            postId: post.id,
+            chatId: delivery.chatId,
+            error: error.description || error.message
+          });
+        } else {
+          remaining.push(delivery);
+          result.pending++;
+          logger.error('Failed to update sent post', {
+            postId: post.id,
+            chatId: delivery.chatId,
+            error: error.message,
+            code: error.code
+          });
+        }
+      }
+    }
+
+    // Keep the old version while edits are pending so the next check retries them
+    if (result.pending === 0) {
+      deliveryLedger.update(post, remaining);
+    }
+
+    logger.info('Updated sent post after an edit in WordPress', { postId: post.id, source: post.source, ...result });
+    return result;
+  }
+}
+
+module.exports = new PostUpdateService();
@@ -1,38 +1,174 @@
-const NodeCache = require('node-cache');
+const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
 
-// Cache with no expiration by default
-const cache = new NodeCache({ stdTTL: 0 });
+// Bump when the stored record shape changes and add a migration below
+const SCHEMA_VERSION = 2;
+
+// Source of the top-level `categories` and `tags`, and of records from before multiple sources
+const DEFAULT_SOURCE = config.wordpress.sources[0].id;
+const SOURCE_IDS = new Set(config.wordpress.sources.map(source => source.id));
+
+/**
+ * Normalize a stored chat record so older records have every field
+ * @param {Object} record - Stored preferences
+ * @returns {Object} Normalized preferences
+ */
+function normalizeRecord(record = {}) {
+  const ids = (list) => (Array.isArray(list) ? [...new Set(list.map(Number).filter(Boolean))] : []);
+  return {
+    ...record,
+    categories: ids(record.categories),
+    tags: ids(record.tags),
+    autoPosting: Boolean(record.autoPosting),
+    lastPostId: record.lastPostId ? Number(record.lastPostId) : null,
+    lastPostDate: record.lastPostDate || null,
+    sentPostIds: ids(record.sentPostIds),
+    lastCheck: record.lastCheck || null
+  };
+}
+
+/**
+ * Move a record's single-site checkpoint, sent posts and digest cursor under the default source
+ * @param {Object} record - Stored preferences of schema version 1
+ * @returns {Object} Preferences of schema version 2
+ */
+function migrateToSources({ lastPostId, lastPostDate, sentPostIds, ...record }) {
+  const migrated = {
+    ...record,
+    sources: [DEFAULT_SOURCE],
+    checkpoints: lastPostDate ? { [DEFAULT_SOURCE]: { lastPostId: lastPostId || null, lastPostDate } } : {},
+    sentPosts: (sentPostIds || []).map(id => `${DEFAULT_SOURCE}:${id}`)
+  };
+
+  if (record.digest) {
+    const { lastPostDate: digestDate, ...digest } = record.digest;
+    migrated.digest = { ...digest, lastPostDates: digestDate ? { [DEFAULT_SOURCE]: digestDate } : {} };
+  }
+  return migrated;
+}
+
+const store = new JsonStore(path.join(config.storage.dataDir, 'preferences.json'), {
+  version: SCHEMA_VERSION,
+  initial: () => ({ chats: {} }),
+  migrations: {
+    // Version 0: a plain map of chat ID to preferences, as kept in the old in-memory cache
+    0: (data) => ({
+      chats: Object.fromEntries(
+        Object.entries(data || {}).map(([chatId, record]) => [chatId, normalizeRecord(record)])
+      )
+    }),
+    // Version 1: a single WordPress site
+    1: (data) => ({
+      chats: Object.fromEntries(
+        Object.entries(data.chats).map(([chatId, record]) => [chatId, migrateToSources(record)])
+      )
+    })
+  }
+});
+
+// Number of recently sent posts remembered per chat to avoid duplicates
+const MAX_SENT_POSTS = 50;
+
+/**
+ * Numeric entries of a filter list; names and slugs need resolving against WordPress
+ * @param {Array<string>} entries - IDs, slugs or names
+ * @returns {Array<number>} IDs
+ */
+const numericIds = (entries) => entries.map(Number).filter(Boolean);
 
 class PreferencesService {
   constructor() {
     this.defaultPreferences = {
-      categories: [...config.posts.defaultCategories],
-      tags: [...config.posts.defaultTags],
+      // Filters of the default source. Only numeric entries are usable until setDefaultFilters() resolves names
+      categories: numericIds(config.posts.defaultCategories),
+      tags: numericIds(config.posts.defaultTags),
+      // Filters of the other sources by source ID; sources without an entry use their defaults
+      sourceFilters: {},
+      // Sources the chat receives posts from
+      sources: [DEFAULT_SOURCE],
       autoPosting: false,
-      lastPostId: null,
+      // Newest delivered post per source: `{ [sourceId]: { lastPostId, lastPostDate } }`
+      checkpoints: {},
+      // Recently sent post keys ("source:id")
+      sentPosts: [],
       lastCheck: null,
+      // 'instant' sends every post as it's found, 'digest' batches them on a schedule
+      deliveryMode: 'instant',
+      timezone: config.posts.timezone,
+      digest: {
+        frequency: 'daily',
+        time: '08:00',
+        weekday: 1,
+        cover: true,
+        // Newest post in the previous digest, per source
+        lastPostDates: {}
+      },
+      // Hours during which instant posts may be sent; posts found outside wait for the next opening
+      postingWindow: {
+        enabled: false,
+        start: '08:00',
+        end: '22:00',
+        days: [0, 1, 2, 3, 4, 5, 6],
+        cron: null,
+        silent: false
+      },
+      // What happens to sent messages of a post that is unpublished: 'notice', 'delete' or 'keep'
+      retraction: 'notice',
     };
+
+    // Default filters of the other sources, from their `categories` and `tags` settings
+    this.sourceDefaults = Object.fromEntries(config.wordpress.sources.slice(1).map(source => [
+      source.id,
+      { categories: numericIds(source.categories), tags: numericIds(source.tags) }
+    ]));
+  }
+
+  /**
+   * Set the default categories and tags used for chats without saved preferences
+   * @param {Object} defaults - Default filters
+   * @param {Array<number>} [defaults.categories] - Category IDs
+   * @param {Array<number>} [defaults.tags] - Tag IDs
+   * @param {string} [sourceId] - Source the filters belong to; defaults to the default source
+   */
+  setDefaultFilters({ categories, tags } = {}, sourceId = DEFAULT_SOURCE) {
+    const target = sourceId === DEFAULT_SOURCE ? this.defaultPreferences : this.sourceDefaults[sourceId];
+    if (!target) return;
+    if (categories) target.categories = [...categories];
+    if (tags) target.tags = [...tags];
   }
 
   /**
-   * Get preferences for a chat
+   * Get a chat's category and tag filters for one source
+   * @param {Object} prefs - Chat preferences
+   * @param {string} [sourceId] - Source ID; defaults to the default source
+   * @returns {Object} `{ categories, tags }`
+   */
+  getFilters(prefs, sourceId = DEFAULT_SOURCE) {
+    if (sourceId === DEFAULT_SOURCE) {
+      return { categories: prefs.categories, tags: prefs.tags };
+    }
+    const filters = prefs.sourceFilters[sourceId] || {};
+    const defaults = this.sourceDefaults[sourceId] || { categories: [], tags: [] };
+    return {
+      categories: filters.categories || [...defaults.categories],
+      tags: filters.tags || [...defaults.tags]
+    };
+  }
+
+  /**
+   * Get preferences for a chat. Chats without saved preferences get the
+   * defaults, which are only stored once something is changed.
    * @param {string|number} chatId - Chat ID
-   * @returns {Object} Chat preferences
+   * @returns {Object} Chat preferences (a copy; use updatePreferences to change them)
    */
   getPreferences(chatId) {
-    const chatIdStr = String(chatId);
-    const cached = cache.get(chatIdStr);
-    
-    if (!cached) {
-      // Initialize with default preferences
-      const defaultPrefs = { ...this.defaultPreferences };
-      cache.set(chatIdStr, defaultPrefs);
-      return defaultPrefs;
-    }
-    
-    return cached;
+    const stored = store.data.chats[String(chatId)];
+    const prefs = JSON.parse(JSON.stringify({ ...this.defaultPreferences, ...stored }));
+    // Sources removed from the configuration are ignored
+    prefs.sources = prefs.sources.filter(id => SOURCE_IDS.has(id));
+    return prefs;
   }
 
   /**
@@ -46,7 +182,8 @@ class PreferencesService {
     const current = this.getPreferences(chatIdStr);
     const updated = { ...current, ...updates };
     
-    cache.set(chatIdStr, updated);
+    store.data.chats[chatIdStr] = updated;
+    store.save();
     logger.debug(`Updated preferences for chat ${chatIdStr}`, { updates });
     
     return updated;
@@ -56,11 +193,12 @@ class PreferencesService {
    * Update categories for a chat
    * @param {string|number} chatId - Chat ID
    * @param {Array<number>} categories - Array of category IDs
+   * @param {string} [sourceId] - Source the categories belong to; defaults to the default source
    * @returns {Object} Updated preferences
    */
-  updateCategories(chatId, categories) {
-    return this.updatePreferences(chatId, { 
-      categories: [...new Set(categories.map(Number).filter(Boolean))] 
+  updateCategories(chatId, categories, sourceId = DEFAULT_SOURCE) {
+    return this.updateFilters(chatId, sourceId, {
+      categories: [...new Set(categories.map(Number).filter(Boolean))]
     });
   }
 
@@ -68,14 +206,48 @@ class PreferencesService {
    * Update tags for a chat
    * @param {string|number} chatId - Chat ID
    * @param {Array<number>} tags - Array of tag IDs
+   * @param {string} [sourceId] - Source the tags belong to; defaults to the default source
    * @returns {Object} Updated preferences
    */
-  updateTags(chatId, tags) {
-    return this.updatePreferences(chatId, { 
-      tags: [...new Set(tags.map(Number).filter(Boolean))] 
+  updateTags(chatId, tags, sourceId = DEFAULT_SOURCE) {
+    return this.updateFilters(chatId, sourceId, {
+      tags: [...new Set(tags.map(Number).filter(Boolean))]
+    });
+  }
+
+  /**
+   * Update a chat's filters for one source
+   * @private
+   */
+  updateFilters(chatId, sourceId, updates) {
+    if (sourceId === DEFAULT_SOURCE) {
+      return this.updatePreferences(chatId, updates);
+    }
+    const current = this.getPreferences(chatId);
+    return this.updatePreferences(chatId, {
+      sourceFilters: {
+        ...current.sourceFilters,
+        [sourceId]: { ...this.getFilters(current, sourceId), ...updates }
+      }
     });
   }
 
+  /**
+   * Choose the sources a chat receives posts from
+   * @param {string|number} chatId - Chat ID
+   * @param {Array<string>} sources - Source IDs
+   * @returns {Object} Updated preferences
+   */
+  updateSources(chatId, sources) {
+    const current = this.getPreferences(chatId);
+    const selected = [...new Set(sources)].filter(id => SOURCE_IDS.has(id));
+    // A source turned on again later starts from its newest post, not where it was left
+    const checkpoints = Object.fromEntries(
+      Object.entries(current.checkpoints).filter(([sourceId]) => selected.includes(sourceId))
+    );
+    return this.updatePreferences(chatId, { sources: selected, checkpoints });
+  }
+
   /**
    * Toggle auto-posting for a chat
    * @param {string|number} chatId - Chat ID
@@ -93,30 +265,110 @@ class PreferencesService {
   }
 
   /**
-   * Update the last post ID for a chat
+   * Record a post sent to a chat and move the chat's checkpoint for its source
    * @param {string|number} chatId - Chat ID
    * @param {number} postId - Last post ID
+   * @param {string} [postDate] - Publish date of the post, used as the `after` checkpoint
+   * @param {string} [sourceId] - Source of the post; defaults to the default source
    * @returns {Object} Updated preferences
    */
-  updateLastPostId(chatId, postId) {
-    return this.updatePreferences(chatId, { 
-      lastPostId: Number(postId),
+  updateLastPostId(chatId, postId, postDate, sourceId = DEFAULT_SOURCE) {
+    const current = this.getPreferences(chatId);
+    const sentPosts = [...current.sentPosts, `${sourceId}:${postId}`].slice(-MAX_SENT_POSTS);
+    const checkpoint = current.checkpoints[sourceId] || { lastPostId: null, lastPostDate: null };
+
+    // Never move the checkpoint backwards, e.g. when a pushed post is older than the last polled one
+    const isNewer = postDate && (!checkpoint.lastPostDate || new Date(postDate) > new Date(checkpoint.lastPostDate));
+
+    return this.updatePreferences(chatId, {
+      checkpoints: {
+        ...current.checkpoints,
+        [sourceId]: {
+          lastPostId: Number(postId),
+          lastPostDate: isNewer ? postDate : checkpoint.lastPostDate
+        }
+      },
+      sentPosts,
       lastCheck: new Date().toISOString()
     });
   }
 
+  /**
+   * Set a chat's checkpoint for a source that has no matching posts yet
+   * @param {string|number} chatId - Chat ID
+   * @param {string} sourceId - Source ID
+   * @param {string} lastPostDate - Date new posts must be published after
+   * @returns {Object} Updated preferences
+   */
+  setCheckpoint(chatId, sourceId, lastPostDate) {
+    const current = this.getPreferences(chatId);
+    return this.updatePreferences(chatId, {
+      checkpoints: { ...current.checkpoints, [sourceId]: { lastPostId: null, lastPostDate } }
+    });
+  }
+
+  /**
+   * Forget a chat's checkpoints, so auto-posting starts again from the newest posts
+   * @param {string|number} chatId - Chat ID
+   * @returns {Object} Updated preferences
+   */
+  resetCheckpoints(chatId) {
+    return this.updatePreferences(chatId, { checkpoints: {} });
+  }
+
+  /**
+   * Check whether a post has already been sent to a chat
+   * @param {string|number} chatId - Chat ID
+   * @param {number} postId - Post ID
+   * @param {string} [sourceId] - Source of the post; defaults to the default source
+   * @returns {boolean} True if the post was sent before
+   */
+  hasSentPost(chatId, postId, sourceId = DEFAULT_SOURCE) {
+    const prefs = this.getPreferences(chatId);
+    return prefs.sentPosts.includes(`${sourceId}:${postId}`);
+  }
+
   /**
    * Get all active chat IDs with auto-posting enabled
+   * @param {string} [deliveryMode] - Only chats using this delivery mode ('instant' or 'digest')
    * @returns {Array<string>} Array of chat IDs
    */
-  getActiveChats() {
-    const allChats = cache.keys();
-    return allChats.filter(chatId => {
-      const prefs = this.getPreferences(chatId);
-      return prefs.autoPosting;
+  getActiveChats(deliveryMode) {
+    return Object.keys(store.data.chats).filter(chatId => {
+      const record = store.data.chats[chatId];
+      return record.autoPosting && (!deliveryMode || (record.deliveryMode || 'instant') === deliveryMode);
     });
   }
 
+  /**
+   * Update the digest settings for a chat
+   * @param {string|number} chatId - Chat ID
+   * @param {Object} updates - Digest settings to change
+   * @returns {Object} Updated preferences
+   */
+  updateDigest(chatId, updates) {
+    const current = this.getPreferences(chatId);
+    return this.updatePreferences(chatId, { digest: { ...current.digest, ...updates } });
+  }
+
+  /**
+   * Move a chat's preferences to a new chat ID, as when Telegram upgrades a
+   * group to a supergroup
+   * @param {string|number} fromChatId - Old chat ID
+   * @param {string|number} toChatId - New chat ID
+   * @returns {Object|null} Preferences under the new ID, or null if the old chat had none
+   */
+  moveChat(fromChatId, toChatId) {
+    const from = String(fromChatId);
+    const to = String(toChatId);
+    if (!store.data.chats[from]) return null;
+
+    store.data.chats[to] = store.data.chats[from];
+    delete store.data.chats[from];
+    store.save();
+    return this.getPreferences(to);
+  }
+
   /**
    * Reset preferences for a chat to defaults
    * @param {string|number} chatId - Chat ID
@@ -124,9 +376,17 @@ class PreferencesService {
    */
   resetPreferences(chatId) {
     const chatIdStr = String(chatId);
-    cache.del(chatIdStr);
+    delete store.data.chats[chatIdStr];
+    store.save();
     return this.getPreferences(chatIdStr);
   }
+
+  /**
+   * Write pending changes to disk immediately
+   */
+  flush() {
+    store.flush();
+  }
 }
 
 module.exports = new PreferencesService();
@@ -0,0 +1,107 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const sourceRegistry = require('./sourceRegistry');
+const { NotFoundError } = require('../utils/errors');
+const { htmlToText } = require('../utils/telegramHtml');
+
+const SCHEMA_VERSION = 1;
+
+// Oldest saved articles are dropped beyond this
+const MAX_ITEMS = 200;
+
+const store = new JsonStore(path.join(config.storage.dataDir, 'saved.json'), {
+  version: SCHEMA_VERSION,
+  initial: () => ({ users: {} })
+});
+
+/**
+ * Articles Telegram users saved to read later, from bot post cards or the Web
+ * App. Items keep a snapshot of the post so lists don't need WordPress.
+ */
+class ReadingList {
+  /**
+   * Saved articles of a user, most recently saved first
+   * @param {string|number} userId - Telegram user ID
+   * @returns {Array<Object>} Items: `{ key, source, id, title, link, image, savedAt }`
+   */
+  list(userId) {
+    return store.data.users[String(userId)] || [];
+  }
+
+  /**
+   * Check whether a user saved a post
+   * @param {string|number} userId - Telegram user ID
+   * @param {string} key - Post key, e.g. "main:123"
+   * @returns {boolean} True if saved
+   */
+  has(userId, key) {
+    return this.list(userId).some(item => item.key === key);
+  }
+
+  /**
+   * Save a post for a user. The post is looked up in its source, so clients
+   * only send its key.
+   * @param {string|number} userId - Telegram user ID
+   * @param {string} key - Post key, e.g. "main:123"; a bare ID means the default source
+   * @returns {Promise<Object>} `{ item, added }`; `added` is false if it was already saved
+   * @throws {NotFoundError} The source or post doesn't exist
+   */
+  async save(userId, key) {
+    const { source, id } = sourceRegistry.parsePostKey(key);
+    const client = sourceRegistry.client(source);
+    if (!client || !id) {
+      throw new NotFoundError(`Post ${key} not found`);
+    }
+
+    const existing = this.list(userId).find(item => item.key === `${source}:${id}`);
+    if (existing) return { item: existing, added: false };
+
+    const post = await client.getPostById(id);
+    const item = {
+      key: post.key,
+      source: post.source,
+      id: post.id,
+      title: htmlToText(post.title) || 'Untitled',
+      link: post.link,
+      image: post.featuredImage || null,
+      savedAt: new Date().toISOString()
+    };
+
+    store.data.users[String(userId)] = [item, ...this.list(userId)].slice(0, MAX_ITEMS);
+    store.save();
+    logger.info('Saved article to reading list', { userId, post: item.key });
+
+    return { item, added: true };
+  }
+
+  /**
+   * Remove a post from a user's reading list
+   * @param {string|number} userId - Telegram user ID
+   * @param {string} key - Post key
+   * @returns {boolean} True if it was saved
+   */
+  remove(userId, key) {
+    const items = this.list(userId);
+    const remaining = items.filter(item => item.key !== key);
+    if (remaining.length === items.length) return false;
+
+    if (remaining.length > 0) {
+      store.data.users[String(userId)] = remaining;
+    } else {
+      delete store.data.users[String(userId)];
+    }
+    store.save();
+    return true;
+  }
+
+  /**
+   * Write pending changes to disk
+   */
+  flush() {
+    store.flush();
+  }
+}
+
+module.exports = new ReadingList();
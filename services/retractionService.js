@@ -0,0 +1,179 @@
+const config = require('../config');
+const sourceRegistry = require('./sourceRegistry');
+const preferences = require('./preferences');
+const deliveryLedger = require('./deliveryLedger');
+const logger = require('../utils/logger');
+const { NotFoundError, UnauthorizedError } = require('../utils/errors');
+
+// WordPress accepts at most 100 IDs per request
+const IDS_PER_REQUEST = 100;
+
+class RetractionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.checking = false;
+    this.retract = null;
+    this.report = null;
+  }
+
+  /**
+   * Start checking sent posts for removal from WordPress
+   * @param {Object} handlers - Telegram side effects
+   * @param {Function} handlers.retract - Async `(delivery, policy, entry)` that removes or withdraws a sent
+   *   message and resolves to 'deleted' or 'withdrawn'
+   * @param {Function} handlers.report - Async `(key, entry, reason, outcomes)` that tells admins about a retraction
+   */
+  start({ retract, report }) {
+    if (this.running) return;
+
+    this.retract = retract;
+    this.report = report;
+    this.running = true;
+    this.scheduleNext();
+  }
+
+  /**
+   * Stop checking for removed posts
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Schedule the next check after the previous one finished
+   * @private
+   */
+  scheduleNext(delay = config.posts.checkInterval) {
+    if (!this.running) return;
+
+    this.timer = setTimeout(async () => {
+      await this.checkAll();
+      this.scheduleNext();
+    }, delay);
+  }
+
+  /**
+   * Find sent posts that are no longer published and retract them
+   * @returns {Promise<number>} Number of posts retracted
+   */
+  async checkAll() {
+    if (this.checking) return 0;
+    this.checking = true;
+
+    try {
+      let retracted = 0;
+      for (const source of sourceRegistry.list()) {
+        retracted += await this.checkSource(source);
+      }
+      return retracted;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Check the sent posts of one source
+   * @private
+   */
+  async checkSource(source) {
+    try {
+      const tracked = deliveryLedger.postIds(source.id);
+      const missing = [];
+
+      for (let i = 0; i < tracked.length; i += IDS_PER_REQUEST) {
+        const ids = tracked.slice(i, i + IDS_PER_REQUEST);
+        const published = new Set(await source.client.getPublishedPostIds(ids));
+        missing.push(...ids.filter(id => !published.has(id)));
+      }
+
+      let retracted = 0;
+      for (const postId of missing) {
+        // A post missing from the list could be a hiccup; only act when WordPress confirms it
+        const { reason } = await this.checkPost(postId, source.id);
+        if (reason) {
+          await this.retractPost(`${source.id}:${postId}`, reason);
+          retracted++;
+        }
+      }
+      return retracted;
+    } catch (error) {
+      logger.error('Checking for removed posts failed, will retry on next interval', {
+        source: source.id,
+        error: error.message
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Fetch a post and tell whether it is still published
+   * @param {number} postId - Post ID
+   * @param {string} [sourceId] - Source of the post; defaults to the default source
+   * @returns {Promise<Object>} `{ post, reason }`: the published post, or a null post and the reason it is unavailable
+   */
+  async checkPost(postId, sourceId = sourceRegistry.defaultId) {
+    try {
+      const post = await sourceRegistry.client(sourceId).getPostById(postId);
+      return post.status === 'publish'
+        ? { post, reason: null }
+        : { post: null, reason: `status changed to ${post.status}` };
+    } catch (error) {
+      if (error instanceof NotFoundError) return { post: null, reason: 'deleted' };
+      // Trashed, draft and private posts are hidden from anonymous requests
+      if (error instanceof UnauthorizedError) return { post: null, reason: 'no longer public' };
+      throw error;
+    }
+  }
+
+  /**
+   * Delete or withdraw every message a post was sent as, following each chat's policy
+   * @param {string} key - Post key, e.g. "main:123"
+   * @param {string} reason - Why the post was retracted, for the admin report
+   * @returns {Promise<Object>} Outcome counts: `{ deleted, withdrawn, kept, failed }`
+   */
+  async retractPost(key, reason) {
+    const outcomes = { deleted: 0, withdrawn: 0, kept: 0, failed: 0 };
+    const entry = deliveryLedger.get(key);
+    if (!this.retract || !entry) return outcomes;
+
+    // Forget the post first so an update arriving meanwhile can't edit it back
+    deliveryLedger.remove(key);
+
+    for (const delivery of entry.deliveries) {
+      const policy = preferences.getPreferences(delivery.chatId).retraction;
+      if (policy === 'keep') {
+        outcomes.kept++;
+        continue;
+      }
+
+      try {
+        const outcome = await this.retract(delivery, policy, entry);
+        outcomes[outcome]++;
+      } catch (error) {
+        outcomes.failed++;
+        logger.error('Failed to retract sent post', {
+          post: key,
+          chatId: delivery.chatId,
+          error: error.description || error.message
+        });
+      }
+    }
+
+    logger.info('Retracted unpublished post', { post: key, reason, ...outcomes });
+
+    try {
+      await this.report(key, entry, reason, outcomes);
+    } catch (error) {
+      logger.error('Failed to report retraction', { post: key, error: error.message });
+    }
+
+    return outcomes;
+  }
+}
+
+module.exports = new RetractionService();
@@ -0,0 +1,390 @@
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+const SCHEMA_VERSION = 1;
+
+// Telegram's documented limits: ~30 messages per second overall, 20 per minute
+// in a group or channel and about one per second in a private chat
+const GLOBAL_LIMIT = { count: 30, window: 1000 };
+const GROUP_LIMIT = { count: 20, window: 60 * 1000 };
+const PRIVATE_LIMIT = { count: 1, window: 1000 };
+
+// Requests running at once; each chat still has at most one in flight to keep its order
+const CONCURRENCY = 8;
+const MAX_ATTEMPTS = 5;
+const MAX_DEAD_LETTERS = 100;
+// How long shutdown waits for the queue to empty before saving what's left
+const DRAIN_TIMEOUT = 4000;
+// How often chats without recent sends are forgotten
+const PRUNE_INTERVAL = 60 * 1000;
+
+// API methods that post or change messages and therefore count against the limits
+const QUEUED_METHODS = new Set([
+  'sendMessage', 'sendPhoto', 'sendMediaGroup', 'sendDocument', 'sendAnimation', 'sendVideo',
+  'copyMessage', 'forwardMessage',
+  'editMessageText', 'editMessageCaption', 'editMessageMedia', 'editMessageReplyMarkup',
+  'deleteMessage'
+]);
+
+// Network failures worth retrying
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ESOCKETTIMEDOUT'];
+
+const store = new JsonStore(path.join(config.storage.dataDir, 'outbox.json'), {
+  version: SCHEMA_VERSION,
+  initial: () => ({ pending: [], deadLetters: [] })
+});
+
+// Set while running sends whose caller delivers failed ones again itself
+const callerRetries = new AsyncLocalStorage();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Decide how to handle a failed request
+ * @param {Error} error - Telegram or network error
+ * @returns {string} 'rate-limited', 'transient' or 'permanent'
+ */
+function classifyError(error) {
+  if (error.code === 429) return 'rate-limited';
+  if ((typeof error.code === 'number' && error.code >= 500) || TRANSIENT_CODES.includes(error.code) ||
+    TRANSIENT_CODES.includes(error.errno) || error.name === 'FetchError') {
+    return 'transient';
+  }
+  return 'permanent';
+}
+
+/**
+ * Rate limit of a chat. Groups and channels have negative IDs, and only
+ * channels and public groups can be addressed as @username.
+ * @param {string} chatId - Chat ID or @username
+ * @returns {Object} `{ count, window }`
+ */
+function chatLimit(chatId) {
+  return chatId.startsWith('-') || chatId.startsWith('@') ? GROUP_LIMIT : PRIVATE_LIMIT;
+}
+
+/**
+ * Sliding window counter of recent sends
+ * @private
+ */
+function withinLimit(timestamps, { count, window }, now) {
+  while (timestamps.length > 0 && timestamps[0] <= now - window) timestamps.shift();
+  return timestamps.length < count ? 0 : timestamps[0] + window - now;
+}
+
+/**
+ * Single outbound queue for every message the bot sends, edits or deletes.
+ *
+ * Requests wait for Telegram's global and per-chat limits, are retried on
+ * 429 and network errors, and end up in a dead-letter list when they can't
+ * be delivered. Callers still get a promise for the API result.
+ */
+class SendQueue {
+  constructor() {
+    this.jobs = [];
+    this.inFlight = new Set();
+    this.globalSends = [];
+    this.chatSends = new Map();
+    this.chatPausedUntil = new Map();
+    this.prunedAt = 0;
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Route the message sending API calls of a Telegram client through the queue.
+   * Telegraf creates a client per update, so this runs for each context too.
+   * @param {Object} telegram - Telegraf `Telegram` instance
+   * @returns {Object} The same instance
+   */
+  attach(telegram) {
+    if (telegram.sendQueueAttached) return telegram;
+
+    const callApi = telegram.callApi.bind(telegram);
+    telegram.callApi = (method, payload = {}, options) => (QUEUED_METHODS.has(method)
+      ? this.enqueue(method, payload, callApi, options)
+      : callApi(method, payload, options));
+    telegram.sendQueueAttached = true;
+    this.callApi = this.callApi || callApi;
+    return telegram;
+  }
+
+  /**
+   * Run sends whose caller delivers again whatever fails, such as auto-posting,
+   * which keeps its checkpoint before the first post that didn't go out. Their
+   * requests are neither dead-lettered nor saved at shutdown, so a retry or a
+   * restart can't send them a second time next to the caller's own redelivery.
+   * @param {Function} fn - Async function making the requests
+   * @returns {Promise<*>} Result of `fn`
+   */
+  retriedByCaller(fn) {
+    return callerRetries.run(true, fn);
+  }
+
+  /**
+   * Resend requests saved by the previous shutdown
+   */
+  start() {
+    const pending = store.data.pending;
+    if (pending.length === 0) return;
+
+    store.data.pending = [];
+    store.save();
+    logger.info(`Resending ${pending.length} message(s) queued before the last shutdown`);
+    pending.forEach(job => this.enqueue(job.method, job.payload).catch(() => {}));
+  }
+
+  /**
+   * Add a request to the queue
+   * @param {string} method - Bot API method
+   * @param {Object} payload - Method parameters
+   * @param {Function} [callApi] - Client that performs the request; defaults to the first attached one
+   * @param {Object} [options] - Request options of the client, such as Telegraf's AbortSignal
+   * @returns {Promise<*>} API result
+   */
+  enqueue(method, payload, callApi = this.callApi, options) {
+    return new Promise((resolve, reject) => {
+      this.jobs.push({
+        id: crypto.randomBytes(4).toString('hex'),
+        method,
+        payload,
+        chatId: payload.chat_id !== undefined ? String(payload.chat_id) : null,
+        attempts: 0,
+        notBefore: 0,
+        retriedByCaller: callerRetries.getStore() === true,
+        callApi,
+        options,
+        resolve,
+        reject
+      });
+      this.pump();
+    });
+  }
+
+  /**
+   * Start every job that is allowed to run now, then sleep until the next one is
+   * @private
+   */
+  pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    this.pruneChats(now);
+    let wait = Infinity;
+    const busyChats = new Set([...this.inFlight].map(job => job.chatId));
+
+    for (const job of [...this.jobs]) {
+      if (this.inFlight.size >= CONCURRENCY) break;
+      // Only the oldest job of a chat may run, so messages keep their order
+      if (busyChats.has(job.chatId)) continue;
+      busyChats.add(job.chatId);
+
+      const delay = Math.max(job.notBefore - now, this.chatDelay(job.chatId, now), withinLimit(this.globalSends, GLOBAL_LIMIT, now));
+      if (delay > 0) {
+        wait = Math.min(wait, delay);
+        continue;
+      }
+
+      this.run(job, now);
+    }
+
+    if (wait !== Infinity && !this.stopped) {
+      this.timer = setTimeout(() => this.pump(), wait);
+    }
+  }
+
+  /**
+   * Forget chats whose sends have all left their rate limit window, so the
+   * counters don't grow with every chat the bot ever sent to
+   * @private
+   */
+  pruneChats(now) {
+    if (now - this.prunedAt < PRUNE_INTERVAL) return;
+    this.prunedAt = now;
+
+    for (const [chatId, sends] of this.chatSends) {
+      if (withinLimit(sends, chatLimit(chatId), now) === 0 && sends.length === 0) {
+        this.chatSends.delete(chatId);
+      }
+    }
+    for (const [chatId, until] of this.chatPausedUntil) {
+      if (until <= now) this.chatPausedUntil.delete(chatId);
+    }
+  }
+
+  /**
+   * Time until a chat may receive another request
+   * @private
+   */
+  chatDelay(chatId, now) {
+    if (chatId === null) return 0;
+
+    const pausedFor = (this.chatPausedUntil.get(chatId) || 0) - now;
+    const sends = this.chatSends.get(chatId) || [];
+    return Math.max(pausedFor, withinLimit(sends, chatLimit(chatId), now));
+  }
+
+  /**
+   * Perform a request and settle its promise, or schedule a retry
+   * @private
+   */
+  async run(job, now) {
+    this.jobs.splice(this.jobs.indexOf(job), 1);
+    this.inFlight.add(job);
+    job.attempts++;
+
+    this.globalSends.push(now);
+    if (job.chatId !== null) {
+      if (!this.chatSends.has(job.chatId)) this.chatSends.set(job.chatId, []);
+      this.chatSends.get(job.chatId).push(now);
+    }
+
+    try {
+      job.resolve(await job.callApi(job.method, job.payload, job.options));
+    } catch (error) {
+      this.handleFailure(job, error);
+    } finally {
+      this.inFlight.delete(job);
+      this.pump();
+    }
+  }
+
+  /**
+   * Retry a failed request later, or give up on it
+   * @private
+   */
+  handleFailure(job, error) {
+    const kind = classifyError(error);
+
+    if (kind !== 'permanent' && job.attempts < MAX_ATTEMPTS) {
+      const retryAfter = error.parameters?.retry_after;
+      // Exponential backoff when Telegram doesn't say how long to wait
+      const delay = retryAfter ? retryAfter * 1000 : 1000 * 2 ** (job.attempts - 1);
+      job.notBefore = Date.now() + delay;
+      if (kind === 'rate-limited' && job.chatId !== null) {
+        this.chatPausedUntil.set(job.chatId, job.notBefore);
+      }
+
+      logger.warn('Telegram request failed, retrying', {
+        method: job.method,
+        chatId: job.chatId,
+        attempt: job.attempts,
+        retryIn: delay,
+        error: error.description || error.message
+      });
+      // Back at the front so the chat's later messages still wait for it
+      this.jobs.unshift(job);
+      return;
+    }
+
+    // Bad requests are the caller's to handle, e.g. photo fallbacks and unchanged edits
+    if (error.code !== 400 && job.method.startsWith('send') && !job.retriedByCaller) {
+      this.addDeadLetter(job, error);
+    }
+    job.reject(error);
+  }
+
+  /**
+   * Keep an undeliverable message for admins to inspect and retry
+   * @private
+   */
+  addDeadLetter(job, error) {
+    store.data.deadLetters.push({
+      id: job.id,
+      method: job.method,
+      chatId: job.chatId,
+      payload: job.payload,
+      error: error.description || error.message,
+      code: error.code || null,
+      attempts: job.attempts,
+      failedAt: new Date().toISOString()
+    });
+    store.data.deadLetters = store.data.deadLetters.slice(-MAX_DEAD_LETTERS);
+    store.save();
+
+    logger.error('Gave up sending Telegram message', {
+      id: job.id,
+      method: job.method,
+      chatId: job.chatId,
+      error: error.description || error.message
+    });
+  }
+
+  /**
+   * List undeliverable messages, oldest first
+   * @returns {Array<Object>} Dead letters
+   */
+  getDeadLetters() {
+    return store.data.deadLetters;
+  }
+
+  /**
+   * Queue dead letters again
+   * @param {Array<string>} [ids] - Dead letter IDs; all when omitted
+   * @returns {number} Number of messages queued
+   */
+  retryDeadLetters(ids) {
+    const retry = store.data.deadLetters.filter(letter => !ids || ids.includes(letter.id));
+    store.data.deadLetters = store.data.deadLetters.filter(letter => !retry.includes(letter));
+    store.save();
+
+    retry.forEach(letter => this.enqueue(letter.method, letter.payload).catch(() => {}));
+    return retry.length;
+  }
+
+  /**
+   * Discard dead letters
+   * @returns {number} Number of messages discarded
+   */
+  clearDeadLetters() {
+    const count = store.data.deadLetters.length;
+    store.data.deadLetters = [];
+    store.save();
+    return count;
+  }
+
+  /**
+   * Number of requests waiting or running
+   * @returns {number} Queue length
+   */
+  size() {
+    return this.jobs.length + this.inFlight.size;
+  }
+
+  /**
+   * Wait for the queue to empty, then save whatever is left so it's sent after a restart
+   * @param {number} [timeout] - Longest time to wait in milliseconds
+   */
+  async shutdown(timeout = DRAIN_TIMEOUT) {
+    const deadline = Date.now() + timeout;
+    while (this.size() > 0 && Date.now() < deadline) {
+      await sleep(100);
+    }
+
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.jobs.length > 0) {
+      const saved = this.jobs.filter(job => !job.retriedByCaller);
+      // Payloads are plain JSON since the bot only sends files by URL
+      store.data.pending.push(...saved.map(({ method, payload }) => ({ method, payload })));
+      logger.warn(`Saved ${saved.length} of ${this.jobs.length} unsent message(s) for the next start`);
+      this.jobs.forEach(job => job.reject(new Error('Send queue stopped')));
+      this.jobs = [];
+    }
+    store.save();
+    store.flush();
+  }
+}
+
+module.exports = new SendQueue();
@@ -0,0 +1,96 @@
+const config = require('../config');
+const wordpress = require('./wordpress');
+const FeedService = require('./feed');
+
+/**
+ * The WordPress sites the bot syndicates, each with its own client, filters
+ * and branding. Post IDs are only unique within a site, so posts are
+ * identified across sources by a key like "labs:123". Sites read through
+ * their RSS or Atom feed get a FeedService, which works like the REST client.
+ */
+class SourceRegistry {
+  constructor() {
+    this.defaultId = config.wordpress.sources[0].id;
+    this.sources = new Map(config.wordpress.sources.map((source, index) => [source.id, {
+      ...source,
+      client: this.createClient(source, index)
+    }]));
+  }
+
+  /**
+   * Create the client of a source
+   * @private
+   */
+  createClient(source, index) {
+    if (source.type === 'feed') return new FeedService(source);
+    // The default source shares the client other services already use
+    return index === 0 ? wordpress : new wordpress.WordPressService(source);
+  }
+
+  /**
+   * Get a source
+   * @param {string} id - Source ID
+   * @returns {Object|null} `{ id, name, emoji, client, ... }`, or null if not configured
+   */
+  get(id) {
+    return this.sources.get(id) || null;
+  }
+
+  /**
+   * Get the WordPress client of a source
+   * @param {string} [id] - Source ID; defaults to the default source
+   * @returns {Object|null} WordPressService, or null if the source isn't configured
+   */
+  client(id = this.defaultId) {
+    return this.get(id)?.client || null;
+  }
+
+  /**
+   * All configured sources, the default one first
+   * @returns {Array<Object>} Sources
+   */
+  list() {
+    return [...this.sources.values()];
+  }
+
+  /**
+   * Whether more than one source is configured; single-site setups show no source UI
+   * @returns {boolean} True with sister sites
+   */
+  hasMultiple() {
+    return this.sources.size > 1;
+  }
+
+  /**
+   * Find a source by ID or name, as typed by a user
+   * @param {string} input - e.g. "labs", "@labs" or "Innovopedia Labs"
+   * @returns {Object|null} Source
+   */
+  find(input) {
+    const value = String(input || '').replace(/^@/, '').trim().toLowerCase();
+    return this.get(value) || this.list().find(source => source.name.toLowerCase() === value) || null;
+  }
+
+  /**
+   * Display name of a source with its emoji
+   * @param {string} id - Source ID
+   * @returns {string} Label, or the ID of an unknown source
+   */
+  label(id) {
+    const source = this.get(id);
+    if (!source) return id;
+    return source.emoji ? `${source.emoji} ${source.name}` : source.name;
+  }
+
+  /**
+   * Split a post key into its source and post ID. Bare IDs belong to the default source.
+   * @param {string|number} key - e.g. "labs:123" or "123"
+   * @returns {Object} `{ source, id }`
+   */
+  parsePostKey(key) {
+    const [source, id] = String(key).includes(':') ? String(key).split(':') : [this.defaultId, String(key)];
+    return { source, id: Number(id) };
+  }
+}
+
+module.exports = new SourceRegistry();
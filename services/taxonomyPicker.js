@@ -0,0 +1,67 @@
+const { Markup } = require('telegraf');
+const { htmlToText, truncate } = require('../utils/telegramHtml');
+
+// Items shown per page, laid out two per row
+const PAGE_SIZE = 10;
+const LABEL_LENGTH = 24;
+
+class TaxonomyPicker {
+  /**
+   * Build the picker text and keyboard for one page of items
+   * @param {string} type - 'categories' or 'tags'
+   * @param {Array<Object>} items - WordPress terms with `id` and `name`
+   * @param {Array<number>} selected - Currently selected term IDs
+   * @param {Object} options - Picker options
+   * @param {string|number} options.chatId - Chat whose preferences are being edited
+   * @param {string} [options.chatTitle] - Title shown when editing another chat remotely
+   * @param {string} [options.sourceName] - Site the items belong to, when there are several
+   * @param {number} [options.page=0] - Zero-based page index
+   * @returns {Object} `{ text, keyboard }`
+   */
+  build(type, items, selected, { chatId, chatTitle, sourceName, page = 0 }) {
+    const prefix = `pick:${type}:${chatId}`;
+    const totalPages = Math.max(1, Math.ceil(items.length / PAGE_SIZE));
+    const current = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageItems = items.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+
+    const itemButtons = pageItems.map(item => {
+      const mark = selected.includes(item.id) ? '✅' : '▫️';
+      const name = truncate(htmlToText(item.name), LABEL_LENGTH);
+      return Markup.button.callback(`${mark} ${name}`, `${prefix}:toggle:${item.id}:${current}`);
+    });
+
+    const rows = [];
+    for (let i = 0; i < itemButtons.length; i += 2) {
+      rows.push(itemButtons.slice(i, i + 2));
+    }
+
+    if (totalPages > 1) {
+      const nav = [];
+      if (current > 0) nav.push(Markup.button.callback('◀️ Prev', `${prefix}:page:${current - 1}`));
+      nav.push(Markup.button.callback(`${current + 1}/${totalPages}`, `${prefix}:noop`));
+      if (current < totalPages - 1) nav.push(Markup.button.callback('Next ▶️', `${prefix}:page:${current + 1}`));
+      rows.push(nav);
+    }
+
+    rows.push([
+      Markup.button.callback('☑️ Select all', `${prefix}:all:${current}`),
+      Markup.button.callback('🔄 Reset', `${prefix}:reset:${current}`)
+    ]);
+    rows.push([
+      Markup.button.callback('💾 Save', `${prefix}:save`),
+      Markup.button.callback('✖️ Cancel', `${prefix}:cancel`)
+    ]);
+
+    const summary = selected.length > 0
+      ? `${selected.length} selected.`
+      : `None selected — posts from all ${type} will be shared.`;
+
+    return {
+      text: `Select ${sourceName ? `${sourceName} ` : ''}${type} for ${chatTitle ? `"${chatTitle}"` : 'this chat'}. ` +
+        `Tap an item to toggle it, then press Save.\n\n${summary}`,
+      keyboard: Markup.inlineKeyboard(rows)
+    };
+  }
+}
+
+module.exports = new TaxonomyPicker();
@@ -0,0 +1,182 @@
+const wordpress = require('./wordpress');
+const { htmlToText } = require('../utils/telegramHtml');
+
+// Suffix that includes a category's descendants, e.g. "Startups*"
+const CHILDREN_SUFFIX = '*';
+const PATH_SEPARATOR = '>';
+
+/**
+ * Normalize a name or slug for comparison: lowercase, no accents, words separated by single spaces
+ * @param {string} value - Name, slug or user input
+ * @returns {string} Normalized value
+ */
+function normalize(value) {
+  return htmlToText(String(value || ''))
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+class TaxonomyResolver {
+  /**
+   * Resolve names, slugs, paths ("Startups > Funding") or IDs to term IDs
+   * @param {string} type - 'categories' or 'tags'
+   * @param {Array<string>} inputs - User supplied entries; a trailing `*` on a
+   *   category also selects its child categories
+   * @param {Array<Object>} [terms] - Terms to match against; fetched from WordPress when omitted
+   * @returns {Promise<Object>} `{ ids, matches: [{ input, term, exact, children }], unmatched: [{ input, suggestion }] }`
+   */
+  async resolve(type, inputs, terms) {
+    const allTerms = terms || await this.fetch(type);
+    const ids = new Set();
+    const matches = [];
+    const unmatched = [];
+
+    for (const raw of inputs) {
+      let input = String(raw).trim();
+      if (!input) continue;
+
+      const withChildren = type === 'categories' && input.endsWith(CHILDREN_SUFFIX);
+      if (withChildren) input = input.slice(0, -CHILDREN_SUFFIX.length).trim();
+
+      const { term, exact, suggestion } = this.match(input, allTerms);
+      if (!term) {
+        unmatched.push({ input, suggestion: suggestion ? htmlToText(suggestion.name) : null });
+        continue;
+      }
+
+      ids.add(term.id);
+      const children = withChildren ? this.descendants(term.id, allTerms) : [];
+      children.forEach(child => ids.add(child.id));
+      matches.push({ input, term, exact, children });
+    }
+
+    return { ids: [...ids], matches, unmatched };
+  }
+
+  /**
+   * Find the best term for a single input
+   * @param {string} input - ID, slug, name or path
+   * @param {Array<Object>} terms - Terms with `id`, `name`, `slug` and optional `parent`
+   * @returns {Object} `{ term, exact }` or `{ term: null, suggestion }`
+   */
+  match(input, terms) {
+    if (/^\d+$/.test(input)) {
+      const term = terms.find(t => t.id === Number(input));
+      return term ? { term, exact: true } : { term: null, suggestion: null };
+    }
+
+    const segments = input.split(PATH_SEPARATOR).map(normalize).filter(Boolean);
+    const target = segments.pop();
+    if (!target) return { term: null, suggestion: null };
+
+    const byId = new Map(terms.map(t => [t.id, t]));
+    const candidates = segments.length > 0
+      ? terms.filter(t => this.pathMatches(t, segments, byId))
+      : terms;
+
+    const exact = candidates.find(t => normalize(t.slug) === target || normalize(t.name) === target);
+    if (exact) return { term: exact, exact: true };
+
+    const prefixed = candidates.filter(t => normalize(t.name).startsWith(target));
+    if (prefixed.length === 1) return { term: prefixed[0], exact: false };
+
+    // Allow roughly one typo per four characters
+    const maxDistance = Math.max(1, Math.floor(target.length / 4));
+    let best = null;
+    let bestDistance = Infinity;
+    for (const term of candidates) {
+      const distance = Math.min(
+        editDistance(target, normalize(term.name)),
+        editDistance(target, normalize(term.slug))
+      );
+      if (distance < bestDistance) {
+        best = term;
+        bestDistance = distance;
+      }
+    }
+
+    if (best && bestDistance <= maxDistance) return { term: best, exact: false };
+    const close = bestDistance <= maxDistance * 2 ? best : null;
+    return { term: null, suggestion: prefixed[0] || close };
+  }
+
+  /**
+   * Check whether a term's ancestors match the given normalized path segments
+   * @private
+   */
+  pathMatches(term, segments, byId) {
+    let parent = byId.get(term.parent);
+    for (let i = segments.length - 1; i >= 0; i--) {
+      if (!parent) return false;
+      if (normalize(parent.name) !== segments[i] && normalize(parent.slug) !== segments[i]) return false;
+      parent = byId.get(parent.parent);
+    }
+    return true;
+  }
+
+  /**
+   * Get all descendants of a category
+   * @param {number} parentId - Parent category ID
+   * @param {Array<Object>} terms - All categories
+   * @returns {Array<Object>} Descendant categories
+   */
+  descendants(parentId, terms) {
+    const children = terms.filter(t => t.parent === parentId);
+    return children.reduce((all, child) => all.concat(child, this.descendants(child.id, terms)), []);
+  }
+
+  /**
+   * Arrange categories as a depth-first tree. Categories whose parent is not
+   * in the list (e.g. an empty parent hidden by WordPress) become roots.
+   * @param {Array<Object>} terms - Categories with `parent`
+   * @returns {Array<Object>} `[{ term, depth }]` in display order
+   */
+  tree(terms) {
+    const ids = new Set(terms.map(t => t.id));
+    const byName = (a, b) => htmlToText(a.name).localeCompare(htmlToText(b.name));
+    const result = [];
+
+    const walk = (term, depth) => {
+      result.push({ term, depth });
+      terms.filter(t => t.parent === term.id).sort(byName).forEach(child => walk(child, depth + 1));
+    };
+
+    terms.filter(t => !t.parent || !ids.has(t.parent)).sort(byName).forEach(root => walk(root, 0));
+    return result;
+  }
+
+  /**
+   * Fetch terms of a taxonomy from WordPress
+   * @private
+   */
+  fetch(type) {
+    return type === 'categories' ? wordpress.getCategories() : wordpress.getTags();
+  }
+}
+
+module.exports = new TaxonomyResolver();
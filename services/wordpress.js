@@ -1,13 +1,57 @@
 const axios = require('axios');
+const NodeCache = require('node-cache');
 const config = require('../config');
 const logger = require('../utils/logger');
+const {
+  WordPressError,
+  NotFoundError,
+  UnauthorizedError,
+  RateLimitedError,
+  UnavailableError
+} = require('../utils/errors');
 
+// Backoff before retry n is BASE_DELAY * 2^n plus up to 50% jitter
+const RETRY_BASE_DELAY = 500;
+// Longest Retry-After we wait for inside a request instead of failing with RateLimitedError
+const MAX_RETRY_AFTER = 5;
+// Consecutive failed requests that open the circuit, and how long it stays open
+const CIRCUIT_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN = 60 * 1000;
+// Largest per_page the REST API accepts
+const MAX_PER_PAGE = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read a pagination header, which is missing on single items
+ * @param {string} [value] - Header value
+ * @returns {number|null} The number, or null
+ */
+function parseTotal(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * REST client of one WordPress site. The module exports the client of the
+ * default source; clients of the other sources live in the source registry.
+ */
 class WordPressService {
-  constructor() {
+  /**
+   * @param {Object} [source] - Source from `config.wordpress.sources`; defaults to the first one
+   */
+  constructor(source = config.wordpress.sources[0]) {
+    this.source = source;
+    // Categories and tags change rarely but are read on every picker page
+    this.taxonomyCache = new NodeCache({ stdTTL: config.wordpress.taxonomyCacheTtl });
+    // ETag / Last-Modified and data of recent post lists, for conditional requests
+    this.conditionalCache = new NodeCache({ stdTTL: 60 * 60, maxKeys: 500, useClones: false });
+    this.circuit = { failures: 0, openUntil: 0 };
+
     this.api = axios.create({
-      baseURL: config.wordpress.apiUrl,
-      ...(config.wordpress.auth && { 
-        auth: config.wordpress.auth 
+      baseURL: source.apiUrl,
+      ...(source.auth && { 
+        auth: source.auth 
       }),
       headers: {
         'Content-Type': 'application/json',
@@ -22,11 +66,28 @@ class WordPressService {
    * @param {Object} options - Filtering options
    * @param {Array} [options.categories] - Array of category IDs
    * @param {Array} [options.tags] - Array of tag IDs
-   * @param {number} [options.perPage=5] - Number of posts to fetch
+   * @param {number} [options.perPage=5] - Number of posts to fetch, at most 100
    * @param {string} [options.after] - ISO date string to get posts after this date
+   * @param {string} [options.modifiedAfter] - ISO date string to get posts modified after this date, least recently modified first
+   * @param {string} [options.search] - Search term; results are ordered by relevance
+   * @param {string} [options.order='desc'] - 'asc' for oldest first
+   * @param {number} [options.offset] - Number of posts to skip
    * @returns {Promise<Array>} - Array of posts
+   * @throws {WordPressError} A typed error such as UnavailableError when the request fails
    */
-  async getPosts({ categories = [], tags = [], perPage = 5, after } = {}) {
+  async getPosts(options = {}) {
+    const { posts } = await this.getPostsPage(options);
+    return posts;
+  }
+
+  /**
+   * Fetch one page of posts together with the totals WordPress reports
+   * @param {Object} options - Filtering options of `getPosts`, plus:
+   * @param {number} [options.page=1] - One-based page number; ignored when `offset` is set
+   * @returns {Promise<Object>} `{ posts, total, totalPages, page }`; a page past the end has no posts
+   * @throws {WordPressError} A typed error such as UnavailableError when the request fails
+   */
+  async getPostsPage({ categories = [], tags = [], perPage = 5, after, modifiedAfter, search, order = 'desc', offset, page = 1 } = {}) {
     try {
       const params = {
         _fields: [
@@ -35,17 +96,20 @@ class WordPressService {
           'excerpt',
           'link',
           'date',
+          'date_gmt',
           'modified',
           'slug',
           'categories',
           'tags',
           'featured_media',
+          // Without both, _fields drops the embedded media and posts never get a featuredImage
           '_links.wp:featuredmedia',
+          '_embedded',
         ].join(','),
         _embed: 'wp:featuredmedia',
-        per_page: perPage,
+        per_page: Math.min(perPage, MAX_PER_PAGE),
         orderby: 'date',
-        order: 'desc',
+        order,
       };
 
       if (categories.length > 0) {
@@ -60,79 +124,329 @@ class WordPressService {
         params.after = after;
       }
 
-      const response = await this.api.get('/posts', { params });
-      return this._formatPosts(response.data);
+      if (modifiedAfter) {
+        params.modified_after = modifiedAfter;
+        params.orderby = 'modified';
+        params.order = 'asc';
+      }
+
+      if (search) {
+        params.search = search;
+        params.orderby = 'relevance';
+      }
+
+      if (offset) {
+        params.offset = offset;
+      } else if (page > 1) {
+        params.page = page;
+      }
+
+      const { data, total, totalPages } = await this._request('/posts', params, { conditional: true });
+      return { posts: this._formatPosts(data), total, totalPages, page };
     } catch (error) {
-      logger.error('Error fetching posts from WordPress:', {
-        error: error.message,
-        status: error.response?.status,
-        data: error.response?.data,
-      });
-      throw new Error('Failed to fetch posts from WordPress');
+      // WordPress rejects pages past the last one instead of returning an empty list
+      if (error.code === 'rest_post_invalid_page_number') {
+        return { posts: [], total: null, totalPages: null, page };
+      }
+      this._logError('Error fetching posts from WordPress:', error);
+      throw error;
     }
   }
 
+  /**
+   * Iterate over every post matching the filters, fetching a page at a time
+   * @param {Object} [options] - Filtering options of `getPosts`; `page` and `offset` are ignored
+   * @param {Object} [paging] - Paging options
+   * @param {number} [paging.perPage=100] - Posts fetched per request
+   * @param {number} [paging.maxPages=Infinity] - Stop after this many requests
+   * @yields {Object} Formatted posts, in the order WordPress returns them
+   */
+  async *iteratePosts(options = {}, { perPage = MAX_PER_PAGE, maxPages = Infinity } = {}) {
+    for (let page = 1; page <= maxPages; page++) {
+      const { posts, totalPages } = await this.getPostsPage({ ...options, offset: undefined, perPage, page });
+      yield* posts;
+      if (posts.length < perPage || page >= totalPages) return;
+    }
+  }
+
+  /**
+   * Search posts, or list the most recent ones when the query is empty
+   * @param {string} query - Search term
+   * @param {Object} [options] - Paging options
+   * @param {number} [options.perPage=10] - Number of posts to fetch
+   * @param {number} [options.offset=0] - Number of posts to skip
+   * @returns {Promise<Array>} - Array of formatted posts
+   */
+  async searchPosts(query, { perPage = 10, offset = 0 } = {}) {
+    const { posts } = await this.searchPostsPage(query, { perPage, offset });
+    return posts;
+  }
+
+  /**
+   * Like `searchPosts`, but with the totals WordPress reports
+   * @param {string} query - Search term
+   * @param {Object} [options] - Paging options
+   * @param {number} [options.perPage=10] - Number of posts to fetch
+   * @param {number} [options.offset=0] - Number of posts to skip
+   * @returns {Promise<Object>} `{ posts, total, totalPages, page }`
+   */
+  async searchPostsPage(query, { perPage = 10, offset = 0 } = {}) {
+    return this.getPostsPage({
+      search: query ? query.trim() : undefined,
+      perPage,
+      offset
+    });
+  }
+
   /**
    * Get a single post by ID
    * @param {number} id - Post ID
    * @returns {Promise<Object>} - Post data
+   * @throws {NotFoundError} The post doesn't exist or was deleted
+   * @throws {UnauthorizedError} The post is a draft, private or trashed
    */
   async getPostById(id) {
     try {
-      const response = await this.api.get(`/posts/${id}`, {
-        params: {
-          _embed: 'wp:featuredmedia',
-        },
-      });
-      return this._formatPost(response.data);
+      const { data } = await this._request(`/posts/${id}`, { _embed: 'wp:featuredmedia' });
+      return this._formatPost(data);
     } catch (error) {
-      logger.error(`Error fetching post ${id} from WordPress:`, error.message);
-      throw new Error(`Post with ID ${id} not found`);
+      if (error instanceof NotFoundError) {
+        throw new NotFoundError(`Post with ID ${id} not found`, { status: error.status });
+      }
+      if (error instanceof UnauthorizedError) {
+        throw new UnauthorizedError(`Post with ID ${id} is not public`, { status: error.status });
+      }
+      this._logError(`Error fetching post ${id} from WordPress:`, error);
+      throw error;
     }
   }
 
   /**
-   * Get all categories
-   * @returns {Promise<Array>} - Array of categories
+   * Check which of the given posts are still published
+   * @param {Array<number>} ids - Post IDs, at most 100
+   * @returns {Promise<Array<number>>} - IDs of the posts that are published
    */
-  async getCategories() {
+  async getPublishedPostIds(ids) {
+    if (ids.length === 0) return [];
+
     try {
-      const response = await this.api.get('/categories', {
-        params: {
-          per_page: 100,
-          orderby: 'count',
-          order: 'desc',
-          hide_empty: true,
-        },
+      const { data } = await this._request('/posts', {
+        include: ids.join(','),
+        per_page: ids.length,
+        _fields: 'id',
       });
-      return response.data;
+      return data.map(post => post.id);
     } catch (error) {
-      logger.error('Error fetching categories from WordPress:', error.message);
-      throw new Error('Failed to fetch categories');
+      this._logError('Error checking published posts in WordPress:', error);
+      throw error;
     }
   }
 
+  /**
+   * Get all categories
+   * @returns {Promise<Array>} - Array of categories, most used first
+   */
+  async getCategories() {
+    return this._getTerms('categories');
+  }
+
   /**
    * Get all tags
-   * @returns {Promise<Array>} - Array of tags
+   * @returns {Promise<Array>} - Array of tags, most used first
    */
   async getTags() {
+    return this._getTerms('tags');
+  }
+
+  /**
+   * Fetch one page of a taxonomy's non-empty terms
+   * @param {string} taxonomy - 'categories' or 'tags'
+   * @param {Object} [options] - Paging options
+   * @param {number} [options.page=1] - One-based page number
+   * @param {number} [options.perPage=100] - Terms per page, at most 100
+   * @returns {Promise<Object>} `{ terms, total, totalPages, page }`
+   */
+  async getTermsPage(taxonomy, { page = 1, perPage = MAX_PER_PAGE } = {}) {
     try {
-      const response = await this.api.get('/tags', {
-        params: {
-          per_page: 100,
-          orderby: 'count',
-          order: 'desc',
-          hide_empty: true,
-        },
+      const { data, total, totalPages } = await this._request(`/${taxonomy}`, {
+        per_page: Math.min(perPage, MAX_PER_PAGE),
+        page,
+        // A unique sort key, so terms can't move between pages while paging
+        orderby: 'id',
+        order: 'asc',
+        hide_empty: true,
       });
-      return response.data;
+      return { terms: data, total, totalPages, page };
     } catch (error) {
-      logger.error('Error fetching tags from WordPress:', error.message);
-      throw new Error('Failed to fetch tags');
+      this._logError(`Error fetching ${taxonomy} from WordPress:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over every non-empty term of a taxonomy, fetching a page at a time
+   * @param {string} taxonomy - 'categories' or 'tags'
+   * @yields {Object} Terms, oldest first
+   */
+  async *iterateTerms(taxonomy) {
+    for (let page = 1; ; page++) {
+      const { terms, totalPages } = await this.getTermsPage(taxonomy, { page });
+      yield* terms;
+      if (terms.length < MAX_PER_PAGE || page >= totalPages) return;
     }
   }
 
+  /**
+   * Fetch a whole taxonomy, served from the cache while it is fresh
+   * @private
+   */
+  async _getTerms(taxonomy) {
+    const cached = this.taxonomyCache.get(taxonomy);
+    if (cached) return cached;
+
+    const terms = [];
+    for await (const term of this.iterateTerms(taxonomy)) {
+      terms.push(term);
+    }
+    // Most used first, as pickers and lists show them
+    terms.sort((a, b) => b.count - a.count);
+
+    this.taxonomyCache.set(taxonomy, terms);
+    return terms;
+  }
+
+  /**
+   * GET a REST endpoint with retries, the circuit breaker and optional
+   * conditional requests
+   * @private
+   * @param {string} path - Endpoint path, e.g. '/posts'
+   * @param {Object} params - Query parameters
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.conditional=false] - Send If-None-Match / If-Modified-Since
+   *   and reuse the cached data on 304 Not Modified
+   * @returns {Promise<Object>} `{ data, total, totalPages }`; the totals come from the
+   *   X-WP-Total and X-WP-TotalPages headers and are null for single items
+   */
+  async _request(path, params, { conditional = false } = {}) {
+    if (Date.now() < this.circuit.openUntil) {
+      throw new UnavailableError('WordPress is unavailable, not retrying until it recovers');
+    }
+
+    const cacheKey = conditional ? `${path}?${new URLSearchParams(params).toString()}` : null;
+    const cached = cacheKey ? this.conditionalCache.get(cacheKey) : null;
+    const headers = {};
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        const response = await this.api.get(path, {
+          params,
+          headers,
+          validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached)),
+        });
+        this._recordSuccess();
+
+        if (response.status === 304) return cached.result;
+
+        const result = {
+          data: response.data,
+          total: parseTotal(response.headers['x-wp-total']),
+          totalPages: parseTotal(response.headers['x-wp-totalpages']),
+        };
+        if (cacheKey && (response.headers.etag || response.headers['last-modified'])) {
+          this.conditionalCache.set(cacheKey, {
+            etag: response.headers.etag,
+            lastModified: response.headers['last-modified'],
+            result,
+          });
+        }
+        return result;
+      } catch (requestError) {
+        error = this._toError(requestError);
+      }
+
+      const retryable = error instanceof UnavailableError ||
+        (error instanceof RateLimitedError && error.retryAfter <= MAX_RETRY_AFTER);
+      if (!retryable || attempt >= config.wordpress.maxRetries) {
+        if (error instanceof UnavailableError) this._recordFailure();
+        throw error;
+      }
+
+      const backoff = RETRY_BASE_DELAY * 2 ** attempt;
+      const delay = error instanceof RateLimitedError && error.retryAfter
+        ? error.retryAfter * 1000
+        : backoff + Math.random() * backoff * 0.5;
+      logger.debug('Retrying WordPress request', { source: this.source.id, path, attempt: attempt + 1, delay, error: error.message });
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Turn an axios error into a typed WordPress error
+   * @private
+   */
+  _toError(error) {
+    const status = error.response?.status;
+    const message = error.response?.data?.message || error.message;
+    const code = error.response?.data?.code;
+
+    if (status === 404 || status === 410) return new NotFoundError(message, { status, cause: error });
+    if (status === 401 || status === 403) return new UnauthorizedError(message, { status, cause: error });
+    if (status === 429) {
+      const retryAfter = parseInt(error.response.headers?.['retry-after'], 10) || undefined;
+      return new RateLimitedError(message, { status, retryAfter, cause: error });
+    }
+    if (!status || status >= 500) return new UnavailableError(message, { status, cause: error });
+    return new WordPressError(message, { status, code, cause: error });
+  }
+
+  /**
+   * Close the circuit after a successful request
+   * @private
+   */
+  _recordSuccess() {
+    if (this.circuit.failures >= CIRCUIT_THRESHOLD) {
+      logger.info('WordPress is reachable again', { source: this.source.id });
+    }
+    this.circuit.failures = 0;
+    this.circuit.openUntil = 0;
+  }
+
+  /**
+   * Count a failed request, opening the circuit after too many in a row
+   * so a site that is down isn't hammered and logs stay readable
+   * @private
+   */
+  _recordFailure() {
+    this.circuit.failures++;
+    if (this.circuit.failures >= CIRCUIT_THRESHOLD) {
+      if (this.circuit.failures === CIRCUIT_THRESHOLD) {
+        logger.error(`WordPress failed ${CIRCUIT_THRESHOLD} requests in a row, pausing requests`, {
+          source: this.source.id,
+          cooldown: CIRCUIT_COOLDOWN
+        });
+      }
+      // Half-open afterwards: the next request is a trial, and a failure opens the circuit again
+      this.circuit.openUntil = Date.now() + CIRCUIT_COOLDOWN;
+    }
+  }
+
+  /**
+   * Log a failed request; outages are logged once by the circuit breaker instead
+   * @private
+   */
+  _logError(message, error) {
+    const level = error instanceof UnavailableError && this.circuit.failures >= CIRCUIT_THRESHOLD ? 'debug' : 'error';
+    logger[level](message, {
+      source: this.source.id,
+      error: error.message,
+      type: error.name,
+      status: error.status,
+    });
+  }
+
   /**
    * Format a single post
    * @private
@@ -142,22 +456,31 @@ class WordPressService {
 
     // Get featured image URL if available
     let featuredImage = null;
-    if (post._embedded?.['wp:featuredmedia']?.[0]?.source_url) {
-      featuredImage = post._embedded['wp:featuredmedia'][0].source_url;
+    let thumbnail = null;
+    const media = post._embedded?.['wp:featuredmedia']?.[0];
+    if (media?.source_url) {
+      featuredImage = media.source_url;
+      thumbnail = media.media_details?.sizes?.thumbnail?.source_url || featuredImage;
     }
 
     return {
       id: post.id,
+      // Post IDs are only unique within a site
+      source: this.source.id,
+      key: `${this.source.id}:${post.id}`,
       title: post.title?.rendered || 'No Title',
       excerpt: post.excerpt?.rendered || '',
       content: post.content?.rendered || '',
       link: post.link,
       date: post.date,
+      dateGmt: post.date_gmt,
       modified: post.modified,
       slug: post.slug,
+      status: post.status || 'publish',
       categories: post.categories || [],
       tags: post.tags || [],
       featuredImage,
+      thumbnail,
     };
   }
 
@@ -169,32 +492,7 @@ class WordPressService {
     if (!Array.isArray(posts)) return [];
     return posts.map(post => this._formatPost(post));
   }
-
-  /**
-   * Get recent posts with default settings
-   * @param {number} [count=10] - Number of recent posts to fetch
-   * @returns {Promise<Array>} - Array of formatted posts
-   */
-  async getRecentPosts(count = 10) {
-    try {
-      const posts = await this.getPosts({ perPage: count });
-      
-      // Format posts for the frontend
-      return posts.map(post => ({
-        id: post.id,
-        title: post.title.rendered,
-        excerpt: post.excerpt.rendered,
-        content: post.content?.rendered || '',
-        link: post.link,
-        date: post.date,
-        jetpack_featured_media_url: post.jetpack_featured_media_url || '',
-        categories: post.categories || []
-      }));
-    } catch (error) {
-      logger.error('Error in getRecentPosts:', error);
-      throw error;
-    }
-  }
 }
 
 module.exports = new WordPressService();
+module.exports.WordPressService = WordPressService;
@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.BOT_TOKEN = '123456:test-token';
+process.env.ADMIN_USERS = '42';
+process.env.LOG_LEVEL = 'error';
+
+const { verifyInitData } = require('../backend/middleware/webAppAuth');
+const { LOGIN_HEADER, verifyLoginData, requireAdmin } = require('../backend/middleware/adminAuth');
+
+const TOKEN = process.env.BOT_TOKEN;
+const MAX_AGE = 3600;
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Sign fields like Telegram does, with the given secret key
+ */
+function sign(fields, secretKey) {
+  const dataCheckString = Object.entries(fields)
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join('\n');
+  const hash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+  return new URLSearchParams({ ...fields, hash }).toString();
+}
+
+const webAppKey = (token) => crypto.createHmac('sha256', 'WebAppData').update(token).digest();
+const loginKey = (token) => crypto.createHash('sha256').update(token).digest();
+
+const initData = (fields = {}, token = TOKEN) => sign({
+  auth_date: now(),
+  query_id: 'AAH',
+  user: JSON.stringify({ id: 42, first_name: 'Ada' }),
+  ...fields
+}, webAppKey(token));
+
+const loginData = (fields = {}, token = TOKEN) => sign({
+  auth_date: now(),
+  id: 42,
+  first_name: 'Ada',
+  username: 'ada',
+  ...fields
+}, loginKey(token));
+
+/**
+ * Run requireAdmin with the given headers
+ * @returns {Object} `{ status, body, next, req }`
+ */
+function runRequireAdmin(headers) {
+  const result = { status: null, body: null, next: false };
+  const req = {
+    ip: '127.0.0.1',
+    originalUrl: '/admin/me',
+    get: (name) => headers[name]
+  };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+  requireAdmin(req, res, () => {
+    result.next = true;
+  });
+  return { ...result, req };
+}
+
+test('accepts Web App initData signed with the bot token', () => {
+  const verified = verifyInitData(initData({ chat_type: 'private' }), TOKEN, MAX_AGE);
+
+  assert.deepStrictEqual(verified.user, { id: 42, first_name: 'Ada' });
+  assert.strictEqual(verified.chatType, 'private');
+});
+
+test('rejects tampered, foreign, stale and unsigned initData', () => {
+  const tampered = initData().replace('Ada', 'Eve');
+  const stale = initData({ auth_date: now() - MAX_AGE - 10 });
+
+  assert.strictEqual(verifyInitData(tampered, TOKEN, MAX_AGE), null);
+  assert.strictEqual(verifyInitData(initData({}, '654321:other'), TOKEN, MAX_AGE), null);
+  assert.strictEqual(verifyInitData(stale, TOKEN, MAX_AGE), null);
+  assert.strictEqual(verifyInitData('user=%7B%22id%22%3A42%7D', TOKEN, MAX_AGE), null);
+});
+
+test('accepts Login Widget data signed with the SHA-256 of the token', () => {
+  const verified = verifyLoginData(loginData(), TOKEN, MAX_AGE);
+
+  assert.deepStrictEqual(verified.user, { id: 42, first_name: 'Ada', last_name: undefined, username: 'ada' });
+});
+
+test('rejects Login Widget data that is tampered, stale or signed like initData', () => {
+  const tampered = loginData().replace('id=42', 'id=43');
+  const stale = loginData({ auth_date: now() - MAX_AGE - 10 });
+  const webAppSigned = sign({ auth_date: now(), id: 42, first_name: 'Ada' }, webAppKey(TOKEN));
+
+  assert.strictEqual(verifyLoginData(tampered, TOKEN, MAX_AGE), null);
+  assert.strictEqual(verifyLoginData(stale, TOKEN, MAX_AGE), null);
+  assert.strictEqual(verifyLoginData(webAppSigned, TOKEN, MAX_AGE), null);
+});
+
+test('requireAdmin lets admins through with either kind of login', () => {
+  const fromWebApp = runRequireAdmin({ 'X-Telegram-Init-Data': initData() });
+  const fromWidget = runRequireAdmin({ [LOGIN_HEADER]: loginData() });
+
+  assert.strictEqual(fromWebApp.next, true);
+  assert.strictEqual(fromWebApp.req.telegramUser.id, 42);
+  assert.strictEqual(fromWidget.next, true);
+  assert.strictEqual(fromWidget.req.telegramUser.username, 'ada');
+});
+
+test('requireAdmin answers 401 without a valid login and 403 for other users', () => {
+  assert.strictEqual(runRequireAdmin({}).status, 401);
+  assert.strictEqual(runRequireAdmin({ [LOGIN_HEADER]: loginData().replace('ada', 'eve') }).status, 401);
+
+  const stranger = runRequireAdmin({ [LOGIN_HEADER]: loginData({ id: 7 }) });
+  assert.strictEqual(stranger.status, 403);
+  assert.strictEqual(stranger.next, false);
+});
@@ -0,0 +1,157 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-poster-test-'));
+process.env.WORDPRESS_API_URL = 'http://127.0.0.1:9/wp-json/wp/v2';
+process.env.LOG_LEVEL = 'error';
+
+const preferences = require('../services/preferences');
+const sourceRegistry = require('../services/sourceRegistry');
+const autoPoster = require('../services/autoPoster');
+
+const CHAT_ID = '-1002';
+
+let posts = [];
+let delivered = [];
+
+const makePost = (id, date) => ({
+  id,
+  source: 'main',
+  key: `main:${id}`,
+  title: `Post ${id}`,
+  date,
+  dateGmt: date,
+  categories: [],
+  tags: []
+});
+
+// Like the WordPress API: `after` is exclusive and pages are numbered from 1
+const client = {
+  async getPostsPage({ after, perPage, page = 1 }) {
+    const matching = posts
+      .filter(post => !after || new Date(`${post.date}Z`) > new Date(`${after}Z`))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+    return { posts: matching.slice((page - 1) * perPage, page * perPage) };
+  },
+  async getPosts(options) {
+    return (await this.getPostsPage(options)).posts;
+  }
+};
+
+/**
+ * Telegram error as Telegraf throws it
+ */
+function telegramError(code, description, parameters) {
+  return Object.assign(new Error(description), { code, description, parameters });
+}
+
+mock.method(sourceRegistry, 'client', () => client);
+
+beforeEach(() => {
+  posts = [];
+  delivered = [];
+  autoPoster.deliver = async (chatId, post) => delivered.push(post.id);
+
+  preferences.resetPreferences(CHAT_ID);
+  preferences.toggleAutoPosting(CHAT_ID, true);
+  preferences.updateCategories(CHAT_ID, [], 'main');
+  preferences.updateTags(CHAT_ID, [], 'main');
+  preferences.setCheckpoint(CHAT_ID, 'main', '2026-10-18T08:00:00');
+});
+
+test('delivers new posts oldest first and moves the checkpoint', async () => {
+  posts = [makePost(3, '2026-10-18T10:00:00'), makePost(1, '2026-10-18T07:00:00'), makePost(2, '2026-10-18T09:00:00')];
+
+  assert.strictEqual(await autoPoster.checkChat(CHAT_ID), 2);
+  assert.deepStrictEqual(delivered, [2, 3]);
+  assert.strictEqual(preferences.getPreferences(CHAT_ID).checkpoints.main.lastPostDate, '2026-10-18T10:00:00');
+
+  // Nothing new: nothing is sent twice
+  assert.strictEqual(await autoPoster.checkChat(CHAT_ID), 0);
+});
+
+test('does not lose posts sharing the checkpoint\'s timestamp across batches', async () => {
+  // Scheduled together: more posts with the same date than one check fetches
+  for (let id = 1; id <= 25; id++) posts.push(makePost(id, '2026-10-18T09:00:00'));
+
+  await autoPoster.checkChat(CHAT_ID);
+  await autoPoster.checkChat(CHAT_ID);
+
+  assert.deepStrictEqual(delivered, posts.map(post => post.id));
+});
+
+test('skips posts pushed by a webhook when polling finds them', async () => {
+  const pushed = makePost(5, '2026-10-18T09:00:00');
+  posts = [pushed];
+
+  assert.strictEqual(await autoPoster.deliverPost(pushed), 1);
+  assert.strictEqual(await autoPoster.checkChat(CHAT_ID), 0);
+  assert.deepStrictEqual(delivered, [5]);
+});
+
+test('does not push posts older than the checkpoint', async () => {
+  assert.strictEqual(await autoPoster.deliverPost(makePost(6, '2026-10-01T09:00:00')), 0);
+  assert.deepStrictEqual(delivered, []);
+});
+
+test('skips a post Telegram rejects and delivers the next ones', async () => {
+  posts = [makePost(1, '2026-10-18T09:00:00'), makePost(2, '2026-10-18T10:00:00')];
+  autoPoster.deliver = async (chatId, post) => {
+    if (post.id === 1) throw telegramError(400, 'Bad Request: can\'t parse entities: unsupported start tag');
+    delivered.push(post.id);
+  };
+
+  await autoPoster.checkChat(CHAT_ID);
+
+  assert.deepStrictEqual(delivered, [2]);
+  assert.ok(preferences.hasSentPost(CHAT_ID, 1, 'main'));
+});
+
+test('keeps posts behind the checkpoint after network errors', async () => {
+  posts = [makePost(1, '2026-10-18T09:00:00'), makePost(2, '2026-10-18T10:00:00')];
+  autoPoster.deliver = async () => {
+    throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  };
+
+  await autoPoster.checkChat(CHAT_ID);
+
+  const prefs = preferences.getPreferences(CHAT_ID);
+  assert.strictEqual(prefs.checkpoints.main.lastPostDate, '2026-10-18T08:00:00');
+  assert.strictEqual(prefs.sentPosts.length, 0);
+});
+
+test('stops auto-posting when the chat can no longer receive posts', async () => {
+  posts = [makePost(1, '2026-10-18T09:00:00'), makePost(2, '2026-10-18T10:00:00')];
+  autoPoster.deliver = async () => {
+    throw telegramError(400, 'Bad Request: chat not found');
+  };
+
+  await autoPoster.checkChat(CHAT_ID);
+
+  const prefs = preferences.getPreferences(CHAT_ID);
+  assert.strictEqual(prefs.autoPosting, false);
+  assert.strictEqual(prefs.sentPosts.length, 0, 'posts are not marked sent');
+});
+
+test('moves the settings of a group upgraded to a supergroup', async () => {
+  const supergroupId = '-1009990001';
+  posts = [makePost(1, '2026-10-18T09:00:00')];
+  autoPoster.deliver = async (chatId, post) => {
+    if (chatId === CHAT_ID) {
+      throw telegramError(400, 'Bad Request: group chat was upgraded to a supergroup chat', {
+        migrate_to_chat_id: Number(supergroupId)
+      });
+    }
+    delivered.push(post.id);
+  };
+
+  await autoPoster.checkChat(CHAT_ID);
+  assert.deepStrictEqual(preferences.getActiveChats('instant').filter(id => id === CHAT_ID), []);
+
+  await autoPoster.checkChat(supergroupId);
+  assert.deepStrictEqual(delivered, [1]);
+  preferences.resetPreferences(supergroupId);
+});
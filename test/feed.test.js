@@ -0,0 +1,81 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const FeedService = require('../services/feed');
+const { NotFoundError } = require('../utils/errors');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+const createFeed = (name) => new FeedService({ id: 'labs', name: 'Labs', feedUrl: fixture(name) });
+
+test('serves feed entries as posts, newest first', async () => {
+  const feed = createFeed('rss2.xml');
+  const posts = await feed.getPosts({ perPage: 10 });
+
+  // The entry without a web link is left out, the undated one was first seen now
+  assert.deepStrictEqual(posts.map(post => post.link), [
+    'https://labs.example.com/note/',
+    'https://labs.example.com/quantum/',
+    'https://labs.example.com/robots/'
+  ]);
+
+  const quantum = posts[1];
+  assert.strictEqual(quantum.id, 123);
+  assert.strictEqual(quantum.key, 'labs:123');
+  assert.strictEqual(quantum.source, 'labs');
+  assert.strictEqual(quantum.title, 'Quantum &amp; &quot;classical&quot; computing');
+  assert.strictEqual(quantum.date, '2026-10-12T06:30:00');
+  assert.strictEqual(quantum.dateGmt, quantum.date);
+  assert.strictEqual(quantum.featuredImage, 'https://labs.example.com/quantum.jpg');
+});
+
+test('filters by category, date and search term', async () => {
+  const feed = createFeed('rss2.xml');
+  const categories = await feed.getCategories();
+  const research = categories.find(category => category.name === 'Research');
+
+  // Category names are matched whatever their case
+  assert.strictEqual(research.count, 2);
+  assert.strictEqual(research.slug, 'research');
+
+  const inResearch = await feed.getPosts({ categories: [research.id], perPage: 10, order: 'asc' });
+  assert.deepStrictEqual(inResearch.map(post => post.link), [
+    'https://labs.example.com/robots/',
+    'https://labs.example.com/quantum/'
+  ]);
+
+  const after = await feed.getPosts({ after: '2026-10-11T00:00:00Z', categories: [research.id] });
+  assert.deepStrictEqual(after.map(post => post.id), [123]);
+
+  const found = await feed.searchPosts('kitchen');
+  assert.deepStrictEqual(found.map(post => post.link), ['https://labs.example.com/robots/']);
+});
+
+test('looks up posts by ID', async () => {
+  const feed = createFeed('atom.xml');
+  const [post] = await feed.getPosts({ perPage: 1 });
+
+  assert.strictEqual((await feed.getPostById(post.id)).link, 'https://notes.example.com/atom-robots');
+  assert.strictEqual(post.modified, '2026-10-14T18:30:02');
+  await assert.rejects(() => feed.getPostById(1), NotFoundError);
+});
+
+test('keeps the date an undated entry was first seen', async (t) => {
+  t.after(() => mock.timers.reset());
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-18T10:00:00Z') });
+
+  const feed = createFeed('rss2.xml');
+  const [first] = await feed.getPosts({ search: 'undated' });
+  assert.strictEqual(first.date, '2026-10-18T10:00:00');
+
+  // Past the refresh interval the feed is read again
+  mock.timers.tick(60 * 60 * 1000);
+  await feed.refresh();
+  const [again] = await feed.getPosts({ search: 'undated' });
+  assert.strictEqual(again.date, '2026-10-18T10:00:00');
+});
+
+test('reports feeds that cannot be read', async () => {
+  const feed = new FeedService({ id: 'gone', name: 'Gone', feedUrl: fixture('missing.xml') });
+
+  await assert.rejects(() => feed.getPosts(), { name: 'UnavailableError' });
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed } = require('../utils/feedParser');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('parses RSS 2.0 items', () => {
+  const feed = parseFeed(fixture('rss2.xml'));
+
+  assert.strictEqual(feed.title, 'Innovopedia Labs');
+  assert.strictEqual(feed.entries.length, 4);
+  assert.deepStrictEqual(feed.entries[0], {
+    guid: 'https://labs.example.com/?p=123',
+    title: 'Quantum & "classical" computing',
+    link: 'https://labs.example.com/quantum/',
+    summary: '<p>A short summary.</p>',
+    content: '<p>The full article.</p>',
+    published: '2026-10-12T06:30:00.000Z',
+    updated: null,
+    categories: ['Research', 'AI'],
+    image: 'https://labs.example.com/quantum.jpg'
+  });
+});
+
+test('reads Dublin Core dates and leaves missing ones empty', () => {
+  const [, dcDated, undated] = parseFeed(fixture('rss2.xml')).entries;
+
+  assert.strictEqual(dcDated.published, '2026-10-10T12:00:00.000Z');
+  assert.strictEqual(undated.published, null);
+  assert.strictEqual(undated.image, null);
+});
+
+test('parses Atom entries', () => {
+  const feed = parseFeed(fixture('atom.xml'));
+  const [entry, onlyUpdated] = feed.entries;
+
+  assert.strictEqual(feed.title, 'Innovopedia Notes');
+  assert.strictEqual(entry.title, 'Atom <b>powered</b> robots');
+  assert.strictEqual(entry.link, 'https://notes.example.com/atom-robots');
+  assert.strictEqual(entry.content, '<p>The whole text.</p>');
+  assert.strictEqual(entry.published, '2026-10-13T07:00:00.000Z');
+  assert.strictEqual(entry.updated, '2026-10-14T18:30:02.000Z');
+  // Labels win over terms
+  assert.deepStrictEqual(entry.categories, ['Robots', 'hardware']);
+  assert.strictEqual(entry.image, 'https://notes.example.com/robots.png');
+  assert.strictEqual(onlyUpdated.published, '2026-10-12T07:15:00.000Z');
+});
+
+test('finds images in Media RSS elements', () => {
+  const images = parseFeed(fixture('media-rss.xml')).entries.map(entry => entry.image);
+
+  assert.deepStrictEqual(images, [
+    'https://video.example.com/poster.jpg',
+    'https://video.example.com/untyped.jpg',
+    'https://video.example.com/thumb.jpg'
+  ]);
+});
+
+test('rejects documents that are not feeds', () => {
+  assert.throws(() => parseFeed('<html><body>Not a feed</body></html>'), /Not an RSS 2.0 or Atom feed/);
+});
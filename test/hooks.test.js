@@ -0,0 +1,107 @@
+const { test, mock, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'hooks-test-'));
+process.env.WORDPRESS_API_URL = 'http://127.0.0.1:9/wp-json/wp/v2';
+process.env.WORDPRESS_WEBHOOK_SECRET = 'hook-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const config = require('../config');
+const preferences = require('../services/preferences');
+const autoPoster = require('../services/autoPoster');
+const postUpdater = require('../services/postUpdater');
+const retractionService = require('../services/retractionService');
+
+const CHAT_ID = '-1001';
+const CHECKPOINT = '2026-10-18T09:00:00';
+
+let server;
+let baseUrl;
+const delivered = [];
+const synced = [];
+
+const makePost = (id, date) => ({
+  id,
+  source: 'main',
+  key: `main:${id}`,
+  title: `Post ${id}`,
+  date,
+  dateGmt: date,
+  status: 'publish',
+  categories: [],
+  tags: []
+});
+
+/**
+ * Send a signed webhook and wait until the post behind it was processed
+ */
+async function sendHook(body, post) {
+  mock.method(retractionService, 'checkPost', async () => ({ post, reason: null }));
+  const raw = JSON.stringify(body);
+  const signature = crypto.createHmac('sha256', 'hook-secret').update(raw).digest('hex');
+
+  const response = await fetch(`${baseUrl}/hooks/wordpress`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', [config.wordpress.webhook.signatureHeader]: signature },
+    body: raw
+  });
+  // The hook answers before delivering
+  await new Promise(resolve => setTimeout(resolve, 50));
+  return response;
+}
+
+before(async () => {
+  mock.method(postUpdater, 'syncPost', async (post) => synced.push(post.id));
+  autoPoster.deliver = async (chatId, post) => delivered.push(`${chatId}:${post.id}`);
+
+  preferences.toggleAutoPosting(CHAT_ID, true);
+  preferences.updateCategories(CHAT_ID, [], 'main');
+  preferences.updateTags(CHAT_ID, [], 'main');
+  preferences.updateLastPostId(CHAT_ID, 100, CHECKPOINT, 'main');
+
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/hooks', require('../backend/routes/hooks'));
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  mock.restoreAll();
+});
+
+test('an edit of an old post updates its messages without posting it again', async () => {
+  const response = await sendHook({ post_id: 42, action: 'post_updated' }, makePost(42, '2026-01-05T10:00:00'));
+
+  assert.strictEqual(response.status, 202);
+  assert.deepStrictEqual(synced, [42]);
+  assert.deepStrictEqual(delivered, []);
+});
+
+test('a re-saved old post without an action is not posted again', async () => {
+  await sendHook({ ID: 43 }, makePost(43, '2026-01-06T10:00:00'));
+
+  assert.deepStrictEqual(delivered, []);
+});
+
+test('a newly published post goes out to matching chats', async () => {
+  await sendHook({ post_id: 101, action: 'publish_post' }, makePost(101, '2026-10-18T10:00:00'));
+
+  assert.deepStrictEqual(delivered, [`${CHAT_ID}:101`]);
+});
+
+test('rejects payloads with a bad signature', async () => {
+  const response = await fetch(`${baseUrl}/hooks/wordpress`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', [config.wordpress.webhook.signatureHeader]: 'sha256=00' },
+    body: JSON.stringify({ post_id: 102 })
+  });
+
+  assert.strictEqual(response.status, 401);
+});
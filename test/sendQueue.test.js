@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'send-queue-test-'));
+process.env.LOG_LEVEL = 'error';
+
+const sendQueue = require('../services/sendQueue');
+
+/**
+ * Telegram error as Telegraf throws it
+ */
+function telegramError(code, description, parameters) {
+  return Object.assign(new Error(description), { code, description, parameters });
+}
+
+/**
+ * API client answering with the given results in turn; errors are thrown
+ */
+function fakeApi(...results) {
+  const calls = [];
+  const callApi = async (method, payload, options) => {
+    calls.push({ method, payload, options, at: Date.now() });
+    const result = results.length > 1 ? results.shift() : results[0];
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  return { calls, callApi };
+}
+
+test('passes request options through to the client', async () => {
+  const api = fakeApi({ message_id: 1 });
+  const telegram = sendQueue.attach({ callApi: api.callApi });
+  const { signal } = new AbortController();
+
+  await telegram.callApi('sendMessage', { chat_id: 1, text: 'hi' }, { signal });
+
+  assert.strictEqual(api.calls[0].options.signal, signal);
+});
+
+test('waits retry_after seconds after a 429, keeping the chat\'s order', async () => {
+  const api = fakeApi(telegramError(429, 'Too Many Requests: retry after 1', { retry_after: 1 }), { message_id: 2 });
+  const started = Date.now();
+
+  const first = sendQueue.enqueue('sendMessage', { chat_id: 10, text: 'first' }, api.callApi);
+  const second = sendQueue.enqueue('sendMessage', { chat_id: 10, text: 'second' }, api.callApi);
+  await Promise.all([first, second]);
+
+  assert.deepStrictEqual(api.calls.map(call => call.payload.text), ['first', 'first', 'second']);
+  assert.ok(api.calls[1].at - started >= 1000, 'retried before retry_after');
+  assert.strictEqual(sendQueue.getDeadLetters().length, 0);
+});
+
+test('keeps messages it gives up on as dead letters, except bad requests', async () => {
+  const blocked = fakeApi(telegramError(403, 'Forbidden: bot was blocked by the user'));
+  const badRequest = fakeApi(telegramError(400, 'Bad Request: message is too long'));
+
+  await assert.rejects(sendQueue.enqueue('sendMessage', { chat_id: 20, text: 'blocked' }, blocked.callApi), { code: 403 });
+  await assert.rejects(sendQueue.enqueue('sendMessage', { chat_id: 21, text: 'too long' }, badRequest.callApi), { code: 400 });
+
+  const letters = sendQueue.getDeadLetters();
+  assert.strictEqual(letters.length, 1);
+  assert.strictEqual(letters[0].chatId, '20');
+  assert.strictEqual(letters[0].code, 403);
+  assert.strictEqual(blocked.calls.length, 1, 'permanent errors are not retried');
+});
+
+test('leaves failures of sends retried by their caller to the caller', async () => {
+  const api = fakeApi(telegramError(403, 'Forbidden: bot was kicked'));
+  const before = sendQueue.getDeadLetters().length;
+
+  await assert.rejects(sendQueue.retriedByCaller(async () => {
+    await Promise.resolve();
+    return sendQueue.enqueue('sendMessage', { chat_id: 30, text: 'auto-post' }, api.callApi);
+  }), { code: 403 });
+
+  assert.strictEqual(sendQueue.getDeadLetters().length, before);
+});
+
+test('queues dead letters again on request', async () => {
+  const api = fakeApi({ message_id: 3 });
+  sendQueue.callApi = api.callApi;
+  const [letter] = sendQueue.getDeadLetters();
+
+  assert.strictEqual(sendQueue.retryDeadLetters([letter.id]), 1);
+  // The private chat's limit of one message a second may hold it back for a moment
+  while (sendQueue.size() > 0) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  assert.strictEqual(sendQueue.getDeadLetters().length, 0);
+  assert.deepStrictEqual(api.calls.map(call => call.payload.text), ['blocked']);
+});
+
+test('saves unsent messages at shutdown, but not those retried by their caller', async () => {
+  const api = fakeApi({ message_id: 4 });
+
+  // A channel addressed by @username gets the group limit of 20 messages a minute
+  const sends = [];
+  for (let i = 1; i <= 21; i++) {
+    sends.push(sendQueue.enqueue('sendMessage', { chat_id: '@channel', text: `post ${i}` }, api.callApi));
+  }
+  sends.push(sendQueue.retriedByCaller(() => (
+    sendQueue.enqueue('sendMessage', { chat_id: '@channel', text: 'auto-post' }, api.callApi)
+  )));
+  sends.forEach(send => send.catch(() => {}));
+
+  await sendQueue.shutdown(300);
+
+  assert.strictEqual(api.calls.length, 20);
+  const outbox = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'outbox.json'), 'utf8'));
+  assert.deepStrictEqual(outbox.data.pending, [
+    { method: 'sendMessage', payload: { chat_id: '@channel', text: 'post 21' } }
+  ]);
+});
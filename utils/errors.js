@@ -0,0 +1,44 @@
+// Typed errors raised by the WordPress and feed clients, so callers can tell a
+// missing post from an outage and react accordingly
+
+class WordPressError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Extra information
+   * @param {number} [details.status] - HTTP status of the response, if any
+   * @param {string} [details.code] - WordPress error code, e.g. 'rest_post_invalid_page_number'
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { status, code, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+/** The requested resource doesn't exist (404/410) */
+class NotFoundError extends WordPressError {}
+
+/** The resource exists but isn't public, or the credentials were refused (401/403) */
+class UnauthorizedError extends WordPressError {}
+
+/** WordPress or a proxy in front of it asked us to slow down (429) */
+class RateLimitedError extends WordPressError {
+  constructor(message, { retryAfter, ...details } = {}) {
+    super(message, details);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** WordPress can't be reached or keeps failing: timeouts, network errors and 5xx */
+class UnavailableError extends WordPressError {}
+
+module.exports = {
+  WordPressError,
+  NotFoundError,
+  UnauthorizedError,
+  RateLimitedError,
+  UnavailableError
+};
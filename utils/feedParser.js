@@ -0,0 +1,135 @@
+// Parses RSS 2.0 and Atom feeds into plain entries for the feed source adapter
+
+const { XMLParser } = require('fast-xml-parser');
+
+// Elements that may repeat; the parser otherwise returns a single one as an object
+const REPEATED = new Set([
+  'item',
+  'entry',
+  'category',
+  'link',
+  'enclosure',
+  'media:content',
+  'media:thumbnail',
+  'media:group'
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => REPEATED.has(name)
+});
+
+/**
+ * Text of an element that may have attributes, e.g. `<title type="html">`
+ * @param {*} node - Parsed element
+ * @returns {string} Text, or '' if missing
+ */
+function text(node) {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '');
+  return String(node);
+}
+
+/**
+ * Parse a feed date, as RFC 822 in RSS or ISO 8601 in Atom
+ * @param {string} value - Date string
+ * @returns {string|null} ISO date, or null if missing or invalid
+ */
+function parseDate(value) {
+  const date = new Date(text(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * URL of the first image among enclosures and Media RSS elements
+ * @param {Object} node - Parsed item or entry
+ * @returns {string|null} Image URL
+ */
+function findImage(node) {
+  const isImage = (media) => (media['@_medium'] || '') === 'image' || /^image\//.test(media['@_type'] || '');
+
+  const enclosures = [
+    ...(node.enclosure || []),
+    // Atom links with rel="enclosure"
+    ...(node.link || []).filter(link => link['@_rel'] === 'enclosure')
+  ].map(media => ({ ...media, '@_url': media['@_url'] || media['@_href'] }));
+
+  const media = [node, ...(node['media:group'] || [])].flatMap(group => group['media:content'] || []);
+  const thumbnails = [node, ...(node['media:group'] || [])].flatMap(group => group['media:thumbnail'] || []);
+
+  const image = enclosures.find(isImage) ||
+    media.find(isImage) ||
+    // media:content without a type is most often the article's picture
+    media.find(item => !item['@_medium'] && !item['@_type']) ||
+    thumbnails[0];
+  return image?.['@_url'] || null;
+}
+
+/**
+ * Normalize an RSS 2.0 item
+ * @private
+ */
+function parseRssItem(item) {
+  return {
+    guid: text(item.guid),
+    title: text(item.title),
+    link: text(item.link?.[0]),
+    summary: text(item.description),
+    content: text(item['content:encoded']),
+    published: parseDate(item.pubDate || item['dc:date']),
+    updated: parseDate(item['atom:updated']),
+    categories: (item.category || []).map(text).filter(Boolean),
+    image: findImage(item)
+  };
+}
+
+/**
+ * Normalize an Atom entry
+ * @private
+ */
+function parseAtomEntry(entry) {
+  const links = entry.link || [];
+  const alternate = links.find(link => !link['@_rel'] || link['@_rel'] === 'alternate');
+
+  return {
+    guid: text(entry.id),
+    title: text(entry.title),
+    link: alternate?.['@_href'] || '',
+    summary: text(entry.summary),
+    content: text(entry.content),
+    published: parseDate(entry.published || entry.updated),
+    updated: parseDate(entry.updated),
+    categories: (entry.category || []).map(category => category['@_label'] || category['@_term']).filter(Boolean),
+    image: findImage(entry)
+  };
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document
+ * @param {string} xml - Feed XML
+ * @returns {Object} `{ title, entries }`; each entry has `guid`, `title`, `link`, `summary` and
+ *   `content` as found in the feed, `published` and `updated` (ISO dates), `categories` (names) and `image`
+ * @throws {Error} If the document is neither RSS nor Atom
+ */
+function parseFeed(xml) {
+  const document = parser.parse(xml);
+
+  if (document.rss?.channel) {
+    const channel = document.rss.channel;
+    return { title: text(channel.title), entries: (channel.item || []).map(parseRssItem) };
+  }
+
+  if (document.feed) {
+    return { title: text(document.feed.title), entries: (document.feed.entry || []).map(parseAtomEntry) };
+  }
+
+  throw new Error('Not an RSS 2.0 or Atom feed');
+}
+
+module.exports = {
+  parseFeed
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Delay before changes are written, so bursts of updates cause a single write
+const SAVE_DELAY = 200;
+
+/**
+ * A small versioned JSON document persisted to disk with atomic writes.
+ *
+ * The file is loaded synchronously on construction so data is available as
+ * soon as the owning service is required. Older files are upgraded by running
+ * `migrations[n]` for every version `n` between the stored and current version.
+ */
+class JsonStore {
+  /**
+   * @param {string} file - Path of the JSON file
+   * @param {Object} options - Store options
+   * @param {number} options.version - Current schema version
+   * @param {Function} options.initial - Returns the data for a new store
+   * @param {Object<number, Function>} [options.migrations] - `data => data` upgrades from version `n` to `n + 1`
+   */
+  constructor(file, { version, initial, migrations = {} }) {
+    this.file = file;
+    this.version = version;
+    this.initial = initial;
+    this.migrations = migrations;
+    this.timer = null;
+    this.data = this.load();
+
+    // Last chance to write pending changes, whatever path the process exits by
+    process.on('exit', () => this.flush());
+  }
+
+  /**
+   * Load and migrate the file, falling back to the initial data
+   * @private
+   */
+  load() {
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Could not read ${this.file}, starting empty:`, error.message);
+        this.backupCorruptFile();
+      }
+      return this.initial();
+    }
+
+    // Files written before versioning was introduced are version 0
+    let version = Number.isInteger(stored.version) ? stored.version : 0;
+    let data = version === 0 ? stored : stored.data;
+
+    while (version < this.version) {
+      const migrate = this.migrations[version];
+      if (migrate) data = migrate(data);
+      version++;
+    }
+
+    if (stored.version !== this.version) {
+      logger.info(`Migrated ${path.basename(this.file)} to version ${this.version}`);
+      this.save();
+    }
+
+    return data;
+  }
+
+  /**
+   * Keep an unreadable file around for inspection instead of overwriting it
+   * @private
+   */
+  backupCorruptFile() {
+    try {
+      fs.renameSync(this.file, `${this.file}.corrupt-${Date.now()}`);
+    } catch (e) {
+      logger.error(`Could not back up ${this.file}:`, e.message);
+    }
+  }
+
+  /**
+   * Schedule a write of the current data
+   */
+  save() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.write();
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Write pending changes immediately
+   */
+  flush() {
+    if (!this.timer) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.write();
+  }
+
+  /**
+   * Write the file through a temporary file and rename, so a crash never
+   * leaves a truncated file behind
+   * @private
+   */
+  write() {
+    const tmpFile = `${this.file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmpFile, JSON.stringify({ version: this.version, data: this.data }, null, 2), 'utf8');
+      fs.renameSync(tmpFile, this.file);
+    } catch (error) {
+      logger.error(`Error saving ${this.file}:`, error.message);
+    }
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,241 @@
+// Helpers for per-chat posting windows: either daily hours on some weekdays,
+// or a five-field cron expression whose matching minutes are open for posting
+
+const moment = require('moment-timezone');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const DAY_PRESETS = {
+  daily: ALL_DAYS,
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+
+// Minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 7, names: DAY_NAMES }
+];
+
+// How far ahead to look for the next opening; every window opens at least once a week
+const SEARCH_MINUTES = 8 * 24 * 60;
+
+/**
+ * Parse a weekday name or number
+ * @param {string} value - e.g. "mon", "Monday" or "1"
+ * @returns {number|null} 0 (Sunday) to 6, or null if not a weekday
+ */
+function parseDay(value) {
+  const input = String(value).toLowerCase();
+  if (/^[0-7]$/.test(input)) return Number(input) % 7;
+  const index = DAY_NAMES.indexOf(input.slice(0, 3));
+  return index >= 0 ? index : null;
+}
+
+/**
+ * Parse a list of days such as "mon-fri", "sat,sun" or "weekdays"
+ * @param {string} spec - Day list
+ * @returns {Array<number>|null} Sorted weekdays, or null if invalid
+ */
+function parseDays(spec) {
+  const input = String(spec || '').toLowerCase();
+  if (DAY_PRESETS[input]) return DAY_PRESETS[input];
+
+  const days = new Set();
+  for (const part of input.split(',').filter(Boolean)) {
+    const [from, to] = part.split('-').map(parseDay);
+    if (from === null || to === null) return null;
+    if (to === undefined) {
+      days.add(from);
+      continue;
+    }
+    // Ranges may wrap around the week, e.g. fri-mon
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+
+  return days.size > 0 ? [...days].sort() : null;
+}
+
+/**
+ * Parse a HH:MM-HH:MM range
+ * @param {string} spec - e.g. "08:00-22:00"; the end may be earlier than the start to span midnight
+ * @returns {Object|null} `{ start, end }` as zero-padded HH:MM, or null if invalid
+ */
+function parseHours(spec) {
+  const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(String(spec || ''));
+  if (!match) return null;
+
+  const [h1, m1, h2, m2] = match.slice(1).map(Number);
+  if (h1 > 23 || h2 > 24 || m1 > 59 || m2 > 59 || (h2 === 24 && m2 > 0)) return null;
+
+  const pad = (h, m) => `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+  const start = pad(h1, m1);
+  const end = pad(h2, m2);
+  return start === end ? null : { start, end };
+}
+
+/**
+ * Parse a five-field cron expression into sets of allowed values
+ * @param {string} expression - e.g. "* 8-21 * * 1-5"
+ * @returns {Object|null} Parsed fields, or null if invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().toLowerCase().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) return null;
+
+  const fields = [];
+  for (let i = 0; i < parts.length; i++) {
+    const { min, max, names } = CRON_FIELDS[i];
+    const toNumber = (value) => {
+      const index = names ? names.indexOf(value) : -1;
+      const number = index >= 0 ? index : Number(value);
+      return Number.isInteger(number) && number >= min && number <= max ? number : null;
+    };
+
+    const values = new Set();
+    for (const item of parts[i].split(',')) {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!Number.isInteger(step) || step < 1) return null;
+
+      let from = min;
+      let to = max;
+      if (range !== '*') {
+        [from, to] = range.split('-').map(toNumber);
+        if (to === undefined) to = stepText === undefined ? from : max;
+        if (from === null || to === null || from > to) return null;
+      }
+      for (let value = from; value <= to; value += step) values.add(value);
+    }
+
+    // Cron allows 7 as well as 0 for Sunday
+    if (names && values.has(7)) values.add(0);
+    fields.push({ values, any: parts[i] === '*' });
+  }
+
+  return fields;
+}
+
+/**
+ * Check whether a local time matches parsed cron fields. Like cron, a
+ * restricted day of month and day of week match when either one does.
+ * @private
+ */
+function cronMatches(fields, local) {
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  if (!minute.values.has(local.minute()) || !hour.values.has(local.hour())) return false;
+  if (!month.values.has(local.month() + 1)) return false;
+
+  const domMatch = dayOfMonth.values.has(local.date());
+  const dowMatch = dayOfWeek.values.has(local.day());
+  if (dayOfMonth.any || dayOfWeek.any) return domMatch && dowMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * Check whether a local time falls within daily hours on the allowed days.
+ * For windows spanning midnight the early hours belong to the previous day,
+ * so "fri 22:00-02:00" is open early on Saturday.
+ * @private
+ */
+function hoursMatch(window, local) {
+  const minutes = local.hour() * 60 + local.minute();
+  const toMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+  };
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  const days = window.days && window.days.length > 0 ? window.days : ALL_DAYS;
+
+  if (start < end) {
+    return minutes >= start && minutes < end && days.includes(local.day());
+  }
+  if (minutes >= start) return days.includes(local.day());
+  if (minutes < end) return days.includes((local.day() + 6) % 7);
+  return false;
+}
+
+/**
+ * Build a check of local times against a posting window, parsing it once
+ * @private
+ * @returns {Function} `(local) => boolean` for moments in the chat's timezone
+ */
+function windowMatcher(window) {
+  if (!window || !window.enabled) return () => true;
+  if (window.cron) {
+    const fields = parseCron(window.cron);
+    // A broken expression must not silence the chat forever
+    return fields ? local => cronMatches(fields, local) : () => true;
+  }
+  return local => hoursMatch(window, local);
+}
+
+/**
+ * Check whether posting is allowed at a given time
+ * @param {Object} window - Posting window preferences
+ * @param {string} timezone - IANA timezone of the chat
+ * @param {Date} [date=new Date()] - Time to check
+ * @returns {boolean} True if posts may be sent
+ */
+function isOpen(window, timezone, date = new Date()) {
+  return windowMatcher(window)(moment(date).tz(timezone));
+}
+
+/**
+ * Find when a closed window opens next
+ * @param {Object} window - Posting window preferences
+ * @param {string} timezone - IANA timezone of the chat
+ * @param {Date} [from=new Date()] - Time to search from
+ * @returns {Date|null} Next opening, the given time if already open, or null if it never opens
+ */
+function nextOpening(window, timezone, from = new Date()) {
+  const matches = windowMatcher(window);
+  const cursor = moment(from).tz(timezone);
+  if (matches(cursor)) return from;
+
+  cursor.startOf('minute');
+  for (let i = 0; i < SEARCH_MINUTES; i++) {
+    cursor.add(1, 'minute');
+    if (matches(cursor)) return cursor.toDate();
+  }
+  return null;
+}
+
+/**
+ * Describe a posting window for humans
+ * @param {Object} window - Posting window preferences
+ * @returns {string} e.g. "08:00–22:00, Mon–Fri" or "always open"
+ */
+function describe(window) {
+  if (!window || !window.enabled) return 'always open';
+  if (window.cron) return `cron "${window.cron}"`;
+
+  const days = window.days && window.days.length > 0 ? window.days : ALL_DAYS;
+  const label = (day) => DAY_NAMES[day].charAt(0).toUpperCase() + DAY_NAMES[day].slice(1);
+  let dayText;
+  if (days.length === 7) {
+    dayText = 'every day';
+  } else if (days.join() === DAY_PRESETS.weekdays.join()) {
+    dayText = 'Mon–Fri';
+  } else {
+    dayText = days.map(label).join(', ');
+  }
+
+  return `${window.start}–${window.end}, ${dayText}`;
+}
+
+module.exports = {
+  parseDays,
+  parseHours,
+  parseCron,
+  isOpen,
+  nextOpening,
+  describe
+};
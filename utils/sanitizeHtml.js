@@ -0,0 +1,92 @@
+// Cleans rendered WordPress HTML for pages that insert it as HTML, such as API clients
+
+const { decodeEntities } = require('./telegramHtml');
+
+// Elements whose content is dropped along with them
+const DROPPED_ELEMENTS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'form', 'svg', 'math'];
+
+// Allowed elements and the attributes each keeps; everything else is unwrapped
+const ALLOWED_TAGS = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  abbr: ['title'],
+  ol: ['start'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan'],
+  ...Object.fromEntries([
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins',
+    'sub', 'sup', 'mark', 'small', 'blockquote', 'q', 'cite', 'code', 'pre', 'kbd', 'ul', 'li', 'dl',
+    'dt', 'dd', 'figure', 'figcaption', 'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'span', 'div'
+  ].map(tag => [tag, []]))
+};
+
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+/**
+ * Check that a link or image URL can't run script: http(s), mailto or relative
+ * @param {string} url - Decoded attribute value
+ * @returns {boolean} True if safe
+ */
+function isSafeUrl(url) {
+  // Browsers ignore control characters and whitespace inside the scheme
+  const compact = url.replace(/[\u0000- ]/g, '');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+  return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Rebuild the attributes of an allowed start tag
+ * @private
+ */
+function sanitizeAttributes(tag, source) {
+  const allowed = ALLOWED_TAGS[tag];
+  const attributes = [];
+  const pattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    const value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    if (!allowed.includes(name) || attributes.some(([existing]) => existing === name)) continue;
+    if (URL_ATTRIBUTES.has(name) && !isSafeUrl(value)) continue;
+    attributes.push([name, value]);
+  }
+
+  if (tag === 'a') {
+    attributes.push(['target', '_blank'], ['rel', 'noopener noreferrer']);
+  }
+
+  return attributes
+    .map(([name, value]) => ` ${name}="${value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')}"`)
+    .join('');
+}
+
+/**
+ * Keep the formatting, links and images of WordPress HTML but drop scripts,
+ * embeds, styles, event handlers and unsafe URLs
+ * @param {string} html - HTML from `content.rendered`
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHtml(html) {
+  if (!html) return '';
+
+  const dropped = DROPPED_ELEMENTS.join('|');
+  const withoutDropped = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(new RegExp(`<(${dropped})\\b[^>]*>[\\s\\S]*?<\\/\\1\\s*>`, 'gi'), '')
+    // Unclosed or self-closing ones
+    .replace(new RegExp(`<\\/?(${dropped})\\b[^>]*>`, 'gi'), '');
+
+  return withoutDropped.replace(/<(\/?)([a-z][a-z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>|[<>]/gi, (match, closing, name, attributes) => {
+    if (!name) return match === '<' ? '&lt;' : '&gt;';
+
+    const tag = name.toLowerCase();
+    if (!ALLOWED_TAGS[tag]) return '';
+    if (closing) return tag === 'br' || tag === 'hr' || tag === 'img' ? '' : `</${tag}>`;
+    return `<${tag}${sanitizeAttributes(tag, attributes)}>`;
+  });
+}
+
+module.exports = {
+  sanitizeHtml
+};
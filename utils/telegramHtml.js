@@ -0,0 +1,118 @@
+// Helpers for turning WordPress HTML into text that is safe for Telegram's HTML parse mode
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  euro: '€',
+  pound: '£',
+  bull: '•',
+  middot: '·'
+};
+
+/**
+ * Decode HTML entities such as `&#8217;`, `&#x2019;` and `&rsquo;`
+ * @param {string} text - Text with HTML entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (e) {
+        return match;
+      }
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Convert rendered WordPress HTML into plain text
+ * @param {string} html - HTML from `title.rendered`, `excerpt.rendered` etc.
+ * @returns {string} Plain text without tags, shortcodes or "read more" markers
+ */
+function htmlToText(html) {
+  if (!html) return '';
+
+  const text = decodeEntities(
+    html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/p>/gi, '\n\n')
+      .replace(/<[^>]*>?/gm, '')
+  );
+
+  return text
+    // Excerpt "more" markers: [...], […], [&hellip;] (already decoded)
+    .replace(/\s*\[(\.\.\.|…)\]/g, '…')
+    // Leftover shortcodes such as [caption id="1"] or [/embed]
+    .replace(/\[\/?[a-z][\w-]*(\s[^\]]*)?\]/gi, '')
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Escape text for Telegram's HTML parse mode
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape text for a double-quoted attribute in Telegram's HTML parse mode, such as a link's href
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Truncate plain text to a maximum length, preferring a word boundary
+ * @param {string} text - Plain text
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} Truncated text
+ */
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  if (maxLength <= 1) return '';
+
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  const trimmed = lastSpace > maxLength * 0.6 ? cut.slice(0, lastSpace) : cut;
+  return `${trimmed.replace(/[\s.,;:!?…-]+$/, '')}…`;
+}
+
+module.exports = {
+  decodeEntities,
+  htmlToText,
+  escapeHtml,
+  escapeAttribute,
+  truncate
+};